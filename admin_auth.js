@@ -0,0 +1,108 @@
+// Shared-secret authentication for admin and internal routes
+const crypto = require('crypto');
+
+/**
+ * Compare two secrets in constant time (hashing first so different lengths don't leak through timing)
+ * @param {string} provided - Value sent by the caller
+ * @param {string} expected - Configured secret
+ * @returns {boolean}
+ */
+function secretsMatch(provided, expected) {
+  if (!provided || !expected) {
+    return false;
+  }
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Admin key from `Authorization: Bearer <key>` or `X-Admin-Key`
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getAdminCredential(req) {
+  const authHeader = req.get('authorization') || '';
+  if (authHeader.toLowerCase().startsWith('bearer ')) {
+    return authHeader.slice(7).trim();
+  }
+  return req.get('x-admin-key') || null;
+}
+
+/**
+ * Whether the request carries the admin key (ADMIN_API_KEY)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isAdminRequest(req) {
+  return secretsMatch(getAdminCredential(req), process.env.ADMIN_API_KEY);
+}
+
+/**
+ * Whether the request carries the internal service secret (INTERNAL_API_SECRET, sent as `X-Internal-Secret`)
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function isInternalRequest(req) {
+  return secretsMatch(req.get('x-internal-secret'), process.env.INTERNAL_API_SECRET);
+}
+
+/**
+ * Who made a request, for audit trails
+ * `caller_id` is whatever the client sends in `X-Caller-Id` (e.g. the app's user id); it is not authenticated.
+ * `caller_auth` says which secret the request carried: 'admin', 'internal' or 'none'.
+ * @param {Object} req - Express request
+ * @returns {{caller_id: string|null, caller_auth: string, caller_ip: string|null, user_agent: string|null}}
+ */
+function getCallerIdentity(req) {
+  let callerAuth = 'none';
+  if (isAdminRequest(req)) {
+    callerAuth = 'admin';
+  } else if (isInternalRequest(req)) {
+    callerAuth = 'internal';
+  }
+  // Cloud Run sits behind a proxy, so the client address is the first X-Forwarded-For entry
+  const forwardedFor = (req.get('x-forwarded-for') || '').split(',')[0].trim();
+  return {
+    caller_id: (req.get('x-caller-id') || '').trim().slice(0, 200) || null,
+    caller_auth: callerAuth,
+    caller_ip: forwardedFor || req.ip || null,
+    user_agent: req.get('user-agent') || null
+  };
+}
+
+/**
+ * Middleware: only callers with the admin key get through.
+ * Fails closed with 503 when ADMIN_API_KEY isn't configured.
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY) {
+    return res.status(503).json({ success: false, error: 'Admin access is not configured' });
+  }
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Admin credentials required' });
+  }
+  next();
+}
+
+/**
+ * Middleware: callers with the internal secret or the admin key get through.
+ * Fails closed with 503 when neither secret is configured.
+ */
+function requireInternalOrAdmin(req, res, next) {
+  if (!process.env.ADMIN_API_KEY && !process.env.INTERNAL_API_SECRET) {
+    return res.status(503).json({ success: false, error: 'Internal access is not configured' });
+  }
+  if (!isInternalRequest(req) && !isAdminRequest(req)) {
+    return res.status(401).json({ success: false, error: 'Internal secret or admin credentials required' });
+  }
+  next();
+}
+
+module.exports = {
+  requireAdmin,
+  requireInternalOrAdmin,
+  isAdminRequest,
+  isInternalRequest,
+  getCallerIdentity
+};
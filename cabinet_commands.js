@@ -0,0 +1,100 @@
+// Cabinet commands that POST /stations/:id/commands may send, by the name callers use
+//
+// Only commands listed here can be sent, and none of them takes parameters, since sendCommandBySign only carries
+// the cabinet, slot and sign. Pops are not here: they go through POST /pop/... so they are verified.
+//
+// The Energo command signs aren't in the code: they haven't been confirmed against the live dashboard, and a wrong
+// sign goes straight to a cabinet. A command is enabled once its sign is set in CABINET_COMMAND_SIGNS, a JSON object
+// such as {"restart":"<sign>"}, taken from the dashboard's own sendCommandBySign requests.
+
+const CABINET_COMMANDS = {
+  restart: {
+    description: 'Reboot the cabinet'
+  },
+  sync_inventory: {
+    description: 'Make the cabinet report its slots and batteries again'
+  },
+  unlock_all: {
+    description: 'Open every slot lock, releasing all batteries without verification',
+    // Releases every battery at once, so the caller has to confirm with the station id
+    requiresConfirm: true
+  }
+};
+
+let cachedSignsSource = null;
+let cachedSigns = null;
+
+/**
+ * Parse and validate CABINET_COMMAND_SIGNS (cached until the env value changes)
+ * @returns {Object<string, string>} - Command name to Energo command sign, for enabled commands only
+ */
+function getCommandSigns() {
+  const source = process.env.CABINET_COMMAND_SIGNS || '';
+  if (cachedSigns && cachedSignsSource === source) {
+    return cachedSigns;
+  }
+
+  const signs = {};
+  if (source.trim()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`CABINET_COMMAND_SIGNS is not valid JSON: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('CABINET_COMMAND_SIGNS must be a JSON object of command name to command sign');
+    }
+    for (const [name, sign] of Object.entries(parsed)) {
+      if (!Object.prototype.hasOwnProperty.call(CABINET_COMMANDS, name)) {
+        throw new Error(`CABINET_COMMAND_SIGNS has unknown command "${name}"`);
+      }
+      if (typeof sign !== 'string' || !sign.trim()) {
+        throw new Error(`CABINET_COMMAND_SIGNS.${name} must be a non-empty string`);
+      }
+      signs[name] = sign.trim();
+    }
+  }
+
+  cachedSignsSource = source;
+  cachedSigns = signs;
+  return signs;
+}
+
+/**
+ * Look up and validate a command request
+ * @param {string} name - Command name (a key of CABINET_COMMANDS)
+ * @param {Object} request
+ * @param {Object} [request.params] - Must be absent or empty: commands take no parameters
+ * @param {string} [request.confirm] - The station id, for commands that require confirmation
+ * @param {string} stationId - Station the command is for
+ * @returns {{command: Object}|{error: string, status: number}} - status is 400, or 503 for a command that isn't enabled
+ */
+function validateCabinetCommand(name, { params, confirm }, stationId) {
+  if (!Object.prototype.hasOwnProperty.call(CABINET_COMMANDS, name)) {
+    return { error: `Unknown command "${name}". Supported commands: ${Object.keys(CABINET_COMMANDS).join(', ')}`, status: 400 };
+  }
+  if (params !== undefined && (params === null || typeof params !== 'object' || Array.isArray(params) || Object.keys(params).length > 0)) {
+    return { error: `${name}: commands take no params`, status: 400 };
+  }
+  const command = CABINET_COMMANDS[name];
+  if (command.requiresConfirm && confirm !== stationId) {
+    return { error: `${name}: releases every battery, so confirm must be set to the station id`, status: 400 };
+  }
+
+  let signs;
+  try {
+    signs = getCommandSigns();
+  } catch (error) {
+    return { error: error.message, status: 503 };
+  }
+  if (!signs[name]) {
+    return { error: `${name} is not enabled: its Energo command sign is not set in CABINET_COMMAND_SIGNS`, status: 503 };
+  }
+  return { command: { name, ...command, commandSign: signs[name] } };
+}
+
+module.exports = {
+  CABINET_COMMANDS,
+  validateCabinetCommand
+};
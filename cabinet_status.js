@@ -0,0 +1,349 @@
+// Cached cabinet (station) status: battery counts and online flag, refreshed by a background poller
+//
+// The poller reads every station's status from Energo on an interval and keeps it in memory and in the
+// cabinet_status table, so station routes don't call Energo per station on each request. The table lets an
+// instance that hasn't polled yet (or whose poller fell behind) serve what another instance last read.
+// When a poll fails the last good counts are kept and energo_error records the failure. Polls take a Postgres
+// advisory lock, so when several instances run only one of them reads Energo at a time.
+
+// How often the poller refreshes every cabinet
+const CABINET_STATUS_POLL_MS = (parseInt(process.env.CABINET_STATUS_POLL_SECONDS, 10) || 60) * 1000;
+// Statuses last read successfully longer ago than this are served with stale: true
+const CABINET_STATUS_STALE_MS = (parseInt(process.env.CABINET_STATUS_STALE_SECONDS, 10) || 180) * 1000;
+// Advisory lock key held by the instance that is polling
+const CABINET_STATUS_POLL_LOCK_KEY = 352602;
+
+// Create the cabinet_status table on first use, once per pool
+const tableReady = new WeakMap();
+function ensureCabinetStatusTable(pool) {
+  if (!tableReady.has(pool)) {
+    const ready = pool.query(`
+      CREATE TABLE IF NOT EXISTS cabinet_status (
+        station_id TEXT PRIMARY KEY,
+        filled_slots INTEGER,
+        open_slots INTEGER,
+        online BOOLEAN,
+        energo_error TEXT,
+        updated_at TIMESTAMPTZ,
+        checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `).catch((error) => {
+      tableReady.delete(pool);
+      throw error;
+    });
+    tableReady.set(pool, ready);
+  }
+  return tableReady.get(pool);
+}
+
+/**
+ * Cache entry from a cabinet_status row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function rowToEntry(row) {
+  return {
+    filled_slots: row.filled_slots,
+    open_slots: row.open_slots,
+    online: row.online,
+    energo_error: row.energo_error || null,
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null,
+    checkedAt: new Date(row.checked_at)
+  };
+}
+
+/**
+ * Status fields added to a station in API responses
+ * @param {Object|undefined} entry - Cache entry (undefined if the station has never been read)
+ * @returns {Object} - filled_slots, open_slots, online, energo_error (when the last read failed), status_updated_at, stale
+ */
+function toStationStatus(entry) {
+  if (!entry) {
+    return { filled_slots: null, open_slots: null, online: null, status_updated_at: null, stale: true };
+  }
+  return {
+    filled_slots: entry.filled_slots,
+    open_slots: entry.open_slots,
+    online: entry.online,
+    ...(entry.energo_error ? { energo_error: entry.energo_error } : {}),
+    status_updated_at: entry.updatedAt ? entry.updatedAt.toISOString() : null,
+    stale: !entry.updatedAt || Date.now() - entry.updatedAt.getTime() > CABINET_STATUS_STALE_MS
+  };
+}
+
+/**
+ * Cabinet status cache backed by the given pool
+ * @param {Object} options
+ * @param {Object} options.pool - pg Pool (stations and cabinet_status)
+ * @param {Function} options.loadStations - async () => station rows (id, energo_account_id) to poll
+ * @param {Function} options.fetchStatuses - async (stations) => Map of station id to {filled_slots, open_slots, online, energo_error?}
+ * @returns {Object} - refresh, refreshAll, poll, getStatuses, startPoller
+ */
+function createCabinetStatusCache({ pool, loadStations, fetchStatuses }) {
+  // Cache entries by station id
+  const entries = new Map();
+  // Poll of every station in progress; concurrent refreshAll calls share it
+  let pendingRefreshAll = null;
+  let pollerStarted = false;
+
+  /**
+   * Write read results to cabinet_status. Failed reads only record the error, keeping the last good counts.
+   * Database failures are logged: the in-memory cache is still updated.
+   */
+  async function saveEntries(results) {
+    const succeeded = results.filter(({ entry }) => !entry.energo_error);
+    const failed = results.filter(({ entry }) => entry.energo_error);
+    try {
+      await ensureCabinetStatusTable(pool);
+      if (succeeded.length > 0) {
+        await pool.query(
+          `INSERT INTO cabinet_status (station_id, filled_slots, open_slots, online, energo_error, updated_at, checked_at)
+           SELECT station_id, filled_slots, open_slots, online, NULL, NOW(), NOW()
+           FROM unnest($1::text[], $2::int[], $3::int[], $4::boolean[]) AS t(station_id, filled_slots, open_slots, online)
+           ON CONFLICT (station_id) DO UPDATE SET
+             filled_slots = EXCLUDED.filled_slots,
+             open_slots = EXCLUDED.open_slots,
+             online = EXCLUDED.online,
+             energo_error = NULL,
+             updated_at = EXCLUDED.updated_at,
+             checked_at = EXCLUDED.checked_at`,
+          [
+            succeeded.map(({ stationId }) => stationId),
+            succeeded.map(({ entry }) => entry.filled_slots),
+            succeeded.map(({ entry }) => entry.open_slots),
+            succeeded.map(({ entry }) => entry.online)
+          ]
+        );
+      }
+      if (failed.length > 0) {
+        await pool.query(
+          `INSERT INTO cabinet_status (station_id, energo_error, checked_at)
+           SELECT station_id, energo_error, NOW()
+           FROM unnest($1::text[], $2::text[]) AS t(station_id, energo_error)
+           ON CONFLICT (station_id) DO UPDATE SET
+             energo_error = EXCLUDED.energo_error,
+             checked_at = EXCLUDED.checked_at`,
+          [failed.map(({ stationId }) => stationId), failed.map(({ entry }) => entry.energo_error)]
+        );
+      }
+    } catch (error) {
+      console.error('❌ Could not save cabinet statuses:', error.message);
+    }
+  }
+
+  /**
+   * Read stations' status from Energo now and cache it
+   * @param {Array<Object>} stations - Station rows (id, energo_account_id)
+   * @returns {Promise<Map<string, Object>>} - Cache entries by station id
+   */
+  async function refresh(stations) {
+    const checkedAt = new Date();
+    let statuses;
+    try {
+      statuses = await fetchStatuses(stations);
+    } catch (error) {
+      console.error(`❌ Could not read cabinet statuses of ${stations.length} station(s):`, error.message);
+      return new Map();
+    }
+
+    const results = [];
+    for (const station of stations) {
+      const status = statuses.get(station.id);
+      if (!status) {
+        continue;
+      }
+
+      const previous = entries.get(station.id);
+      const entry = status.energo_error
+        ? {
+          filled_slots: previous ? previous.filled_slots : null,
+          open_slots: previous ? previous.open_slots : null,
+          online: previous ? previous.online : null,
+          energo_error: status.energo_error,
+          updatedAt: previous ? previous.updatedAt : null,
+          checkedAt
+        }
+        : {
+          filled_slots: status.filled_slots,
+          open_slots: status.open_slots,
+          online: status.online,
+          energo_error: null,
+          updatedAt: checkedAt,
+          checkedAt
+        };
+      entries.set(station.id, entry);
+      results.push({ stationId: station.id, entry });
+    }
+
+    if (results.length > 0) {
+      await saveEntries(results);
+    }
+    return new Map(results.map(({ stationId, entry }) => [stationId, entry]));
+  }
+
+  /**
+   * Refresh every station (shared by concurrent callers) and drop entries of deleted stations
+   */
+  function refreshAll() {
+    if (!pendingRefreshAll) {
+      pendingRefreshAll = (async () => {
+        const stations = await loadStations();
+        const ids = new Set(stations.map((station) => station.id));
+        for (const stationId of entries.keys()) {
+          if (!ids.has(stationId)) {
+            entries.delete(stationId);
+          }
+        }
+        const refreshed = await refresh(stations);
+        try {
+          await ensureCabinetStatusTable(pool);
+          await pool.query('DELETE FROM cabinet_status WHERE station_id NOT IN (SELECT id FROM stations)');
+        } catch (error) {
+          console.error('❌ Could not prune cabinet statuses:', error.message);
+        }
+        return refreshed;
+      })().finally(() => {
+        pendingRefreshAll = null;
+      });
+    }
+    return pendingRefreshAll;
+  }
+
+  /**
+   * Newer entries from cabinet_status for the given stations (written by this or another instance)
+   * @param {Array<string>} stationIds
+   */
+  async function loadSavedEntries(stationIds) {
+    try {
+      await ensureCabinetStatusTable(pool);
+      const result = await pool.query(
+        'SELECT station_id, filled_slots, open_slots, online, energo_error, updated_at, checked_at FROM cabinet_status WHERE station_id = ANY($1)',
+        [stationIds]
+      );
+      for (const row of result.rows) {
+        const saved = rowToEntry(row);
+        const current = entries.get(row.station_id);
+        if (!current || saved.checkedAt > current.checkedAt) {
+          entries.set(row.station_id, saved);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Could not read saved cabinet statuses:', error.message);
+    }
+  }
+
+  /**
+   * Status fields for each station: from the cache, or read live with fresh (and for stations never read yet)
+   * @param {Array<Object>} stations - Station rows (id, energo_account_id)
+   * @param {Object} [options]
+   * @param {boolean} [options.fresh=false] - Read every station from Energo now
+   * @returns {Promise<Map<string, Object>>} - Status fields (see toStationStatus) by station id
+   */
+  async function getStatuses(stations, { fresh = false } = {}) {
+    if (fresh) {
+      await refresh(stations);
+    } else {
+      const outdated = stations.filter((station) => {
+        const entry = entries.get(station.id);
+        return !entry || Date.now() - entry.checkedAt.getTime() > CABINET_STATUS_POLL_MS;
+      });
+      if (outdated.length > 0) {
+        await loadSavedEntries(outdated.map((station) => station.id));
+      }
+      const missing = stations.filter((station) => !entries.has(station.id));
+      if (missing.length > 0) {
+        await refresh(missing);
+      }
+    }
+    return new Map(stations.map((station) => [station.id, toStationStatus(entries.get(station.id))]));
+  }
+
+  /**
+   * Take the poll lock on a connection of its own
+   * @returns {Promise<{locked: boolean, client: Object|null}>} - client holds the lock until released. Without the
+   *   database the poll runs unlocked (locked: true, client: null): a duplicate read beats an outdated cache.
+   */
+  async function acquirePollLock() {
+    let client;
+    try {
+      client = await pool.connect();
+    } catch (error) {
+      console.warn('⚠️ Could not connect for the cabinet status poll lock, polling without it:', error.message);
+      return { locked: true, client: null };
+    }
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [CABINET_STATUS_POLL_LOCK_KEY]);
+      if (result.rows[0].locked) {
+        return { locked: true, client };
+      }
+      client.release();
+      return { locked: false, client: null };
+    } catch (error) {
+      client.release();
+      console.warn('⚠️ Could not take the cabinet status poll lock, polling without it:', error.message);
+      return { locked: true, client: null };
+    }
+  }
+
+  /**
+   * Poll every station once, unless another instance is polling (its results reach us through cabinet_status)
+   * @returns {Promise<Map<string, Object>|null>} - Refreshed entries by station id, or null if the poll was skipped
+   */
+  async function poll() {
+    const lock = await acquirePollLock();
+    if (!lock.locked) {
+      console.log('⏭️ Another instance is polling cabinet statuses, skipping this poll');
+      return null;
+    }
+    try {
+      return await refreshAll();
+    } finally {
+      if (lock.client) {
+        try {
+          await lock.client.query('SELECT pg_advisory_unlock($1)', [CABINET_STATUS_POLL_LOCK_KEY]);
+        } catch (error) {
+          console.error('Error releasing cabinet status poll lock:', error.message);
+        }
+        lock.client.release();
+      }
+    }
+  }
+
+  /**
+   * Poll every station now and then every CABINET_STATUS_POLL_SECONDS
+   */
+  async function runPoll() {
+    const startedAt = Date.now();
+    try {
+      const refreshed = await poll();
+      if (refreshed) {
+        const failed = [...refreshed.values()].filter((entry) => entry.energo_error).length;
+        console.log(`📡 Cabinet status poll: ${refreshed.size} station(s) read, ${failed} Energo failure(s) in ${Date.now() - startedAt}ms`);
+      }
+    } catch (error) {
+      console.error('❌ Cabinet status poll failed:', error.message);
+    } finally {
+      setTimeout(runPoll, CABINET_STATUS_POLL_MS);
+    }
+  }
+
+  /**
+   * Start the background poller (no-op if already started)
+   * @param {number} [initialDelayMs=0] - Wait before the first poll
+   */
+  function startPoller(initialDelayMs = 0) {
+    if (pollerStarted) {
+      return;
+    }
+    pollerStarted = true;
+    console.log(`🚀 Starting cabinet status poller (every ${CABINET_STATUS_POLL_MS / 1000}s)...`);
+    setTimeout(runPoll, initialDelayMs);
+  }
+
+  return { refresh, refreshAll, poll, getStatuses, startPoller };
+}
+
+module.exports = {
+  ensureCabinetStatusTable,
+  createCabinetStatusCache
+};
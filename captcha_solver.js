@@ -0,0 +1,680 @@
+// Captcha solver providers for the Energo login captcha ("number operator number = ?")
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Add fetch for HTTP requests
+let fetch;
+if (typeof globalThis.fetch === 'undefined') {
+  fetch = require('node-fetch');
+} else {
+  fetch = globalThis.fetch;
+}
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+// Providers tried in order, e.g. "local,openai,telegram". local is left out by default: it needs templates learned
+// from real Energo captchas (see learn below), and none ship with the service
+const DEFAULT_SOLVER_CHAIN = 'openai,telegram';
+// OpenAI vision model used for captcha solving
+const DEFAULT_OPENAI_MODEL = 'gpt-4o';
+// Glyph templates for the local recognizer (built with: node captcha_solver.js learn <image> <expression>; not shipped)
+const DEFAULT_TEMPLATES_PATH = path.join(__dirname, 'captcha_templates.json');
+// Every glyph must match a template at least this well for the local answer to be trusted
+const DEFAULT_LOCAL_MIN_CONFIDENCE = 0.75;
+
+// Normalized glyph size used for template matching
+const GLYPH_WIDTH = 10;
+const GLYPH_HEIGHT = 14;
+// Keep at most this many samples per character in the templates file
+const MAX_SAMPLES_PER_GLYPH = 20;
+// Connected components smaller than this are treated as noise
+const MIN_COMPONENT_PIXELS = 4;
+
+// Alternative operator glyphs and the arithmetic operator they stand for
+const OPERATOR_ALIASES = { 'x': '*', '×': '*', '÷': '/' };
+
+function getTemplatesPath() {
+  return process.env.CAPTCHA_TEMPLATES_PATH || DEFAULT_TEMPLATES_PATH;
+}
+
+function getLocalMinConfidence() {
+  const value = parseFloat(process.env.CAPTCHA_LOCAL_MIN_CONFIDENCE);
+  return isNaN(value) ? DEFAULT_LOCAL_MIN_CONFIDENCE : value;
+}
+
+// ========================================
+// PNG DECODING
+// ========================================
+
+/**
+ * Split a data URL or raw base64 string into a Buffer
+ * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
+ * @returns {Buffer}
+ */
+function imageToBuffer(imageBase64) {
+  const base64Data = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
+  return Buffer.from(base64Data, 'base64');
+}
+
+// Leading bytes of image formats the local recognizer can't read, to name them in the error
+const OTHER_IMAGE_SIGNATURES = [
+  { name: 'JPEG', bytes: 'ffd8ff' },
+  { name: 'GIF', bytes: '474946' },
+  { name: 'BMP', bytes: '424d' },
+  { name: 'WebP', bytes: '52494646' }
+];
+
+/**
+ * Decode a non-interlaced PNG into a grayscale pixel array (0 = black, 255 = white).
+ * Transparent pixels are composited onto white.
+ * @param {Buffer} buffer - PNG file contents
+ * @returns {{width: number, height: number, pixels: Uint8Array}}
+ */
+function decodePng(buffer) {
+  const signature = '89504e470d0a1a0a';
+  if (buffer.length < 8 || buffer.subarray(0, 8).toString('hex') !== signature) {
+    const hex = buffer.subarray(0, 4).toString('hex');
+    const other = OTHER_IMAGE_SIGNATURES.find((format) => hex.startsWith(format.bytes));
+    throw new Error(`Unsupported captcha image format (${other ? other.name : 'not an image'}): the local recognizer only reads PNG`);
+  }
+
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const dataChunks = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = data;
+    } else if (type === 'tRNS') {
+      transparency = data;
+    } else if (type === 'IDAT') {
+      dataChunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('Invalid PNG: missing IHDR');
+  }
+  if (header.interlace !== 0) {
+    throw new Error('Interlaced PNG captchas are not supported');
+  }
+
+  const channelsByColorType = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+  const channels = channelsByColorType[header.colorType];
+  if (!channels) {
+    throw new Error(`Unsupported PNG color type ${header.colorType}`);
+  }
+
+  const { width, height, bitDepth, colorType } = header;
+  const bitsPerPixel = channels * bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+  const stride = Math.ceil((width * bitsPerPixel) / 8);
+  const raw = zlib.inflateSync(Buffer.concat(dataChunks));
+
+  // Undo the per-row filters
+  const rows = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const value = raw[src + x];
+      const left = x >= bytesPerPixel ? rows[dst + x - bytesPerPixel] : 0;
+      const up = y > 0 ? rows[dst - stride + x] : 0;
+      const upLeft = y > 0 && x >= bytesPerPixel ? rows[dst - stride + x - bytesPerPixel] : 0;
+      let predictor = 0;
+      if (filter === 1) {
+        predictor = left;
+      } else if (filter === 2) {
+        predictor = up;
+      } else if (filter === 3) {
+        predictor = (left + up) >> 1;
+      } else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+      }
+      rows[dst + x] = (value + predictor) & 0xff;
+    }
+  }
+
+  // Read one sample (scaled to 0-255) at a given sample index within a row
+  const maxSample = (1 << bitDepth) - 1;
+  const readSample = (rowStart, index) => {
+    if (bitDepth === 8) return rows[rowStart + index];
+    if (bitDepth === 16) return rows[rowStart + index * 2];
+    const bitOffset = index * bitDepth;
+    const byte = rows[rowStart + (bitOffset >> 3)];
+    const shift = 8 - bitDepth - (bitOffset & 7);
+    const sample = (byte >> shift) & maxSample;
+    return colorType === 3 ? sample : Math.round((sample * 255) / maxSample);
+  };
+
+  const pixels = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * stride;
+    for (let x = 0; x < width; x++) {
+      let r;
+      let g;
+      let b;
+      let alpha = 255;
+      const base = x * channels;
+      if (colorType === 0) {
+        r = g = b = readSample(rowStart, base);
+      } else if (colorType === 2) {
+        r = readSample(rowStart, base);
+        g = readSample(rowStart, base + 1);
+        b = readSample(rowStart, base + 2);
+      } else if (colorType === 3) {
+        const index = readSample(rowStart, base);
+        r = palette ? palette[index * 3] : 0;
+        g = palette ? palette[index * 3 + 1] : 0;
+        b = palette ? palette[index * 3 + 2] : 0;
+        alpha = transparency && index < transparency.length ? transparency[index] : 255;
+      } else if (colorType === 4) {
+        r = g = b = readSample(rowStart, base);
+        alpha = readSample(rowStart, base + 1);
+      } else {
+        r = readSample(rowStart, base);
+        g = readSample(rowStart, base + 1);
+        b = readSample(rowStart, base + 2);
+        alpha = readSample(rowStart, base + 3);
+      }
+      const gray = 0.299 * r + 0.587 * g + 0.114 * b;
+      pixels[y * width + x] = Math.round((gray * alpha + 255 * (255 - alpha)) / 255);
+    }
+  }
+
+  return { width, height, pixels };
+}
+
+// ========================================
+// LOCAL ARITHMETIC RECOGNIZER
+// ========================================
+
+/**
+ * Pick a foreground threshold with Otsu's method
+ * @param {Uint8Array} pixels - Grayscale pixels
+ * @returns {number}
+ */
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value]++;
+
+  let sum = 0;
+  for (let i = 0; i < 256; i++) sum += i * histogram[i];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let bestVariance = -1;
+  let threshold = 127;
+  for (let i = 0; i < 256; i++) {
+    weightBackground += histogram[i];
+    if (weightBackground === 0) continue;
+    const weightForeground = pixels.length - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += i * histogram[i];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sum - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      threshold = i;
+    }
+  }
+  return threshold;
+}
+
+/**
+ * Turn a grayscale image into a foreground mask with small noise specks removed
+ * @param {{width: number, height: number, pixels: Uint8Array}} image
+ * @returns {Uint8Array} - 1 = glyph pixel, 0 = background
+ */
+function binarize(image) {
+  const { width, height, pixels } = image;
+  const threshold = otsuThreshold(pixels);
+  const mask = new Uint8Array(width * height);
+  let foreground = 0;
+  for (let i = 0; i < pixels.length; i++) {
+    if (pixels[i] <= threshold) {
+      mask[i] = 1;
+      foreground++;
+    }
+  }
+
+  // Text is the minority; if most of the image is "dark" the colours are inverted
+  if (foreground > pixels.length / 2) {
+    for (let i = 0; i < mask.length; i++) mask[i] = mask[i] ? 0 : 1;
+  }
+
+  // Drop tiny connected components (noise dots)
+  const seen = new Uint8Array(mask.length);
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || seen[start]) continue;
+    const component = [start];
+    seen[start] = 1;
+    for (let i = 0; i < component.length; i++) {
+      const index = component[i];
+      const x = index % width;
+      const y = (index - x) / width;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const neighbor = ny * width + nx;
+          if (mask[neighbor] && !seen[neighbor]) {
+            seen[neighbor] = 1;
+            component.push(neighbor);
+          }
+        }
+      }
+    }
+    if (component.length < MIN_COMPONENT_PIXELS) {
+      for (const index of component) mask[index] = 0;
+    }
+  }
+
+  return mask;
+}
+
+/**
+ * Split the mask into glyphs at empty columns and normalize each to GLYPH_WIDTH x GLYPH_HEIGHT.
+ * Glyphs are scaled by the text line height (not their own height) so "-" stays a thin bar.
+ * @param {{width: number, height: number, pixels: Uint8Array}} image
+ * @returns {string[]} - One '0'/'1' string per glyph, left to right
+ */
+function segmentGlyphs(image) {
+  const { width, height } = image;
+  const mask = binarize(image);
+
+  const columnHasInk = new Array(width).fill(false);
+  let lineTop = height;
+  let lineBottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (mask[y * width + x]) {
+        columnHasInk[x] = true;
+        if (y < lineTop) lineTop = y;
+        if (y > lineBottom) lineBottom = y;
+      }
+    }
+  }
+  if (lineBottom < 0) {
+    return [];
+  }
+
+  const spans = [];
+  let spanStart = -1;
+  for (let x = 0; x <= width; x++) {
+    const ink = x < width && columnHasInk[x];
+    if (ink && spanStart < 0) {
+      spanStart = x;
+    } else if (!ink && spanStart >= 0) {
+      spans.push([spanStart, x - 1]);
+      spanStart = -1;
+    }
+  }
+
+  const lineHeight = lineBottom - lineTop + 1;
+  const scale = GLYPH_HEIGHT / lineHeight;
+
+  return spans.map(([x0, x1]) => {
+    const glyphWidth = x1 - x0 + 1;
+    const scaledWidth = Math.min(GLYPH_WIDTH, Math.max(1, Math.round(glyphWidth * scale)));
+    const left = Math.floor((GLYPH_WIDTH - scaledWidth) / 2);
+    let bits = '';
+    for (let ty = 0; ty < GLYPH_HEIGHT; ty++) {
+      const sy0 = lineTop + Math.floor((ty * lineHeight) / GLYPH_HEIGHT);
+      const sy1 = Math.max(sy0 + 1, lineTop + Math.floor(((ty + 1) * lineHeight) / GLYPH_HEIGHT));
+      for (let tx = 0; tx < GLYPH_WIDTH; tx++) {
+        if (tx < left || tx >= left + scaledWidth) {
+          bits += '0';
+          continue;
+        }
+        const sx0 = x0 + Math.floor(((tx - left) * glyphWidth) / scaledWidth);
+        const sx1 = Math.max(sx0 + 1, x0 + Math.floor(((tx - left + 1) * glyphWidth) / scaledWidth));
+        let ink = 0;
+        for (let sy = sy0; sy < sy1; sy++) {
+          for (let sx = sx0; sx < sx1; sx++) {
+            ink += mask[sy * width + sx];
+          }
+        }
+        bits += ink / ((sy1 - sy0) * (sx1 - sx0)) >= 0.35 ? '1' : '0';
+      }
+    }
+    return bits;
+  });
+}
+
+/**
+ * Dice similarity between two glyph bit strings
+ * @returns {number} - 0 (disjoint) to 1 (identical)
+ */
+function glyphSimilarity(a, b) {
+  let both = 0;
+  let countA = 0;
+  let countB = 0;
+  for (let i = 0; i < a.length; i++) {
+    const bitA = a[i] === '1';
+    const bitB = b[i] === '1';
+    if (bitA) countA++;
+    if (bitB) countB++;
+    if (bitA && bitB) both++;
+  }
+  if (countA + countB === 0) return 1;
+  return (2 * both) / (countA + countB);
+}
+
+/**
+ * Load glyph templates from disk
+ * @returns {{width: number, height: number, glyphs: Object<string, string[]>}|null}
+ */
+function loadTemplates() {
+  const templatesPath = getTemplatesPath();
+  if (!fs.existsSync(templatesPath)) {
+    return null;
+  }
+  let templates;
+  try {
+    templates = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Captcha templates in ${templatesPath} could not be read: ${error.message}`);
+  }
+  if (templates.width !== GLYPH_WIDTH || templates.height !== GLYPH_HEIGHT) {
+    throw new Error(`Captcha templates in ${templatesPath} use a different glyph size`);
+  }
+  return templates;
+}
+
+/**
+ * Evaluate "a op b" and return the answer as a string
+ * @returns {string|null} - null when the expression isn't a supported arithmetic problem
+ */
+function evaluateExpression(expression) {
+  const normalized = expression
+    .split('')
+    .map((char) => OPERATOR_ALIASES[char] || char)
+    .join('')
+    .replace(/[=?]+$/, '');
+  const match = normalized.match(/^(\d+)([+\-*/])(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  const left = parseInt(match[1], 10);
+  const right = parseInt(match[3], 10);
+  let answer;
+  switch (match[2]) {
+    case '+': answer = left + right; break;
+    case '-': answer = left - right; break;
+    case '*': answer = left * right; break;
+    case '/':
+      if (right === 0) return null;
+      answer = left / right;
+      break;
+    default:
+      return null;
+  }
+  return Number.isInteger(answer) ? String(answer) : String(parseFloat(answer.toFixed(2)));
+}
+
+/**
+ * Recognize the captcha text and compute the answer without any network calls
+ * @param {string} imageBase64 - Captcha image (data URL or base64 PNG)
+ * @returns {{expression: string, answer: string|null, confidence: number}}
+ */
+function recognizeArithmeticCaptcha(imageBase64) {
+  const templates = loadTemplates();
+  if (!templates || Object.keys(templates.glyphs || {}).length === 0) {
+    throw new Error(`No captcha glyph templates found at ${getTemplatesPath()}: learn them with ` +
+      '"node captcha_solver.js learn <captcha.png> <expression>" or point CAPTCHA_TEMPLATES_PATH at a templates file');
+  }
+
+  const glyphs = segmentGlyphs(decodePng(imageToBuffer(imageBase64)));
+  let expression = '';
+  let confidence = glyphs.length > 0 ? 1 : 0;
+
+  for (const glyph of glyphs) {
+    let bestChar = '?';
+    let bestScore = 0;
+    for (const [char, samples] of Object.entries(templates.glyphs)) {
+      for (const sample of samples) {
+        const score = glyphSimilarity(glyph, sample);
+        if (score > bestScore) {
+          bestScore = score;
+          bestChar = char;
+        }
+      }
+    }
+    expression += bestChar;
+    confidence = Math.min(confidence, bestScore);
+  }
+
+  return { expression, answer: evaluateExpression(expression), confidence };
+}
+
+/**
+ * Add the glyphs of a labelled captcha to the templates file
+ * @param {string} imageBase64 - Captcha image (data URL or base64 PNG)
+ * @param {string} expression - What the captcha shows, e.g. "7+3=?" (spaces ignored)
+ * @returns {{learned: number, templatesPath: string}}
+ */
+function learnCaptchaTemplates(imageBase64, expression) {
+  const label = expression.replace(/\s+/g, '');
+  const glyphs = segmentGlyphs(decodePng(imageToBuffer(imageBase64)));
+  if (glyphs.length !== label.length) {
+    throw new Error(`Found ${glyphs.length} glyphs in the image but the label "${label}" has ${label.length} characters`);
+  }
+
+  const templates = loadTemplates() || { width: GLYPH_WIDTH, height: GLYPH_HEIGHT, glyphs: {} };
+  glyphs.forEach((glyph, index) => {
+    const char = label[index];
+    const samples = templates.glyphs[char] || [];
+    if (!samples.includes(glyph)) {
+      samples.push(glyph);
+    }
+    templates.glyphs[char] = samples.slice(-MAX_SAMPLES_PER_GLYPH);
+  });
+
+  const templatesPath = getTemplatesPath();
+  fs.writeFileSync(templatesPath, JSON.stringify(templates, null, 2));
+  return { learned: glyphs.length, templatesPath };
+}
+
+// ========================================
+// PROVIDERS
+// ========================================
+
+/**
+ * Solve captcha using OpenAI Vision API
+ * The captcha is a simple math problem in format: number operator number = ?
+ * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
+ * @param {string} openaiApiKey - OpenAI API key
+ * @param {string} [model] - Vision model (defaults to OPENAI_CAPTCHA_MODEL or gpt-4o)
+ * @returns {Promise<string>} - The numeric answer to the math problem
+ */
+async function solveCaptchaWithOpenAI(imageBase64, openaiApiKey, model) {
+  try {
+    // Remove data URL prefix if present
+    const base64Data = imageBase64.includes(',')
+      ? imageBase64.split(',')[1]
+      : imageBase64;
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${openaiApiKey}`
+      },
+      body: JSON.stringify({
+        model: model || process.env.OPENAI_CAPTCHA_MODEL || DEFAULT_OPENAI_MODEL,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'text',
+                text: 'This is a captcha image showing a simple math problem. The format is: number operator number = ? (where operator can be +, -, *, or /). Solve the math problem and respond with ONLY the numeric answer (the number that should replace the ?). Do not include any explanation, spaces, or additional characters - just the number.'
+              },
+              {
+                type: 'image_url',
+                image_url: {
+                  url: `data:image/png;base64,${base64Data}`
+                }
+              }
+            ]
+          }
+        ],
+        max_tokens: 10 // Math answers are usually short
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.text();
+      throw new Error(`OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`);
+    }
+
+    const data = await response.json();
+    const captchaCode = data.choices[0].message.content.trim();
+
+    console.log(`OpenAI solved captcha: ${captchaCode}`);
+    return captchaCode;
+  } catch (error) {
+    console.error('Error solving captcha with OpenAI:', error);
+    throw error;
+  }
+}
+
+// Each provider: solve(image, options) resolves to the answer string or throws
+const providers = {
+  local: {
+    async solve(imageBase64) {
+      const result = recognizeArithmeticCaptcha(imageBase64);
+      const minConfidence = getLocalMinConfidence();
+      if (result.answer === null) {
+        throw new Error(`Recognized "${result.expression}", which is not an arithmetic problem`);
+      }
+      if (result.confidence < minConfidence) {
+        throw new Error(`Recognized "${result.expression}" with confidence ${result.confidence.toFixed(2)} (< ${minConfidence})`);
+      }
+      console.log(`Local recognizer solved captcha: ${result.expression} → ${result.answer} (confidence ${result.confidence.toFixed(2)})`);
+      return result.answer;
+    }
+  },
+
+  openai: {
+    async solve(imageBase64, options) {
+      const apiKey = options.openaiApiKey || process.env.OPENAI_API_KEY;
+      if (!apiKey) {
+        throw new Error('OpenAI API key not provided. Set OPENAI_API_KEY environment variable or pass openaiApiKey parameter.');
+      }
+      return solveCaptchaWithOpenAI(imageBase64, apiKey);
+    }
+  },
+
+  // Human fallback: posts the image to the ops Telegram chat and waits for a reply
+  telegram: {
+    async solve(imageBase64) {
+      const telegramBot = require('./telegram_bot');
+      return telegramBot.requestCaptchaAnswer(imageBase64);
+    }
+  }
+};
+
+/**
+ * Provider names to try, in order (CAPTCHA_SOLVERS env var, comma separated)
+ * @returns {string[]}
+ */
+function getSolverChain() {
+  return (process.env.CAPTCHA_SOLVERS || DEFAULT_SOLVER_CHAIN)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Solve a captcha with the configured providers, falling through to the next one on failure
+ * @param {string} imageBase64 - Captcha image (data URL or base64)
+ * @param {Object} [options]
+ * @param {string} [options.openaiApiKey] - OpenAI API key (uses OPENAI_API_KEY env var if not provided)
+ * @param {string[]} [options.providers] - Override the configured provider chain
+ * @returns {Promise<{answer: string, provider: string}>}
+ */
+async function solveCaptcha(imageBase64, options = {}) {
+  const chain = options.providers || getSolverChain();
+  const failures = [];
+
+  for (const name of chain) {
+    const provider = providers[name];
+    if (!provider) {
+      failures.push(`${name}: unknown provider`);
+      continue;
+    }
+    try {
+      const answer = String(await provider.solve(imageBase64, options)).trim();
+      if (!/^-?\d+(\.\d+)?$/.test(answer)) {
+        throw new Error(`Answer "${answer}" is not a number`);
+      }
+      return { answer, provider: name };
+    } catch (error) {
+      console.warn(`⚠️ Captcha provider "${name}" failed: ${error.message}`);
+      failures.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`All captcha providers failed (${failures.join('; ')})`);
+}
+
+module.exports = {
+  solveCaptcha,
+  solveCaptchaWithOpenAI,
+  recognizeArithmeticCaptcha,
+  learnCaptchaTemplates,
+  decodePng,
+  getSolverChain,
+  providers
+};
+
+// If running directly: node captcha_solver.js learn <image.png> "<expression>" | solve <image.png>
+if (require.main === module) {
+  const [command, imagePath, expression] = process.argv.slice(2);
+  try {
+    if (command === 'learn' && imagePath && expression) {
+      const image = fs.readFileSync(imagePath).toString('base64');
+      const result = learnCaptchaTemplates(image, expression);
+      console.log(`✅ Learned ${result.learned} glyphs into ${result.templatesPath}`);
+    } else if (command === 'solve' && imagePath) {
+      const image = fs.readFileSync(imagePath).toString('base64');
+      console.log(recognizeArithmeticCaptcha(image));
+    } else {
+      console.log('Usage:');
+      console.log('  node captcha_solver.js learn <captcha.png> "7+3=?"');
+      console.log('  node captcha_solver.js solve <captcha.png>');
+    }
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+  }
+}
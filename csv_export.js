@@ -0,0 +1,51 @@
+// CSV helpers for the export routes
+
+// Cells starting with one of these are run as formulas by spreadsheet apps (CSV formula injection)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Plain numbers (negative longitudes, for one) can't be formulas and stay numbers
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Make a cell safe to open in a spreadsheet: values that would start a formula get a leading '
+ * @param {string} value
+ * @returns {string}
+ */
+function neutralizeFormula(value) {
+  return FORMULA_PREFIX.test(value) && !PLAIN_NUMBER.test(value) ? `'${value}` : value;
+}
+
+/**
+ * Helper function to convert array of objects to CSV string
+ */
+function arrayToCSV(data, headers) {
+  if (!data || data.length === 0) {
+    return headers.join(',') + '\n';
+  }
+
+  // Create CSV header row
+  const csvRows = [headers.join(',')];
+
+  // Create CSV data rows
+  for (const row of data) {
+    const values = headers.map(header => {
+      const value = row[header];
+      // Handle null/undefined values
+      if (value === null || value === undefined) {
+        return '';
+      }
+      // Escape commas, quotes and line breaks in string values
+      const stringValue = neutralizeFormula(String(value));
+      if (/[,"\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+      }
+      return stringValue;
+    });
+    csvRows.push(values.join(','));
+  }
+
+  return csvRows.join('\n');
+}
+
+module.exports = {
+  arrayToCSV
+};
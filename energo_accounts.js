@@ -0,0 +1,149 @@
+// Energo operator accounts (credentials + oid) and which account owns each station
+//
+// Accounts come from ENERGO_ACCOUNTS, a JSON array such as
+//   [{"id":"default","name":"Chicago","username":"...","password":"...","oid":"3526"},
+//    {"id":"nyc","name":"New York","username":"...","password":"...","oid":"4120"}]
+// Without it there is a single "default" account built from ENERGO_USERNAME / ENERGO_PASSWORD / ENERGO_OID.
+// The first account is the default: stations without an energo_account_id belong to it.
+// Tokens stored before accounts existed are tagged "default", so keep that id for the original account.
+
+const { energoError } = require('./energo_client');
+
+// Operator id the dashboard sends as the `oid` header for our original account
+const DEFAULT_ENERGO_OID = '3526';
+const DEFAULT_ACCOUNT_ID = 'default';
+
+let cachedAccountsSource = null;
+let cachedAccounts = null;
+
+/**
+ * Parse and validate ENERGO_ACCOUNTS (cached until the env value changes)
+ * @returns {Array<{id: string, name: string, username: string, password: string, oid: string}>}
+ */
+function getEnergoAccounts() {
+  const source = process.env.ENERGO_ACCOUNTS || '';
+  if (cachedAccounts && cachedAccountsSource === source) {
+    return cachedAccounts;
+  }
+
+  let accounts;
+  if (source.trim()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(source);
+    } catch (error) {
+      throw new Error(`ENERGO_ACCOUNTS is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed) || parsed.length === 0) {
+      throw new Error('ENERGO_ACCOUNTS must be a non-empty JSON array');
+    }
+    accounts = parsed.map((account, index) => {
+      if (!account || !account.id || !account.oid) {
+        throw new Error(`ENERGO_ACCOUNTS[${index}] needs at least "id" and "oid"`);
+      }
+      return {
+        id: String(account.id),
+        name: account.name || String(account.id),
+        username: account.username,
+        password: account.password,
+        oid: String(account.oid)
+      };
+    });
+    const ids = new Set(accounts.map((account) => account.id));
+    if (ids.size !== accounts.length) {
+      throw new Error('ENERGO_ACCOUNTS has duplicate account ids');
+    }
+  } else {
+    accounts = [{
+      id: DEFAULT_ACCOUNT_ID,
+      name: DEFAULT_ACCOUNT_ID,
+      username: process.env.ENERGO_USERNAME,
+      password: process.env.ENERGO_PASSWORD,
+      oid: process.env.ENERGO_OID || DEFAULT_ENERGO_OID
+    }];
+  }
+
+  cachedAccountsSource = source;
+  cachedAccounts = accounts;
+  return accounts;
+}
+
+/**
+ * The default (first) account
+ * @returns {Object}
+ */
+function getDefaultEnergoAccount() {
+  return getEnergoAccounts()[0];
+}
+
+/**
+ * Look up an account by id; no id means the default account
+ * @param {string|null} [accountId]
+ * @returns {Object|null} - null for an unknown id
+ */
+function getEnergoAccount(accountId) {
+  if (!accountId) {
+    return getDefaultEnergoAccount();
+  }
+  return getEnergoAccounts().find((account) => account.id === String(accountId)) || null;
+}
+
+/**
+ * Account fields that are safe to return from the API (no credentials)
+ * @param {Object} account
+ * @returns {{id: string, name: string, oid: string}}
+ */
+function toPublicAccount(account) {
+  return { id: account.id, name: account.name, oid: account.oid };
+}
+
+// Add stations.energo_account_id on first use, once per pool
+const stationColumnReady = new WeakMap();
+function ensureStationAccountColumn(pool) {
+  if (!stationColumnReady.has(pool)) {
+    const ready = pool.query('ALTER TABLE stations ADD COLUMN IF NOT EXISTS energo_account_id TEXT').catch((error) => {
+      stationColumnReady.delete(pool);
+      throw error;
+    });
+    stationColumnReady.set(pool, ready);
+  }
+  return stationColumnReady.get(pool);
+}
+
+/**
+ * Account for a station row's energo_account_id (default account if unset)
+ * An unknown id throws an Energo error of kind 'account' rather than falling back, so the station's pops and commands
+ * never go out under another operator's token and oid.
+ * @param {string|null} accountId - stations.energo_account_id
+ * @param {string} [stationId] - For the error message
+ * @returns {Object}
+ */
+function resolveStationAccount(accountId, stationId) {
+  const account = getEnergoAccount(accountId);
+  if (!account) {
+    throw energoError('account', `Station ${stationId || '?'} belongs to Energo account "${accountId}", which is not configured in ENERGO_ACCOUNTS`, { accountId });
+  }
+  return account;
+}
+
+/**
+ * Energo account that owns a station
+ * @param {Object} pool - pg Pool of the calling router
+ * @param {string} stationId - Station (cabinet) id
+ * @returns {Promise<Object>} - Account (the default account if the station is unknown or unassigned); throws for an unknown account
+ */
+async function getStationEnergoAccount(pool, stationId) {
+  await ensureStationAccountColumn(pool);
+  const result = await pool.query('SELECT energo_account_id FROM stations WHERE id = $1', [stationId]);
+  return resolveStationAccount(result.rows.length > 0 ? result.rows[0].energo_account_id : null, stationId);
+}
+
+module.exports = {
+  getEnergoAccounts,
+  getEnergoAccount,
+  getDefaultEnergoAccount,
+  toPublicAccount,
+  ensureStationAccountColumn,
+  resolveStationAccount,
+  getStationEnergoAccount
+};
@@ -0,0 +1,425 @@
+// Shared client for the Energo dashboard API (cabinets, orders, commands)
+//
+// Every call is made with the token of the Energo account it is for. When Energo rejects that token (401/403)
+// the account's token is refreshed once (concurrent rejections share the refresh) and the call is retried.
+// Failures are thrown as Energo errors whose `kind` tells them apart:
+//   auth     - no usable token for the account, or Energo rejected it even after a refresh
+//   network  - Energo could not be reached or did not answer within ENERGO_API_TIMEOUT_SECONDS
+//   upstream - Energo answered with an error status or a response we could not read
+const { getActiveToken } = require('./token_store');
+
+// Add fetch for HTTP requests
+let fetch;
+if (typeof globalThis.fetch === 'undefined') {
+  fetch = require('node-fetch');
+} else {
+  fetch = globalThis.fetch;
+}
+
+// Energo dashboard (point it at mock/ servers for offline work)
+const ENERGO_BASE_URL = (process.env.ENERGO_BASE_URL || 'https://backend.energo.vip').replace(/\/+$/, '');
+// Per-request timeout
+const ENERGO_API_TIMEOUT_MS = (parseInt(process.env.ENERGO_API_TIMEOUT_SECONDS, 10) || 15) * 1000;
+// Most Energo calls in flight at once, across every client; further calls wait for a free slot
+const ENERGO_API_CONCURRENCY = parseInt(process.env.ENERGO_API_CONCURRENCY, 10) || 5;
+// Cabinets asked for per page when listing all of an account's cabinets
+const CABINET_PAGE_SIZE = 100;
+// Give up listing an account's cabinets after this many pages
+const MAX_CABINET_PAGES = 50;
+// How long a token read from the database is reused before reading it again
+const TOKEN_CACHE_MS = 30 * 1000;
+// After a failed refresh, rejected calls fail straight away for this long instead of starting another login
+const RECOVERY_COOLDOWN_MS = 60 * 1000;
+
+// Status we answer with for each kind of Energo failure ('account': the station's account isn't configured)
+const ERROR_STATUS_CODES = { auth: 503, network: 504, upstream: 502, account: 409 };
+
+// Tokens by account id: { promise, expiresAt }
+const tokenCache = new Map();
+// Refreshes started because Energo rejected a token, by account id; concurrent rejections share them
+const pendingRecoveries = new Map();
+// When the last rejection-triggered refresh failed, by account id
+const failedRecoveries = new Map();
+// Energo calls currently in flight, and the calls waiting for a slot
+let activeRequests = 0;
+const queuedRequests = [];
+
+/**
+ * Create an Error describing an Energo failure
+ * @param {string} kind - 'auth', 'network', 'upstream' or 'account'
+ * @param {string} message - Error message
+ * @param {Object} [extra]
+ * @param {string} [extra.accountId] - Energo account the call was made for
+ * @param {number} [extra.status] - HTTP status Energo answered with
+ * @returns {Error} - With kind, accountId, status and statusCode (the status to answer our caller with)
+ */
+function energoError(kind, message, { accountId = null, status = null } = {}) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.accountId = accountId;
+  error.status = status;
+  error.statusCode = ERROR_STATUS_CODES[kind];
+  return error;
+}
+
+function isEnergoError(error) {
+  return Boolean(error && Object.prototype.hasOwnProperty.call(ERROR_STATUS_CODES, error.kind));
+}
+
+/**
+ * Send an Energo failure as JSON; any other error is sent as a 500 with its message
+ */
+function sendEnergoError(res, error, fallbackMessage) {
+  if (!isEnergoError(error)) {
+    return res.status(500).json({ success: false, error: error.message || fallbackMessage });
+  }
+  return res.status(error.statusCode).json({
+    success: false,
+    error: error.message || fallbackMessage,
+    error_kind: error.kind,
+    ...(error.status ? { energo_status: error.status } : {})
+  });
+}
+
+/**
+ * An account's unexpired token, read through a short cache
+ * @param {Object} pool - pg Pool
+ * @param {string} accountId - Energo account id
+ * @returns {Promise<string|null>}
+ */
+function getAccountToken(pool, accountId) {
+  const cached = tokenCache.get(accountId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+  const promise = getActiveToken(pool, accountId).catch((error) => {
+    tokenCache.delete(accountId);
+    throw energoError('auth', `Could not read the Energo token for account ${accountId}: ${error.message}`, { accountId });
+  });
+  tokenCache.set(accountId, { promise, expiresAt: Date.now() + TOKEN_CACHE_MS });
+  return promise;
+}
+
+/**
+ * Get a working token after Energo rejected one: use the stored token if another refresh already replaced it,
+ * otherwise log in again (one refresh per account, shared by every call that hit the rejection)
+ * @param {Object} pool - pg Pool
+ * @param {Object} account - Energo account
+ * @param {string} rejectedToken - Token Energo rejected
+ * @returns {Promise<string>}
+ */
+async function recoverToken(pool, account, rejectedToken) {
+  if (!pendingRecoveries.has(account.id)) {
+    tokenCache.delete(account.id);
+    const current = await getAccountToken(pool, account.id);
+    if (current && current !== rejectedToken) {
+      return current;
+    }
+
+    const failedAt = failedRecoveries.get(account.id);
+    if (failedAt && Date.now() - failedAt < RECOVERY_COOLDOWN_MS) {
+      throw energoError('auth', `Energo rejected the token for account ${account.id} and the last refresh failed; not retrying yet`, { accountId: account.id });
+    }
+
+    // Another call may have started the refresh while we were reading the stored token
+    if (!pendingRecoveries.has(account.id)) {
+      console.log(`🔑 Energo rejected the token for account ${account.id}, refreshing it...`);
+      // Required here rather than at the top: token_extract loads this module for ENERGO_BASE_URL
+      const { refreshToken } = require('./token_extract');
+      const recovery = refreshToken({ source: 'on_demand', accountId: account.id })
+        .then((result) => {
+          failedRecoveries.delete(account.id);
+          tokenCache.set(account.id, { promise: Promise.resolve(result.token), expiresAt: Date.now() + TOKEN_CACHE_MS });
+          return result.token;
+        })
+        .catch((error) => {
+          failedRecoveries.set(account.id, Date.now());
+          throw energoError('auth', `Energo rejected the token for account ${account.id} and refreshing it failed: ${error.message}`, { accountId: account.id });
+        })
+        .finally(() => {
+          pendingRecoveries.delete(account.id);
+        });
+      pendingRecoveries.set(account.id, recovery);
+    }
+  }
+  return pendingRecoveries.get(account.id);
+}
+
+/**
+ * Make one HTTP call to Energo, turning fetch failures into network errors
+ */
+async function sendRequest(account, token, { method, path, query, body, referer }) {
+  const url = new URL(`${ENERGO_BASE_URL}${path}`);
+  for (const [key, value] of Object.entries(query || {})) {
+    if (value !== undefined && value !== null) {
+      url.searchParams.set(key, String(value));
+    }
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${token}`,
+    'Referer': `${ENERGO_BASE_URL}${referer || '/device/list'}`,
+    'oid': account.oid
+  };
+  if (body !== undefined) {
+    headers['Content-Type'] = 'application/json';
+  }
+
+  try {
+    return await fetch(url.toString(), {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(ENERGO_API_TIMEOUT_MS)
+    });
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    throw energoError(
+      'network',
+      timedOut
+        ? `Energo ${method} ${path} timed out after ${ENERGO_API_TIMEOUT_MS / 1000}s`
+        : `Energo ${method} ${path} failed: ${(error.cause && error.cause.code) || error.message}`,
+      { accountId: account.id }
+    );
+  }
+}
+
+/**
+ * Run a call once fewer than ENERGO_API_CONCURRENCY calls are in flight
+ * @param {Function} task - async () => result
+ * @returns {Promise<*>} - The task's result
+ */
+function withRequestSlot(task) {
+  return new Promise((resolve, reject) => {
+    const run = () => {
+      activeRequests++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          activeRequests--;
+          const next = queuedRequests.shift();
+          if (next) {
+            next();
+          }
+        });
+    };
+    if (activeRequests < ENERGO_API_CONCURRENCY) {
+      run();
+    } else {
+      queuedRequests.push(run);
+    }
+  });
+}
+
+/**
+ * Call Energo as an account, refreshing its token once if Energo rejects it
+ * @param {Object} pool - pg Pool the tokens are read from
+ * @param {Object} account - Energo account (id, oid)
+ * @param {Object} options - method, path, query, body, referer, withStatus
+ * @returns {Promise<Object>} - Parsed JSON response, or {status, data} with withStatus
+ */
+async function energoRequest(pool, account, options) {
+  const isRejected = (response) => response.status === 401 || response.status === 403;
+
+  let token = await getAccountToken(pool, account.id);
+  if (!token) {
+    throw energoError('auth', `No Energo token available for account ${account.id}`, { accountId: account.id });
+  }
+
+  // Only the HTTP calls take a slot: a token refresh can take minutes and must not hold up other accounts
+  let response = await withRequestSlot(() => sendRequest(account, token, options));
+  if (isRejected(response)) {
+    token = await recoverToken(pool, account, token);
+    response = await withRequestSlot(() => sendRequest(account, token, options));
+    if (isRejected(response)) {
+      throw energoError('auth', `Energo rejected the refreshed token for account ${account.id}`, { accountId: account.id, status: response.status });
+    }
+  }
+
+  if (!response.ok) {
+    throw energoError('upstream', `Energo ${options.method} ${options.path} returned ${response.status} ${response.statusText}`, {
+      accountId: account.id,
+      status: response.status
+    });
+  }
+
+  let data;
+  try {
+    data = await response.json();
+  } catch (error) {
+    throw energoError('upstream', `Energo ${options.method} ${options.path} returned a response that is not JSON`, {
+      accountId: account.id,
+      status: response.status
+    });
+  }
+  return options.withStatus ? { status: response.status, data } : data;
+}
+
+/**
+ * A slot's fault flags as a list (Energo sends none, one name, or a comma separated list)
+ * @param {string|Array<string>|null} fault
+ * @returns {Array<string>}
+ */
+function toFaultList(fault) {
+  if (Array.isArray(fault)) {
+    return fault.map(String);
+  }
+  if (!fault) {
+    return [];
+  }
+  return String(fault).split(',').map((flag) => flag.trim()).filter(Boolean);
+}
+
+/**
+ * Energo API client reading account tokens from the given database pool
+ * @param {Object} pool - pg Pool
+ * @returns {Object} - listCabinets, listAllCabinets, getCabinet, getCabinetSlots, listOrders, sendCommand, popSlot
+ */
+function createEnergoClient(pool) {
+  const request = (account, options) => energoRequest(pool, account, options);
+
+  const client = {
+    /**
+     * One page of the account's cabinets
+     * @param {Object} account - Energo account
+     * @param {Object} [options] - page (from 0), size, sort (default isOnline)
+     * @returns {Promise<{content: Array<Object>, totalElements: number}>}
+     */
+    listCabinets(account, { page = 0, size = 10, sort = 'isOnline' } = {}) {
+      return request(account, { method: 'GET', path: '/api/cabinet', query: { sort, page, size }, referer: '/device/list' });
+    },
+
+    /**
+     * Every cabinet of the account, read page by page
+     * @param {Object} account - Energo account
+     * @param {Object} [options] - size (cabinets per page)
+     * @returns {Promise<Array<Object>>}
+     */
+    async listAllCabinets(account, { size = CABINET_PAGE_SIZE } = {}) {
+      const cabinets = [];
+      for (let page = 0; page < MAX_CABINET_PAGES; page++) {
+        const data = await client.listCabinets(account, { page, size });
+        if (!data || !Array.isArray(data.content)) {
+          throw energoError('upstream', 'Energo GET /api/cabinet did not return a page of cabinets', { accountId: account.id });
+        }
+        cabinets.push(...data.content);
+        // Energo may cap the page size, so compare against the size it used
+        const pageSize = data.size || size;
+        if (data.content.length < pageSize || (data.totalElements && cabinets.length >= data.totalElements)) {
+          return cabinets;
+        }
+      }
+      throw energoError('upstream', `Energo listed more than ${MAX_CABINET_PAGES} pages of cabinets for account ${account.id}`, { accountId: account.id });
+    },
+
+    /**
+     * A single cabinet (station) by id
+     * @param {Object} account - Energo account that owns the cabinet
+     * @param {string} cabinetId - Station id
+     * @returns {Promise<Object|null>} - The cabinet, or null if Energo doesn't know it
+     */
+    async getCabinet(account, cabinetId) {
+      const data = await request(account, { method: 'GET', path: '/api/cabinet', query: { cabinetId }, referer: '/device/list' });
+      return Array.isArray(data.content) ? (data.content[0] || null) : data;
+    },
+
+    /**
+     * A cabinet's slots, from its slotList
+     * @param {Object} account - Energo account that owns the cabinet
+     * @param {string} cabinetId - Station id
+     * @returns {Promise<{online: boolean, slots: Array<{slot: number, manufacture_id: string|null, charge: number|null, faults: Array<string>}>}|null>}
+     *   - null if Energo doesn't know the cabinet
+     */
+    async getCabinetSlots(account, cabinetId) {
+      const cabinet = await client.getCabinet(account, cabinetId);
+      if (!cabinet) {
+        return null;
+      }
+      if (!Array.isArray(cabinet.slotList)) {
+        throw energoError('upstream', `Energo did not return the slots of cabinet ${cabinetId}`, { accountId: account.id });
+      }
+      return {
+        online: cabinet.isOnline === 1 || cabinet.isOnline === true,
+        slots: cabinet.slotList
+          .map((slot) => ({
+            slot: Number(slot.lockid),
+            // Energo sends an empty batteryid for an empty slot
+            manufacture_id: slot.batteryid ? String(slot.batteryid) : null,
+            charge: slot.power !== undefined && slot.power !== null && slot.power !== '' ? Number(slot.power) : null,
+            faults: toFaultList(slot.fault)
+          }))
+          .sort((a, b) => a.slot - b.slot)
+      };
+    },
+
+    /**
+     * Rental orders, newest first unless sort says otherwise
+     * @param {Object} account - Energo account
+     * @param {Object} filters
+     * @param {string} [filters.deviceId] - Battery manufacture id
+     * @param {string} [filters.cabinetId] - Station id
+     * @param {number} [filters.createdFrom] - Created at or after (epoch ms)
+     * @param {number} [filters.createdTo] - Created at or before (epoch ms)
+     * @param {number} [filters.size] - Page size (Energo treats 0 as its default)
+     * @param {string} [filters.sort] - e.g. "id,desc"
+     * @returns {Promise<{content: Array<Object>}>}
+     */
+    listOrders(account, { deviceId, cabinetId, createdFrom, createdTo, size, sort } = {}) {
+      return request(account, {
+        method: 'GET',
+        path: '/api/order',
+        query: {
+          size,
+          sort,
+          deviceid: deviceId,
+          cabinetid: cabinetId,
+          'createTime[0]': createdFrom,
+          'createTime[1]': createdTo
+        },
+        referer: '/order/lease-order'
+      });
+    },
+
+    /**
+     * Send a command to a cabinet
+     * @param {Object} account - Energo account that owns the cabinet
+     * @param {Object} command
+     * @param {string} command.cabinetId - Station id
+     * @param {string} command.commandSign - Energo command name, e.g. SendCompulsoryBorrowDevice
+     * @param {number} [command.slot] - Slot the command is for
+     * @param {number} [command.seq=1] - Slot board sequence number
+     * @param {boolean} [command.withStatus=false] - Resolve with {status, data} instead of the response alone
+     * @returns {Promise<Object>} - Energo's response
+     */
+    sendCommand(account, { cabinetId, commandSign, slot, seq = 1, withStatus = false }) {
+      return request(account, {
+        method: 'POST',
+        path: '/api/command/sendCommandBySign',
+        body: { cabinetId, rlSeq: seq, rlSlot: slot, commandSign },
+        referer: '/device/list',
+        withStatus
+      });
+    },
+
+    /**
+     * Force a slot to release its battery
+     * @param {Object} account - Energo account that owns the cabinet
+     * @param {string} cabinetId - Station id
+     * @param {number} slot - Slot number
+     * @returns {Promise<{status: number, data: Object}>} - HTTP status and Energo's response (borrowstatus, lockid, batteryid)
+     */
+    popSlot(account, cabinetId, slot) {
+      return client.sendCommand(account, { cabinetId, slot, commandSign: 'SendCompulsoryBorrowDevice', withStatus: true });
+    }
+  };
+  return client;
+}
+
+module.exports = {
+  ENERGO_BASE_URL,
+  createEnergoClient,
+  energoError,
+  isEnergoError,
+  sendEnergoError
+};
@@ -0,0 +1,245 @@
+// Diagnostics bundles for failed Energo logins (screenshots, final HTML, captcha images, /api/* network log)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Where bundles are written (one sub-directory per failed attempt)
+const DEFAULT_DIAGNOSTICS_DIR = path.join(os.tmpdir(), 'energo-login-attempts');
+// Number of bundles kept; older ones are deleted
+const DEFAULT_RETENTION = 20;
+
+// Bundle ids and file names are generated by us; anything else is rejected before touching the disk
+const BUNDLE_ID_PATTERN = /^[0-9TZ-]+-[0-9a-f]{6}$/;
+const FILE_NAME_PATTERN = /^[a-z0-9-]+\.(png|html|json)$/;
+
+function getDiagnosticsDir() {
+  return process.env.LOGIN_DIAGNOSTICS_DIR || DEFAULT_DIAGNOSTICS_DIR;
+}
+
+function getRetention() {
+  const value = parseInt(process.env.LOGIN_DIAGNOSTICS_RETENTION, 10);
+  return isNaN(value) ? DEFAULT_RETENTION : Math.max(0, value);
+}
+
+/**
+ * Turn a step name into a safe file name fragment
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'step';
+}
+
+/**
+ * Start collecting diagnostics for one browser login. Nothing is written unless save() is called.
+ * @param {Object} page - Puppeteer page object
+ * @returns {Object} - Recorder with step(), captcha(), save()
+ */
+function createLoginDiagnostics(page) {
+  const id = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}`;
+  const startedAt = Date.now();
+  const screenshots = [];
+  const captchas = [];
+  const networkLog = [];
+  const pendingRequests = new Map();
+
+  // Only /api/* (and /auth/* login) traffic is logged, and only method/url/status/timing:
+  // headers and bodies are never kept, so tokens and passwords cannot end up in a bundle
+  page.on('request', (request) => {
+    if (!request.url().includes('/api/') && !request.url().includes('/auth/')) return;
+    pendingRequests.set(request, Date.now());
+  });
+  const finishRequest = (request, status, error) => {
+    const started = pendingRequests.get(request);
+    if (started === undefined) return;
+    pendingRequests.delete(request);
+    networkLog.push({
+      method: request.method(),
+      url: request.url(),
+      status: status,
+      error: error || null,
+      started_at: new Date(started).toISOString(),
+      duration_ms: Date.now() - started
+    });
+  };
+  page.on('requestfinished', (request) => {
+    const response = request.response();
+    finishRequest(request, response ? response.status() : null);
+  });
+  page.on('requestfailed', (request) => {
+    const failure = request.failure();
+    finishRequest(request, null, failure ? failure.errorText : 'failed');
+  });
+
+  return {
+    id,
+
+    /**
+     * Take a screenshot for a named step (kept in memory until save)
+     * @param {string} name - Step name, e.g. "login-page-loaded"
+     */
+    async step(name) {
+      try {
+        const image = await page.screenshot({ type: 'png' });
+        screenshots.push({
+          file: `${String(screenshots.length + 1).padStart(2, '0')}-${slugify(name)}.png`,
+          name,
+          at: new Date().toISOString(),
+          image
+        });
+      } catch (e) {
+        console.log(`Diagnostics: could not screenshot step "${name}":`, e.message);
+      }
+    },
+
+    /**
+     * Remember the captcha image and the answer given for one attempt
+     */
+    captcha(attempt, imageDataUrl, answer, provider) {
+      captchas.push({ attempt, imageDataUrl, answer, provider });
+    },
+
+    /**
+     * Write the bundle to disk and apply the retention limit
+     * @param {Object} outcome
+     * @param {string|null} outcome.failureReason - Why the login failed
+     * @param {string} [outcome.error] - Error message if the login threw
+     * @param {Array} [outcome.captchaAttempts] - Attempt log from loginToEnergo
+     * @returns {Promise<string|null>} - Bundle id, or null if diagnostics are disabled or saving failed
+     */
+    async save({ failureReason, error, captchaAttempts }) {
+      if (getRetention() === 0) {
+        return null;
+      }
+      try {
+        const bundleDir = path.join(getDiagnosticsDir(), id);
+        fs.mkdirSync(bundleDir, { recursive: true });
+
+        let finalUrl = null;
+        try {
+          finalUrl = page.url();
+          const html = await page.content();
+          fs.writeFileSync(path.join(bundleDir, 'page.html'), html);
+        } catch (e) {
+          console.log('Diagnostics: could not read final page HTML:', e.message);
+        }
+
+        for (const screenshot of screenshots) {
+          fs.writeFileSync(path.join(bundleDir, screenshot.file), screenshot.image);
+        }
+
+        const captchaFiles = captchas.map((captcha) => {
+          let file = null;
+          if (captcha.imageDataUrl && captcha.imageDataUrl.startsWith('data:image/png')) {
+            file = `captcha-${captcha.attempt}.png`;
+            fs.writeFileSync(path.join(bundleDir, file), Buffer.from(captcha.imageDataUrl.split(',')[1], 'base64'));
+          }
+          return { attempt: captcha.attempt, provider: captcha.provider, answer: captcha.answer, file };
+        });
+
+        fs.writeFileSync(path.join(bundleDir, 'network.json'), JSON.stringify(networkLog, null, 2));
+
+        const manifest = {
+          id,
+          started_at: new Date(startedAt).toISOString(),
+          saved_at: new Date().toISOString(),
+          duration_ms: Date.now() - startedAt,
+          failure_reason: failureReason || null,
+          error: error || null,
+          final_url: finalUrl,
+          captcha_attempts: captchaAttempts || [],
+          captchas: captchaFiles,
+          steps: screenshots.map(({ file, name, at }) => ({ file, name, at })),
+          files: fs.readdirSync(bundleDir).sort()
+        };
+        fs.writeFileSync(path.join(bundleDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+        pruneDiagnostics();
+        console.log(`🧾 Login diagnostics saved: ${id}`);
+        return id;
+      } catch (e) {
+        console.error('Diagnostics: failed to save bundle:', e.message);
+        return null;
+      }
+    }
+  };
+}
+
+/**
+ * Delete the oldest bundles beyond the retention limit
+ */
+function pruneDiagnostics() {
+  const ids = listBundleIds();
+  const excess = ids.length - getRetention();
+  for (const id of ids.slice(0, Math.max(0, excess))) {
+    fs.rmSync(path.join(getDiagnosticsDir(), id), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Bundle ids on disk, oldest first (ids start with an ISO timestamp)
+ * @returns {string[]}
+ */
+function listBundleIds() {
+  const dir = getDiagnosticsDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter((name) => BUNDLE_ID_PATTERN.test(name)).sort();
+}
+
+/**
+ * Read a bundle's manifest
+ * @param {string} id - Bundle id
+ * @returns {Object|null}
+ */
+function getLoginAttempt(id) {
+  if (!BUNDLE_ID_PATTERN.test(id)) {
+    return null;
+  }
+  const manifestPath = path.join(getDiagnosticsDir(), id, 'manifest.json');
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Summaries of stored bundles, newest first
+ * @returns {Array<Object>}
+ */
+function listLoginAttempts() {
+  return listBundleIds()
+    .reverse()
+    .map((id) => getLoginAttempt(id))
+    .filter(Boolean)
+    .map(({ id, started_at, saved_at, failure_reason, error, final_url, captcha_attempts }) => ({
+      id,
+      started_at,
+      saved_at,
+      failure_reason,
+      error,
+      final_url,
+      captcha_attempts: captcha_attempts.length
+    }));
+}
+
+/**
+ * Absolute path of a file inside a bundle, or null if the id/name is invalid or missing
+ * @param {string} id - Bundle id
+ * @param {string} file - File name from the manifest
+ * @returns {string|null}
+ */
+function getLoginAttemptFilePath(id, file) {
+  if (!BUNDLE_ID_PATTERN.test(id) || !FILE_NAME_PATTERN.test(file)) {
+    return null;
+  }
+  const filePath = path.join(getDiagnosticsDir(), id, file);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = {
+  createLoginDiagnostics,
+  listLoginAttempts,
+  getLoginAttempt,
+  getLoginAttemptFilePath
+};
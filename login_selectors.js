@@ -0,0 +1,177 @@
+// Login page selector profiles (login_selectors.json): where the browser login finds each field on the Energo login page
+//
+// Profiles are tried in order; the first whose username and password selectors match the page is used.
+// When the Energo login page changes, add a profile (or edit one) instead of changing the login code.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SELECTORS_PATH = path.join(__dirname, 'login_selectors.json');
+// Profile file format this code understands
+const SELECTORS_FILE_VERSION = 1;
+// CSS selector lists a profile can have
+const SELECTOR_FIELDS = ['username', 'password', 'captcha_input', 'captcha_image', 'submit', 'error'];
+// Text lists a profile can have (matched against element text, since Puppeteer has no :has-text())
+const TEXT_FIELDS = ['submit_text', 'error_text'];
+// Fields that must match for a profile to be used
+const REQUIRED_FIELDS = ['username', 'password'];
+
+let cachedSelectors = null;
+
+function getSelectorsPath() {
+  return process.env.LOGIN_SELECTORS_PATH || DEFAULT_SELECTORS_PATH;
+}
+
+/**
+ * Check one profile from the file and fill in empty lists for fields it leaves out
+ * @param {Object} profile - Profile as read from the file
+ * @param {number} index - Position in the file, for error messages
+ * @returns {Object}
+ */
+function normalizeProfile(profile, index) {
+  if (!profile || typeof profile.name !== 'string' || !profile.name.trim()) {
+    throw new Error(`Login selector profile #${index + 1} needs a "name"`);
+  }
+  const normalized = { name: profile.name, description: profile.description || null };
+  for (const field of [...SELECTOR_FIELDS, ...TEXT_FIELDS]) {
+    const values = profile[field] === undefined ? [] : profile[field];
+    if (!Array.isArray(values) || values.some((value) => typeof value !== 'string' || !value.trim())) {
+      throw new Error(`Login selector profile "${profile.name}": "${field}" must be a list of non-empty strings`);
+    }
+    normalized[field] = values;
+  }
+  for (const field of REQUIRED_FIELDS) {
+    if (normalized[field].length === 0) {
+      throw new Error(`Login selector profile "${profile.name}" needs at least one "${field}" selector`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Load and validate the selector profiles (cached after the first successful load)
+ * @returns {{path: string, version: number, profiles: Array<Object>}}
+ */
+function getLoginSelectorProfiles() {
+  if (cachedSelectors) {
+    return cachedSelectors;
+  }
+
+  const selectorsPath = getSelectorsPath();
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(selectorsPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read login selector profiles from ${selectorsPath}: ${error.message}`);
+  }
+  if (file.version !== SELECTORS_FILE_VERSION) {
+    throw new Error(`Login selector profiles in ${selectorsPath} are version ${file.version}, expected ${SELECTORS_FILE_VERSION}`);
+  }
+  if (!Array.isArray(file.profiles) || file.profiles.length === 0) {
+    throw new Error(`Login selector profiles in ${selectorsPath} must have a non-empty "profiles" list`);
+  }
+
+  const profiles = file.profiles.map(normalizeProfile);
+  const names = new Set(profiles.map((profile) => profile.name));
+  if (names.size !== profiles.length) {
+    throw new Error(`Login selector profiles in ${selectorsPath} have duplicate names`);
+  }
+
+  cachedSelectors = { path: selectorsPath, version: file.version, profiles };
+  return cachedSelectors;
+}
+
+/**
+ * First selector in the list that matches an element on the page
+ * @param {Object} page - Puppeteer page object
+ * @param {Array<string>} selectors - CSS selectors, tried in order
+ * @returns {Promise<{selector: string, element: Object}|null>}
+ */
+async function findFirstMatch(page, selectors) {
+  for (const selector of selectors) {
+    try {
+      const element = await page.$(selector);
+      if (element) {
+        return { selector, element };
+      }
+    } catch (e) {
+      // Invalid selector for this browser; try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * First button (or submit input) whose text contains one of the phrases
+ * @param {Object} page - Puppeteer page object
+ * @param {Array<string>} phrases - Button texts, case-insensitive
+ * @returns {Promise<{text: string, element: Object}|null>}
+ */
+async function findButtonByText(page, phrases) {
+  if (phrases.length === 0) {
+    return null;
+  }
+  const handle = await page.evaluateHandle((texts) => {
+    const lowered = texts.map((text) => text.toLowerCase());
+    const buttons = Array.from(document.querySelectorAll('button, input[type="submit"], input[type="button"]'));
+    return buttons.find((button) => {
+      const label = (button.textContent || button.value || '').trim().toLowerCase();
+      return lowered.some((text) => label.includes(text));
+    }) || null;
+  }, phrases);
+  const element = handle.asElement();
+  if (!element) {
+    await handle.dispose();
+    return null;
+  }
+  const text = await page.evaluate((el) => (el.textContent || el.value || '').trim(), element);
+  return { text, element };
+}
+
+/**
+ * Which of a profile's selectors match the page, field by field
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} profile - Normalized profile
+ * @returns {Promise<{name: string, description: string|null, usable: boolean, fields: Object<string, string|null>}>}
+ *   - fields maps each field to the selector (or "text: ..." for a text match) that matched, or null
+ */
+async function matchLoginProfile(page, profile) {
+  const fields = {};
+  for (const field of SELECTOR_FIELDS) {
+    const match = await findFirstMatch(page, profile[field]);
+    fields[field] = match ? match.selector : null;
+  }
+  if (!fields.submit) {
+    const button = await findButtonByText(page, profile.submit_text);
+    fields.submit = button ? `text: ${button.text}` : null;
+  }
+  return {
+    name: profile.name,
+    description: profile.description,
+    usable: REQUIRED_FIELDS.every((field) => fields[field] !== null),
+    fields
+  };
+}
+
+/**
+ * Pick the first profile whose required fields match the login page
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Object>} - Normalized profile
+ */
+async function selectLoginProfile(page) {
+  const { profiles } = getLoginSelectorProfiles();
+  for (const profile of profiles) {
+    const match = await matchLoginProfile(page, profile);
+    if (match.usable) {
+      return profile;
+    }
+  }
+  throw new Error(`No login selector profile matches the login page (tried: ${profiles.map((profile) => profile.name).join(', ')})`);
+}
+
+module.exports = {
+  getLoginSelectorProfiles,
+  findFirstMatch,
+  findButtonByText,
+  matchLoginProfile,
+  selectLoginProfile
+};
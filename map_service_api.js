@@ -1,14 +1,14 @@
 const express = require('express');
 const { Pool } = require('pg');
 const path = require('path');
-
-// Add fetch for HTTP requests
-let fetch;
-if (typeof globalThis.fetch === 'undefined') {
-  fetch = require('node-fetch');
-} else {
-  fetch = globalThis.fetch;
-}
+const { getEnergoAccount, ensureStationAccountColumn, resolveStationAccount } = require('./energo_accounts');
+const { createEnergoClient, isEnergoError, sendEnergoError } = require('./energo_client');
+const { createCabinetStatusCache } = require('./cabinet_status');
+const { arrayToCSV } = require('./csv_export');
+const crypto = require('crypto');
+const { requireAdmin, requireInternalOrAdmin, getCallerIdentity } = require('./admin_auth');
+const { validateCabinetCommand } = require('./cabinet_commands');
+const { recordCommand } = require('./pop_audit');
 
 const router = express.Router();
 router.use(express.json());
@@ -56,115 +56,199 @@ pool.on('error', (err) => {
   console.error('❌ Map Service: Unexpected error on idle client', err);
 });
 
+// Energo API client (reads each account's token from this pool)
+const energo = createEnergoClient(pool);
+
+// Accounts with at least this many stations to look up are read with the paged cabinet list instead of one call per station
+const PAGED_LOOKUP_MIN_STATIONS = 3;
+
 /**
- * Helper function to get token from database
- * Token is refreshed only periodically by server.js (15-30 min); API endpoints do not trigger refresh.
+ * Battery availability from an Energo cabinet
+ * @param {Object|null} cabinet - Cabinet from /api/cabinet (null if Energo doesn't know it)
+ * @returns {{filled_slots: number|null, open_slots: number|null, online: boolean}}
  */
-async function getTokenFromDatabase() {
-  let client;
+function cabinetToAvailability(cabinet) {
+  // Online status from isOnline: 1 = online, 0 = offline
+  const isOnlineRaw = cabinet && cabinet.hasOwnProperty('isOnline') ? cabinet.isOnline : null;
+  const online = isOnlineRaw === 1 || isOnlineRaw === true;
+
+  if (cabinet && cabinet.positionInfo) {
+    const positionInfo = cabinet.positionInfo;
+    return {
+      filled_slots: positionInfo.borrowNum || 0,  // borrowNum = slots with batteries
+      open_slots: positionInfo.returnNum || 0,    // returnNum = empty slots
+      online
+    };
+  }
+
+  return { filled_slots: null, open_slots: null, online };
+}
+
+/**
+ * Battery availability for a failed Energo call; anything else is rethrown
+ */
+function energoFailureAvailability(error, stationLabel) {
+  if (!isEnergoError(error)) {
+    throw error;
+  }
+  console.error(`Energo ${error.kind} error for ${stationLabel}:`, error.message);
+  return { filled_slots: null, open_slots: null, online: null, energo_error: error.kind };
+}
+
+/**
+ * Helper function to fetch a station's battery availability from Energo, using the account that owns it
+ * An Energo failure doesn't fail the request: counts and online are left null and energo_error says why
+ * ('auth', 'network' or 'upstream'), so an expired token isn't mistaken for an offline station.
+ * @param {Object} station - Station row (with energo_account_id)
+ * @returns {Promise<{filled_slots: number|null, open_slots: number|null, online: boolean|null, energo_error?: string}>}
+ */
+async function getBatteryAvailability(station) {
   try {
-    client = await pool.connect();
-    const result = await client.query('SELECT value FROM token LIMIT 1');
-    if (result.rows.length === 0) {
-      return null;
-    }
-    return result.rows[0].value;
+    const account = resolveStationAccount(station.energo_account_id, station.id);
+    return cabinetToAvailability(await energo.getCabinet(account, station.id));
   } catch (error) {
-    console.error('Error fetching token from database:', error);
-    return null;
-  } finally {
-    if (client) {
-      client.release();
-    }
+    return energoFailureAvailability(error, `station ${station.id}`);
   }
 }
 
 /**
- * Helper function to fetch battery availability from Relink API
- * @param {string} stationId - The station ID
- * @param {string} token - The authorization token
- * @returns {Promise<{filled_slots: number, open_slots: number, online: boolean}>}
+ * Battery availability of many stations
+ * Stations are grouped by account. Accounts with a few stations get one call per station; larger ones are read with
+ * the paged cabinet list and joined by cabinet id, falling back to single calls for stations the list doesn't include
+ * (or for the whole account if Energo won't list its cabinets). The Energo client bounds how many calls run at once.
+ * @param {Array<Object>} stations - Station rows (with energo_account_id)
+ * @returns {Promise<Map<string, Object>>} - Availability (as getBatteryAvailability) by station id
  */
-async function getBatteryAvailability(stationId, token) {
-  try {
-    const url = `https://backend.energo.vip/api/cabinet?cabinetId=${stationId}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Referer': 'https://backend.energo.vip/device/list',
-        'oid': '3526'
-      }
-    });
+async function getBatteryAvailabilities(stations) {
+  const groups = new Map();
+  const availability = new Map();
+  for (const station of stations) {
+    let account;
+    try {
+      account = resolveStationAccount(station.energo_account_id, station.id);
+    } catch (error) {
+      availability.set(station.id, energoFailureAvailability(error, `station ${station.id}`));
+      continue;
+    }
+    if (!groups.has(account.id)) {
+      groups.set(account.id, { account, stations: [] });
+    }
+    groups.get(account.id).stations.push(station);
+  }
+
+  const lookUpEach = (list) => Promise.all(list.map(async (station) => {
+    availability.set(station.id, await getBatteryAvailability(station));
+  }));
 
-    if (!response.ok) {
-      console.error(`Relink API error for station ${stationId}: ${response.status} ${response.statusText}`);
-      return { filled_slots: null, open_slots: null, online: false };
+  await Promise.all([...groups.values()].map(async ({ account, stations: accountStations }) => {
+    if (accountStations.length < PAGED_LOOKUP_MIN_STATIONS) {
+      return lookUpEach(accountStations);
     }
 
-    const data = await response.json();
-    
-    // Online status from isOnline: 1 = online, 0 = offline
-    const firstContent = data.content && data.content.length > 0 ? data.content[0] : null;
-    const isOnlineRaw = firstContent && firstContent.hasOwnProperty('isOnline') ? firstContent.isOnline : (data.hasOwnProperty('isOnline') ? data.isOnline : null);
-    const online = isOnlineRaw === 1 || isOnlineRaw === true;
+    let cabinets;
+    try {
+      cabinets = await energo.listAllCabinets(account);
+    } catch (error) {
+      if (isEnergoError(error) && error.kind === 'upstream') {
+        console.warn(`⚠️ Could not list cabinets of account ${account.id} (${error.message}), reading stations one by one`);
+        return lookUpEach(accountStations);
+      }
+      const failure = energoFailureAvailability(error, `the stations of account ${account.id}`);
+      accountStations.forEach((station) => availability.set(station.id, failure));
+      return;
+    }
 
-    if (firstContent && firstContent.positionInfo) {
-      const positionInfo = firstContent.positionInfo;
-      return {
-        filled_slots: positionInfo.borrowNum || 0,  // borrowNum = slots with batteries
-        open_slots: positionInfo.returnNum || 0,    // returnNum = empty slots
-        online
-      };
+    const cabinetsById = new Map(cabinets.map((cabinet) => [String(cabinet.cabinetId || cabinet.id), cabinet]));
+    const unlisted = [];
+    for (const station of accountStations) {
+      const cabinet = cabinetsById.get(station.id);
+      if (cabinet) {
+        availability.set(station.id, cabinetToAvailability(cabinet));
+      } else {
+        unlisted.push(station);
+      }
     }
+    return lookUpEach(unlisted);
+  }));
+  return availability;
+}
 
-    return { filled_slots: null, open_slots: null, online };
-  } catch (error) {
-    console.error(`Error fetching battery availability for station ${stationId}:`, error);
-    return { filled_slots: null, open_slots: null, online: false };
+// Station statuses served by the station routes, refreshed in the background (see cabinet_status.js)
+const cabinetStatus = createCabinetStatusCache({
+  pool,
+  loadStations: async () => {
+    await ensureStationAccountColumn(pool);
+    const result = await pool.query('SELECT id, energo_account_id FROM stations');
+    return result.rows;
+  },
+  fetchStatuses: getBatteryAvailabilities
+});
+
+/**
+ * Whether the request asked for a live Energo read (?fresh=1) instead of the cached status
+ */
+function wantsFreshStatus(req) {
+  return req.query.fresh === '1' || req.query.fresh === 'true';
+}
+
+/**
+ * Middleware: ?fresh=1 bypasses the cache and calls Energo for every station, so only admin callers may ask for it
+ */
+function requireAdminForFresh(req, res, next) {
+  if (!wantsFreshStatus(req)) {
+    return next();
+  }
+  return requireAdmin(req, res, next);
+}
+
+/**
+ * Read dry_run from the body (a JSON boolean) or the query string (1, true, 0 or false)
+ * Anything else is rejected, so a malformed flag can't send the real command.
+ * @returns {{dryRun: boolean}|{error: string}}
+ */
+function parseDryRun(req) {
+  const body = req.body || {};
+  if (body.dry_run !== undefined && typeof body.dry_run !== 'boolean') {
+    return { error: 'dry_run must be true or false' };
   }
+  const query = req.query.dry_run;
+  if (query !== undefined && !['1', 'true', '0', 'false'].includes(query)) {
+    return { error: 'dry_run must be 1, true, 0 or false' };
+  }
+  return { dryRun: body.dry_run === true || query === '1' || query === 'true' };
+}
+
+/**
+ * Add cached (or, with fresh, live) battery availability to station rows
+ * @param {Array<Object>} stations - Station rows (with energo_account_id)
+ * @param {boolean} fresh - Read from Energo now
+ * @returns {Promise<Array<Object>>} - Rows with filled_slots, open_slots, online, energo_error, status_updated_at, stale
+ */
+async function withCabinetStatus(stations, fresh) {
+  const statuses = await cabinetStatus.getStatuses(stations, { fresh });
+  return stations.map((station) => ({
+    ...station,
+    ...statuses.get(station.id)
+  }));
 }
 
 /**
  * GET /stations
  * Fetch a list of all stations
  */
-router.get('/stations', async (req, res) => {
+router.get('/stations', requireAdminForFresh, async (req, res) => {
   console.log('GET /stations endpoint called');
   let client;
   try {
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      console.warn('⚠️ No token found in database for Relink API calls');
-    }
+    await ensureStationAccountColumn(pool);
     
     client = await pool.connect();
     const result = await client.query(
-      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id FROM stations ORDER BY updated_at DESC'
+      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id, energo_account_id FROM stations ORDER BY updated_at DESC'
     );
     
-    // Enrich each station with battery availability data
-    const stationsWithBatteryInfo = await Promise.all(
-      result.rows.map(async (station) => {
-        if (token) {
-          const batteryInfo = await getBatteryAvailability(station.id, token);
-          return {
-            ...station,
-            filled_slots: batteryInfo.filled_slots,
-            open_slots: batteryInfo.open_slots,
-            online: batteryInfo.online
-          };
-        } else {
-          return {
-            ...station,
-            filled_slots: null,
-            open_slots: null,
-            online: false
-          };
-        }
-      })
-    );
+    // Enrich each station with its cached battery availability (?fresh=1 reads it from Energo now)
+    const stationsWithBatteryInfo = await withCabinetStatus(result.rows, wantsFreshStatus(req));
     
     res.json({
       success: true,
@@ -205,7 +289,7 @@ router.get('/stations', async (req, res) => {
  * GET /stations/:id
  * Fetch single station data by id
  */
-router.get('/stations/:id', async (req, res) => {
+router.get('/stations/:id', requireAdminForFresh, async (req, res) => {
   let client;
   try {
     const { id } = req.params;
@@ -218,12 +302,11 @@ router.get('/stations/:id', async (req, res) => {
       });
     }
     
-    // Get token from database
-    const token = await getTokenFromDatabase();
+    await ensureStationAccountColumn(pool);
     
     client = await pool.connect();
     const result = await client.query(
-      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id FROM stations WHERE id = $1',
+      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id, energo_account_id FROM stations WHERE id = $1',
       [id]
     );
     
@@ -234,24 +317,8 @@ router.get('/stations/:id', async (req, res) => {
       });
     }
     
-    // Enrich station with battery availability data
-    let station = result.rows[0];
-    if (token) {
-      const batteryInfo = await getBatteryAvailability(id, token);
-      station = {
-        ...station,
-        filled_slots: batteryInfo.filled_slots,
-        open_slots: batteryInfo.open_slots,
-        online: batteryInfo.online
-      };
-    } else {
-      station = {
-        ...station,
-        filled_slots: null,
-        open_slots: null,
-        online: false
-      };
-    }
+    // Enrich station with its cached battery availability (?fresh=1 reads it from Energo now)
+    const [station] = await withCabinetStatus(result.rows, wantsFreshStatus(req));
     
     res.json({
       success: true,
@@ -271,77 +338,168 @@ router.get('/stations/:id', async (req, res) => {
 });
 
 /**
- * Helper function to convert array of objects to CSV string
+ * GET /stations/:id/slots
+ * Each slot of a station, read live from Energo: battery, its sticker_id, charge level and fault flags
+ * (admin or internal: it calls Energo on every request and exposes the sticker to battery mapping)
  */
-function arrayToCSV(data, headers) {
-  if (!data || data.length === 0) {
-    return headers.join(',') + '\n';
-  }
+router.get('/stations/:id/slots', requireInternalOrAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
 
-  // Create CSV header row
-  const csvRows = [headers.join(',')];
+    await ensureStationAccountColumn(pool);
+    const stationResult = await pool.query('SELECT id, energo_account_id FROM stations WHERE id = $1', [id]);
+    if (stationResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Station not found'
+      });
+    }
 
-  // Create CSV data rows
-  for (const row of data) {
-    const values = headers.map(header => {
-      const value = row[header];
-      // Handle null/undefined values
-      if (value === null || value === undefined) {
-        return '';
-      }
-      // Escape commas and quotes in string values
-      const stringValue = String(value);
-      if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-        return `"${stringValue.replace(/"/g, '""')}"`;
-      }
-      return stringValue;
+    const account = resolveStationAccount(stationResult.rows[0].energo_account_id, id);
+    const cabinet = await energo.getCabinetSlots(account, id);
+    if (!cabinet) {
+      return res.status(404).json({
+        success: false,
+        error: `Energo does not know station ${id}`
+      });
+    }
+
+    // Map the batteries in the cabinet to our sticker ids
+    const manufactureIds = cabinet.slots.map((slot) => slot.manufacture_id).filter(Boolean);
+    const stickerIds = new Map();
+    if (manufactureIds.length > 0) {
+      const batteryResult = await pool.query(
+        'SELECT sticker_id, manufacture_id FROM battery WHERE manufacture_id = ANY($1)',
+        [manufactureIds]
+      );
+      batteryResult.rows.forEach((row) => stickerIds.set(row.manufacture_id, row.sticker_id));
+    }
+
+    const slots = cabinet.slots.map((slot) => ({
+      slot: slot.slot,
+      has_battery: Boolean(slot.manufacture_id),
+      manufacture_id: slot.manufacture_id,
+      sticker_id: slot.manufacture_id ? (stickerIds.get(slot.manufacture_id) || null) : null,
+      charge: slot.charge,
+      faults: slot.faults
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        station_id: id,
+        online: cabinet.online,
+        slots
+      },
+      count: slots.length
     });
-    csvRows.push(values.join(','));
+  } catch (error) {
+    console.error('Error fetching station slots:', error);
+    sendEnergoError(res, error, 'Failed to fetch station slots');
   }
+});
 
-  return csvRows.join('\n');
-}
+/**
+ * POST /stations/:id/commands
+ * Send an allow-listed cabinet command (see cabinet_commands.js) to a station, or validate it with dry_run (admin)
+ * Body: { "command": "restart", "dry_run": false } (unlock_all also needs "confirm": station id). Every request is recorded in pop_audit.
+ */
+router.post('/stations/:id/commands', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { command: name, params, confirm } = req.body || {};
+  const dryRunFlag = parseDryRun(req);
+  if (dryRunFlag.error) {
+    return res.status(400).json({ success: false, error: dryRunFlag.error });
+  }
+  const { dryRun } = dryRunFlag;
+
+  const validated = validateCabinetCommand(name, { params, confirm }, id);
+  if (validated.error) {
+    return res.status(validated.status).json({ success: false, error: validated.error });
+  }
+  const { command } = validated;
+  console.log(`POST /stations/${id}/commands: ${command.name}${dryRun ? ' (dry run)' : ''}`);
+
+  const audit = {
+    requestId: crypto.randomUUID(),
+    stationId: id,
+    accountId: null,
+    caller: getCallerIdentity(req),
+    commandSign: command.commandSign,
+    dryRun,
+    startedAt: Date.now()
+  };
+  try {
+    await ensureStationAccountColumn(pool);
+    const stationResult = await pool.query('SELECT id, energo_account_id FROM stations WHERE id = $1', [id]);
+    if (stationResult.rows.length === 0) {
+      await recordCommand(pool, { ...audit, outcome: 'not_found', error: new Error('Station not found') });
+      return res.status(404).json({
+        success: false,
+        error: 'Station not found'
+      });
+    }
+    const account = resolveStationAccount(stationResult.rows[0].energo_account_id, id);
+    audit.accountId = account.id;
+
+    const data = {
+      request_id: audit.requestId,
+      station_id: id,
+      account_id: account.id,
+      command: command.name,
+      command_sign: command.commandSign,
+      dry_run: dryRun
+    };
+
+    if (dryRun) {
+      await recordCommand(pool, { ...audit, outcome: 'dry_run' });
+      return res.json({ success: true, data });
+    }
+
+    const response = await energo.sendCommand(account, { cabinetId: id, commandSign: command.commandSign });
+    // Energo can answer 200 with an error code in the body
+    if (response && response.code !== undefined && Number(response.code) !== 200) {
+      await recordCommand(pool, { ...audit, outcome: 'refused', energoMessage: response.msg });
+      return res.status(502).json({
+        success: false,
+        error: `Energo refused ${command.commandSign}: ${response.msg || `code ${response.code}`}`,
+        error_kind: 'upstream',
+        data: { ...data, energo_response: response }
+      });
+    }
+    await recordCommand(pool, { ...audit, outcome: 'sent', energoMessage: response && response.msg });
+    console.log(`✅ Sent ${command.commandSign} to station ${id}`);
+
+    res.json({
+      success: true,
+      data: { ...data, energo_response: response }
+    });
+  } catch (error) {
+    console.error(`Error sending ${command.commandSign} to station ${id}:`, error);
+    // An error status below 500 means Energo turned the command down rather than failed
+    const refused = isEnergoError(error) && error.kind === 'upstream' && error.status && error.status < 500;
+    await recordCommand(pool, { ...audit, outcome: refused ? 'refused' : 'error', error });
+    sendEnergoError(res, error, 'Failed to send command');
+  }
+});
 
 /**
  * GET /stations/export
  * Export stations list as CSV file
  */
-router.get('/stations/export', async (req, res) => {
+router.get('/stations/export', requireAdminForFresh, async (req, res) => {
   console.log('GET /stations/export endpoint called');
   let client;
   try {
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      console.warn('⚠️ No token found in database for Relink API calls');
-    }
+    await ensureStationAccountColumn(pool);
     
     client = await pool.connect();
     const result = await client.query(
-      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id FROM stations ORDER BY updated_at DESC'
+      'SELECT id, title, latitude, longitude, updated_at, address, screen_id, sim_id, energo_account_id FROM stations ORDER BY updated_at DESC'
     );
     
-    // Enrich each station with battery availability data
-    const stationsWithBatteryInfo = await Promise.all(
-      result.rows.map(async (station) => {
-        if (token) {
-          const batteryInfo = await getBatteryAvailability(station.id, token);
-          return {
-            ...station,
-            filled_slots: batteryInfo.filled_slots,
-            open_slots: batteryInfo.open_slots,
-            online: batteryInfo.online
-          };
-        } else {
-          return {
-            ...station,
-            filled_slots: null,
-            open_slots: null,
-            online: false
-          };
-        }
-      })
-    );
+    // Enrich each station with its cached battery availability (?fresh=1 reads it from Energo now)
+    const stationsWithBatteryInfo = await withCabinetStatus(result.rows, wantsFreshStatus(req));
     
     // Generate filename with current date (YYYY-MM-DD format for filename safety)
     const now = new Date();
@@ -360,9 +518,13 @@ router.get('/stations/export', async (req, res) => {
       'address',
       'screen_id',
       'sim_id',
+      'energo_account_id',
       'filled_slots',
       'open_slots',
-      'online'
+      'online',
+      'energo_error',
+      'status_updated_at',
+      'stale'
     ];
     
     // Convert data to CSV
@@ -414,7 +576,7 @@ router.get('/stations/export', async (req, res) => {
 router.post('/stations', async (req, res) => {
   let client;
   try {
-    const { id, title, latitude, longitude } = req.body;
+    const { id, title, latitude, longitude, energo_account_id } = req.body;
     
     // Validate required fields
     if (!id || id.trim() === '') {
@@ -463,14 +625,23 @@ router.post('/stations', async (req, res) => {
       });
     }
     
+    // Validate Energo account if provided (omitted = default account)
+    if (energo_account_id !== undefined && energo_account_id !== null && !getEnergoAccount(energo_account_id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown Energo account: ${energo_account_id}`
+      });
+    }
+    
+    await ensureStationAccountColumn(pool);
     client = await pool.connect();
     
     // Insert new station
     const result = await client.query(
-      `INSERT INTO stations (id, title, latitude, longitude, updated_at)
-       VALUES ($1, $2, $3, $4, NOW())
-       RETURNING id, title, latitude, longitude, updated_at`,
-      [id, title, latNum, lngNum]
+      `INSERT INTO stations (id, title, latitude, longitude, energo_account_id, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING id, title, latitude, longitude, energo_account_id, updated_at`,
+      [id, title, latNum, lngNum, energo_account_id || null]
     );
     
     res.status(201).json({
@@ -556,7 +727,7 @@ router.patch('/stations/:id', async (req, res) => {
   let client;
   try {
     const { id } = req.params;
-    const { title, latitude, longitude } = req.body;
+    const { title, latitude, longitude, energo_account_id } = req.body;
     
     // Validate id is provided and not empty
     if (!id || id.trim() === '') {
@@ -567,10 +738,10 @@ router.patch('/stations/:id', async (req, res) => {
     }
     
     // Check if at least one field is being updated
-    if (title === undefined && latitude === undefined && longitude === undefined) {
+    if (title === undefined && latitude === undefined && longitude === undefined && energo_account_id === undefined) {
       return res.status(400).json({
         success: false,
-        error: 'At least one field (title, latitude, longitude) must be provided'
+        error: 'At least one field (title, latitude, longitude, energo_account_id) must be provided'
       });
     }
     
@@ -596,6 +767,15 @@ router.patch('/stations/:id', async (req, res) => {
       }
     }
     
+    // Validate Energo account if provided (null moves the station back to the default account)
+    if (energo_account_id !== undefined && energo_account_id !== null && !getEnergoAccount(energo_account_id)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown Energo account: ${energo_account_id}`
+      });
+    }
+    
+    await ensureStationAccountColumn(pool);
     client = await pool.connect();
     
     // Build dynamic UPDATE query
@@ -621,6 +801,10 @@ router.patch('/stations/:id', async (req, res) => {
       updates.push(`longitude = $${paramIndex++}`);
       values.push(parseFloat(longitude));
     }
+    if (energo_account_id !== undefined) {
+      updates.push(`energo_account_id = $${paramIndex++}`);
+      values.push(energo_account_id || null);
+    }
     
     // Always update updated_at
     updates.push(`updated_at = NOW()`);
@@ -628,7 +812,7 @@ router.patch('/stations/:id', async (req, res) => {
     // Add id as the last parameter
     values.push(id);
     
-    const query = `UPDATE stations SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING id, title, latitude, longitude, updated_at`;
+    const query = `UPDATE stations SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING id, title, latitude, longitude, energo_account_id, updated_at`;
     
     const result = await client.query(query, values);
     
@@ -659,7 +843,9 @@ router.patch('/stations/:id', async (req, res) => {
 });
 
 // Log when router is loaded
-console.log('📦 Map service API router initialized with routes: GET, POST, PATCH, DELETE /stations');
+console.log('📦 Map service API router initialized with routes: GET, POST, PATCH, DELETE /stations, GET /stations/:id/slots, POST /stations/:id/commands');
 
 module.exports = router;
+// Started by server.js once the server is listening
+module.exports.startCabinetStatusPoller = cabinetStatus.startPoller;
 
@@ -0,0 +1,420 @@
+// Offline stand-in for the Energo API the service uses: /api/cabinet, /api/order and /api/command/sendCommandBySign,
+// plus the dashboard login from energo_login_fixture.js so token refreshes work too.
+//
+// Cabinets, slots, batteries and orders live in an in-memory model loaded from a seed file (mock/energo_seed.json,
+// or MOCK_ENERGO_SEED). Popping a slot takes its battery out and opens an order for it, like the real dashboard.
+//   node mock/energo_backend.js     serve on MOCK_ENERGO_PORT (default 4020)
+// Then run the service with ENERGO_BASE_URL pointing at it (see the printed settings).
+//
+// Test helpers (not part of Energo's API):
+//   GET   /mock/state              current cabinets and orders
+//   POST  /mock/reset              reload the seed (or use the JSON body as the seed)
+//   POST  /mock/return             {"battery", "cabinet", "slot"?} dock a rented battery and close its order
+//   PATCH /mock/cabinets/:id       {"online": false} take a cabinet offline (or back online)
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { createLoginFixture, listen } = require('./energo_login_fixture');
+
+const DEFAULT_SEED_PATH = path.join(__dirname, 'energo_seed.json');
+// Slots per cabinet when the seed doesn't say
+const DEFAULT_SLOT_COUNT = 6;
+// Energo's page size when size is 0 or missing
+const DEFAULT_PAGE_SIZE = 10;
+// Rent charged per started 24 hours, and the most a rental costs
+const RENT_PER_DAY = 3;
+const MAX_RENT = 21;
+// Placeholder signs for the cabinet commands besides pops (set them in CABINET_COMMAND_SIGNS to use the mock)
+const MAINTENANCE_COMMANDS = ['SendRestartCabinet', 'SendSyncInventory', 'SendUnlockAllSlots'];
+
+/**
+ * Read a seed file
+ * @param {string} [seedPath] - Defaults to MOCK_ENERGO_SEED or mock/energo_seed.json
+ * @returns {Object}
+ */
+function loadSeed(seedPath) {
+  const file = seedPath || process.env.MOCK_ENERGO_SEED || DEFAULT_SEED_PATH;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read mock Energo seed from ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Split a list into one Energo-style page
+ */
+function toPage(items, page, size) {
+  const pageSize = parseInt(size, 10) || DEFAULT_PAGE_SIZE;
+  const pageNumber = Math.max(0, parseInt(page, 10) || 0);
+  return {
+    content: items.slice(pageNumber * pageSize, (pageNumber + 1) * pageSize),
+    totalElements: items.length,
+    totalPages: Math.ceil(items.length / pageSize),
+    number: pageNumber,
+    size: pageSize
+  };
+}
+
+function calculateRent(startTime, endTime) {
+  const days = Math.ceil((endTime - startTime) / (24 * 60 * 60 * 1000));
+  return Math.min(Math.max(days, 1) * RENT_PER_DAY, MAX_RENT);
+}
+
+/**
+ * In-memory cabinets, slots, batteries and orders
+ * @param {Object} seed - Seed (see mock/energo_seed.json)
+ * @returns {Object} - Model with reset(), listCabinets(), listOrders(), pop(), runCommand(), returnBattery(), setOnline(), snapshot()
+ */
+function createEnergoModel(seed) {
+  let cabinets = new Map();
+  let orders = [];
+  let nextOrderId = 1;
+
+  function createOrder({ battery, cabinet, slot, startTime }) {
+    const id = nextOrderId++;
+    const order = {
+      id,
+      orderNo: `MOCK${String(id).padStart(8, '0')}`,
+      deviceid: battery,
+      cabinetid: cabinet,
+      borrowSlot: slot,
+      createTime: startTime,
+      starttime: startTime,
+      returnTime: 0,
+      endtime: null,
+      returnCabinetid: null,
+      returnRent: 0
+    };
+    orders.push(order);
+    return order;
+  }
+
+  function closeOrder(order, cabinetId, returnTime) {
+    order.returnTime = returnTime;
+    order.endtime = returnTime;
+    order.returnCabinetid = cabinetId;
+    order.returnRent = calculateRent(order.starttime, returnTime);
+  }
+
+  function reset(nextSeed) {
+    cabinets = new Map();
+    orders = [];
+    nextOrderId = 1;
+
+    for (const cabinet of nextSeed.cabinets || []) {
+      const slotCount = cabinet.slot_count || DEFAULT_SLOT_COUNT;
+      const slots = Array.from({ length: slotCount }, (_, index) => ({ slot: index + 1, battery: null, power: null, fault: null }));
+      for (const slot of cabinet.slots || []) {
+        if (!slots[slot.slot - 1]) {
+          throw new Error(`Mock cabinet ${cabinet.id} has no slot ${slot.slot} (slot_count ${slotCount})`);
+        }
+        slots[slot.slot - 1] = {
+          slot: slot.slot,
+          battery: slot.battery || null,
+          power: slot.battery ? (slot.power === undefined ? 100 : slot.power) : null,
+          fault: slot.fault || null
+        };
+      }
+      cabinets.set(cabinet.id, { id: cabinet.id, oid: cabinet.oid ? String(cabinet.oid) : null, online: cabinet.online !== false, slots });
+    }
+
+    const now = Date.now();
+    for (const order of nextSeed.orders || []) {
+      const created = createOrder({
+        battery: order.battery,
+        cabinet: order.cabinet,
+        slot: order.slot,
+        startTime: now - (order.started_minutes_ago || 0) * 60 * 1000
+      });
+      if (order.returned_minutes_ago !== undefined) {
+        closeOrder(created, order.return_cabinet || order.cabinet, now - order.returned_minutes_ago * 60 * 1000);
+      }
+    }
+  }
+
+  function toCabinetJson(cabinet) {
+    const filled = cabinet.slots.filter((slot) => slot.battery).length;
+    return {
+      id: cabinet.id,
+      cabinetId: cabinet.id,
+      oid: cabinet.oid,
+      isOnline: cabinet.online ? 1 : 0,
+      positionInfo: {
+        borrowNum: filled,
+        returnNum: cabinet.slots.length - filled,
+        total: cabinet.slots.length
+      },
+      slotList: cabinet.slots.map((slot) => ({
+        lockid: slot.slot,
+        batteryid: slot.battery || '',
+        power: slot.power,
+        fault: slot.fault
+      }))
+    };
+  }
+
+  // Cabinets of another operator are invisible, as on the real dashboard
+  function findCabinet(cabinetId, oid) {
+    const cabinet = cabinets.get(cabinetId);
+    return cabinet && (!oid || !cabinet.oid || cabinet.oid === oid) ? cabinet : null;
+  }
+
+  reset(seed);
+
+  return {
+    reset,
+
+    listCabinets({ oid, cabinetId, sort, page, size } = {}) {
+      let list = Array.from(cabinets.values()).filter((cabinet) => findCabinet(cabinet.id, oid));
+      if (cabinetId) {
+        list = list.filter((cabinet) => cabinet.id === cabinetId);
+      }
+      if (sort === 'isOnline') {
+        list.sort((a, b) => Number(b.online) - Number(a.online));
+      }
+      return toPage(list.map(toCabinetJson), page, size);
+    },
+
+    listOrders({ oid, deviceid, cabinetid, createdFrom, createdTo, sort, page, size } = {}) {
+      let list = orders.filter((order) => findCabinet(order.cabinetid, oid));
+      if (deviceid) list = list.filter((order) => order.deviceid === deviceid);
+      if (cabinetid) list = list.filter((order) => order.cabinetid === cabinetid);
+      if (createdFrom) list = list.filter((order) => order.createTime >= Number(createdFrom));
+      if (createdTo) list = list.filter((order) => order.createTime <= Number(createdTo));
+      list = [...list].sort((a, b) => (sort === 'id,asc' ? a.id - b.id : b.id - a.id));
+      return toPage(list, page, size);
+    },
+
+    /**
+     * Force a slot to release its battery
+     * @returns {{borrowstatus: boolean, lockid: number, batteryid: string, orderNo?: string, msg?: string}|null} - null if the cabinet doesn't exist (for this oid)
+     */
+    pop(cabinetId, slotNumber, oid) {
+      const cabinet = findCabinet(cabinetId, oid);
+      if (!cabinet) {
+        return null;
+      }
+      const slot = cabinet.slots[slotNumber - 1];
+      if (!cabinet.online) {
+        return { borrowstatus: false, lockid: slotNumber, batteryid: '', msg: 'Cabinet is offline' };
+      }
+      if (!slot) {
+        return { borrowstatus: false, lockid: slotNumber, batteryid: '', msg: 'No such slot' };
+      }
+      // The cabinet reports a pop from an empty slot, naming no battery
+      if (!slot.battery && slot.fault === 'phantom_eject') {
+        return { borrowstatus: true, lockid: slotNumber, batteryid: '' };
+      }
+      if (!slot.battery) {
+        return { borrowstatus: false, lockid: slotNumber, batteryid: '', msg: 'Slot is empty' };
+      }
+      if (slot.fault === 'lock_stuck') {
+        return { borrowstatus: false, lockid: slotNumber, batteryid: slot.battery, msg: 'Lock did not open' };
+      }
+      // The cabinet accepts the command but the battery never leaves the slot
+      if (slot.fault === 'eject_unconfirmed') {
+        return { borrowstatus: true, lockid: slotNumber, batteryid: slot.battery };
+      }
+
+      const battery = slot.battery;
+      Object.assign(slot, { battery: null, power: null, fault: null });
+      const order = createOrder({ battery, cabinet: cabinet.id, slot: slotNumber, startTime: Date.now() });
+      return { borrowstatus: true, lockid: slotNumber, batteryid: battery, orderNo: order.orderNo };
+    },
+
+    /**
+     * Dock a battery (closing its open order)
+     * @returns {Object} - The slot it went into
+     */
+    returnBattery({ battery, cabinet: cabinetId, slot: slotNumber }) {
+      const cabinet = cabinets.get(cabinetId);
+      if (!cabinet) {
+        throw new Error(`Unknown cabinet ${cabinetId}`);
+      }
+      for (const other of cabinets.values()) {
+        if (other.slots.some((slot) => slot.battery === battery)) {
+          throw new Error(`Battery ${battery} is already docked in ${other.id}`);
+        }
+      }
+      const slot = slotNumber
+        ? cabinet.slots[slotNumber - 1]
+        : cabinet.slots.find((candidate) => !candidate.battery && !candidate.fault);
+      if (!slot || slot.battery) {
+        throw new Error(`No free slot in ${cabinetId}${slotNumber ? ` at ${slotNumber}` : ''}`);
+      }
+
+      Object.assign(slot, { battery, power: 100, fault: null });
+      const open = orders.find((order) => order.deviceid === battery && !order.returnTime);
+      if (open) {
+        closeOrder(open, cabinet.id, Date.now());
+      }
+      return { cabinet: cabinet.id, ...slot };
+    },
+
+    /**
+     * Run a maintenance command (see MAINTENANCE_COMMANDS); unlocking every slot pops each battery
+     * @returns {Object|null} - Energo-style response, or null if the cabinet doesn't exist (for this oid)
+     */
+    runCommand(cabinetId, commandSign, oid) {
+      const cabinet = findCabinet(cabinetId, oid);
+      if (!cabinet) {
+        return null;
+      }
+      if (!cabinet.online) {
+        return { code: 500, msg: 'Cabinet is offline' };
+      }
+      if (commandSign === 'SendUnlockAllSlots') {
+        const released = cabinet.slots
+          .filter((slot) => slot.battery)
+          .map((slot) => this.pop(cabinet.id, slot.slot, oid))
+          .filter((result) => result.borrowstatus)
+          .map((result) => ({ lockid: result.lockid, batteryid: result.batteryid }));
+        return { code: 200, msg: 'success', released };
+      }
+      return { code: 200, msg: 'success' };
+    },
+
+    setOnline(cabinetId, online) {
+      const cabinet = cabinets.get(cabinetId);
+      if (!cabinet) {
+        return false;
+      }
+      cabinet.online = Boolean(online);
+      return true;
+    },
+
+    snapshot() {
+      return {
+        cabinets: Array.from(cabinets.values()).map(toCabinetJson),
+        orders: [...orders]
+      };
+    }
+  };
+}
+
+/**
+ * Start the mock Energo backend
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on (0 = any free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {Object} [options.seed] - Seed object (default: loadSeed())
+ * @param {Array<string>} [options.tokens=[]] - Bearer tokens accepted without logging in (e.g. for CI)
+ * @param {string|null} [options.captcha=null] - Fixed login captcha expression (see energo_login_fixture.js)
+ * @returns {Promise<{url: string, server: Object, close: Function, model: Object}>}
+ */
+async function startEnergoBackend({ port = 0, host = '127.0.0.1', seed, tokens = [], captcha = null } = {}) {
+  const initialSeed = seed || loadSeed();
+  const model = createEnergoModel(initialSeed);
+  const login = createLoginFixture({ accounts: initialSeed.accounts, captcha });
+
+  const app = express();
+  app.use(express.json());
+  app.use(login.router);
+
+  // Every /api call needs a token the login issued (or one of the fixed tokens)
+  app.use('/api', (req, res, next) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!login.isTokenValid(token) && !tokens.includes(token)) {
+      return res.status(401).json({ code: 401, msg: 'Unauthorized' });
+    }
+    next();
+  });
+
+  app.get('/api/cabinet', (req, res) => {
+    res.json(model.listCabinets({
+      oid: req.get('oid'),
+      cabinetId: req.query.cabinetId,
+      sort: req.query.sort,
+      page: req.query.page,
+      size: req.query.size
+    }));
+  });
+
+  app.get('/api/order', (req, res) => {
+    // createTime[0]/createTime[1] arrive as an array from Express's query parser
+    const createTime = Array.isArray(req.query.createTime) ? req.query.createTime : [];
+    res.json(model.listOrders({
+      oid: req.get('oid'),
+      deviceid: req.query.deviceid,
+      cabinetid: req.query.cabinetid,
+      createdFrom: createTime[0] || req.query['createTime[0]'],
+      createdTo: createTime[1] || req.query['createTime[1]'],
+      sort: req.query.sort,
+      page: req.query.page,
+      size: req.query.size
+    }));
+  });
+
+  app.post('/api/command/sendCommandBySign', (req, res) => {
+    const { cabinetId, rlSlot, commandSign } = req.body || {};
+    if (commandSign === 'SendCompulsoryBorrowDevice') {
+      const result = model.pop(cabinetId, Number(rlSlot), req.get('oid'));
+      if (!result) {
+        return res.status(400).json({ code: 400, msg: `Cabinet ${cabinetId} not found` });
+      }
+      return res.json({ code: 200, ...result });
+    }
+    if (MAINTENANCE_COMMANDS.includes(commandSign)) {
+      const result = model.runCommand(cabinetId, commandSign, req.get('oid'));
+      if (!result) {
+        return res.status(400).json({ code: 400, msg: `Cabinet ${cabinetId} not found` });
+      }
+      return res.json(result);
+    }
+    res.status(400).json({ code: 400, msg: `Unsupported command ${commandSign}` });
+  });
+
+  app.get('/mock/state', (req, res) => {
+    res.json(model.snapshot());
+  });
+
+  app.post('/mock/reset', (req, res) => {
+    try {
+      model.reset(req.body && req.body.cabinets ? req.body : initialSeed);
+      res.json(model.snapshot());
+    } catch (error) {
+      res.status(400).json({ code: 400, msg: error.message });
+    }
+  });
+
+  app.post('/mock/return', (req, res) => {
+    try {
+      res.json(model.returnBattery(req.body || {}));
+    } catch (error) {
+      res.status(400).json({ code: 400, msg: error.message });
+    }
+  });
+
+  app.patch('/mock/cabinets/:id', (req, res) => {
+    if (!model.setOnline(req.params.id, req.body && req.body.online)) {
+      return res.status(404).json({ code: 404, msg: `Cabinet ${req.params.id} not found` });
+    }
+    res.json(model.listCabinets({ cabinetId: req.params.id }).content[0]);
+  });
+
+  const server = await listen(app, port, host);
+  return { ...server, model };
+}
+
+module.exports = {
+  createEnergoModel,
+  startEnergoBackend,
+  loadSeed
+};
+
+if (require.main === module) {
+  const tokens = (process.env.MOCK_ENERGO_TOKENS || '').split(',').map((token) => token.trim()).filter(Boolean);
+  startEnergoBackend({ port: parseInt(process.env.MOCK_ENERGO_PORT, 10) || 4020, tokens })
+    .then(({ url, model }) => {
+      const { cabinets } = model.snapshot();
+      console.log(`🧪 Mock Energo backend listening on ${url} with ${cabinets.length} cabinet(s): ${cabinets.map((cabinet) => cabinet.id).join(', ')}`);
+      console.log('   Run the service against it with:');
+      console.log(`   ENERGO_BASE_URL=${url} ENERGO_USERNAME=demo ENERGO_PASSWORD=demo-password ENERGO_PASSWORD_PUBLIC_KEY=`);
+      console.log(`   CAPTCHA_SOLVERS=local CAPTCHA_TEMPLATES_PATH=${path.join(__dirname, 'captcha_templates.json')}`);
+    })
+    .catch((error) => {
+      console.error('❌ Could not start the mock Energo backend:', error);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,511 @@
+// Offline stand-in for the Energo dashboard login (login page, arithmetic captcha, /auth/* endpoints and the cabinet request)
+//
+// Point the login at it with ENERGO_BASE_URL=http://127.0.0.1:<port> to exercise loginToEnergo / loginToEnergoHttp
+// without touching backend.energo.vip. Run directly to serve it, or with --login to run a login against it:
+//   node mock/energo_login_fixture.js                    serve on FIXTURE_PORT (default 4010)
+//   node mock/energo_login_fixture.js --login            log in with the right credentials and captcha; expects a token
+//   node mock/energo_login_fixture.js --login --wrong-captcha    expects failureReason "captcha"
+//   node mock/energo_login_fixture.js --login --wrong-password   expects failureReason "credentials"
+// The login strategy comes from ENERGO_LOGIN_STRATEGY as usual (set it to "browser" to cover the Puppeteer login).
+const crypto = require('crypto');
+const zlib = require('zlib');
+const express = require('express');
+
+const DEFAULT_USERNAME = 'demo';
+const DEFAULT_PASSWORD = 'demo-password';
+const DEFAULT_OID = '3526';
+// Captcha uuids not used within this long are forgotten
+const CAPTCHA_TTL_MS = 5 * 60 * 1000;
+
+// 5x7 glyphs for the captcha text
+const GLYPHS = {
+  '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+  '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+  '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+  '3': ['11110', '00001', '00001', '01110', '00001', '00001', '11110'],
+  '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+  '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+  '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+  '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+  '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+  '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+  '+': ['00000', '00100', '00100', '11111', '00100', '00100', '00000'],
+  '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+  'x': ['00000', '10001', '01010', '00100', '01010', '10001', '00000'],
+  '=': ['00000', '00000', '11111', '00000', '11111', '00000', '00000'],
+  '?': ['01110', '10001', '00001', '00010', '00100', '00000', '00100']
+};
+const GLYPH_SCALE = 4;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Draw the captcha text as a PNG (dark glyphs with light noise on white)
+ * @param {string} text - Captcha text, e.g. "3+4=?"
+ * @returns {Buffer}
+ */
+function renderCaptchaPng(text) {
+  const padding = 8;
+  const glyphWidth = 5 * GLYPH_SCALE;
+  const spacing = 2 * GLYPH_SCALE;
+  const width = padding * 2 + text.length * (glyphWidth + spacing) - spacing;
+  const height = padding * 2 + 7 * GLYPH_SCALE;
+  const pixels = Buffer.alloc(width * height * 3, 0xff);
+
+  const setPixel = (x, y, [r, g, b]) => {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const offset = (y * width + x) * 3;
+    pixels[offset] = r;
+    pixels[offset + 1] = g;
+    pixels[offset + 2] = b;
+  };
+
+  for (let i = 0; i < 60; i++) {
+    setPixel(crypto.randomInt(width), crypto.randomInt(height), [200, 200, 220]);
+  }
+
+  [...text].forEach((char, index) => {
+    const glyph = GLYPHS[char];
+    if (!glyph) return;
+    const left = padding + index * (glyphWidth + spacing);
+    const top = padding;
+    glyph.forEach((row, gy) => {
+      [...row].forEach((bit, gx) => {
+        if (bit !== '1') return;
+        for (let dy = 0; dy < GLYPH_SCALE; dy++) {
+          for (let dx = 0; dx < GLYPH_SCALE; dx++) {
+            setPixel(left + gx * GLYPH_SCALE + dx, top + gy * GLYPH_SCALE + dy, [40, 60, 120]);
+          }
+        }
+      });
+    });
+  });
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    rows.push(Buffer.from([0]), pixels.subarray(y * width * 3, (y + 1) * width * 3));
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Parse (or make up) an arithmetic captcha
+ * @param {string|null} expression - Fixed expression like "3+4" (operators + - x), or null for a random one
+ * @returns {{text: string, answer: string}}
+ */
+function createCaptcha(expression) {
+  let a, b, op;
+  if (expression) {
+    const match = /^\s*(\d)\s*([+\-x*])\s*(\d)\s*$/.exec(expression);
+    if (!match) {
+      throw new Error(`Fixture captcha "${expression}" must look like "3+4" (single digits, operator + - or x)`);
+    }
+    a = Number(match[1]);
+    op = match[2] === '*' ? 'x' : match[2];
+    b = Number(match[3]);
+  } else {
+    a = crypto.randomInt(1, 10);
+    b = crypto.randomInt(1, 10);
+    op = ['+', '-', 'x'][crypto.randomInt(3)];
+    if (op === '-' && b > a) [a, b] = [b, a];
+  }
+  const answer = op === '+' ? a + b : op === '-' ? a - b : a * b;
+  return { text: `${a}${op}${b}=?`, answer: String(answer) };
+}
+
+/**
+ * Answer to a fixed fixture captcha expression, for passing as the login's captcha option
+ * @param {string} expression - e.g. "3+4"
+ * @returns {string}
+ */
+function getCaptchaAnswer(expression) {
+  return createCaptcha(expression).answer;
+}
+
+function base64url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+const LOGIN_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Energo - Login</title>
+  <style>
+    body { font-family: sans-serif; background: #f0f2f5; }
+    form { width: 320px; margin: 80px auto; padding: 24px; background: #fff; border-radius: 6px; }
+    input { display: block; width: 100%; box-sizing: border-box; margin-bottom: 12px; padding: 8px; }
+    .captcha-row { display: flex; gap: 8px; }
+    .captcha-img { height: 44px; cursor: pointer; }
+    .error { color: #c0392b; margin-bottom: 12px; }
+    button { width: 100%; padding: 10px; }
+  </style>
+</head>
+<body>
+  <form id="login-form">
+    <input type="text" name="username" placeholder="Username" autocomplete="off">
+    <input type="password" name="password" placeholder="Password">
+    <div class="captcha-row">
+      <input type="text" name="code" placeholder="Verification code" autocomplete="off">
+      <img class="captcha-img" alt="captcha" title="Click for a new code">
+    </div>
+    <div id="message"></div>
+    <button type="submit">Login</button>
+  </form>
+  <script>
+    const form = document.getElementById('login-form');
+    const image = form.querySelector('.captcha-img');
+    const message = document.getElementById('message');
+    let uuid = null;
+    let messageTimer = null;
+
+    async function loadCaptcha() {
+      const response = await fetch('/auth/code');
+      const body = await response.json();
+      uuid = body.uuid;
+      image.src = body.img;
+    }
+
+    // Shown like the dashboard's toast: an .error element that goes away after a few seconds
+    function showError(text) {
+      clearTimeout(messageTimer);
+      message.innerHTML = '';
+      const error = document.createElement('div');
+      error.className = 'error';
+      error.textContent = text;
+      message.appendChild(error);
+      messageTimer = setTimeout(() => { message.innerHTML = ''; }, 2500);
+    }
+
+    image.addEventListener('click', loadCaptcha);
+    form.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const response = await fetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: form.username.value,
+          password: form.password.value,
+          code: form.code.value,
+          uuid: uuid
+        })
+      });
+      const body = await response.json().catch(() => ({}));
+      if (response.ok && body.token) {
+        localStorage.setItem('token', body.token);
+        localStorage.setItem('oid', body.oid);
+        location.href = '/';
+        return;
+      }
+      showError(body.msg || 'Login failed');
+      form.code.value = '';
+      loadCaptcha();
+    });
+    loadCaptcha();
+  </script>
+</body>
+</html>`;
+
+const DASHBOARD_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Energo - Devices</title>
+</head>
+<body>
+  <h1>Devices</h1>
+  <ul id="devices"></ul>
+  <script>
+    (async () => {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        location.href = '/login';
+        return;
+      }
+      const response = await fetch('/api/cabinet?sort=isOnline&page=0&size=10', {
+        headers: { 'Authorization': 'Bearer ' + token, 'oid': localStorage.getItem('oid') || '' }
+      });
+      if (response.status === 401) {
+        localStorage.removeItem('token');
+        location.href = '/login';
+        return;
+      }
+      const body = await response.json();
+      document.getElementById('devices').innerHTML = body.content.map((cabinet) => '<li>' + cabinet.id + '</li>').join('');
+    })();
+  </script>
+</body>
+</html>`;
+
+/**
+ * Login pages and /auth/* endpoints, as a router other mock servers can mount (see mock/energo_backend.js)
+ * @param {Object} [options]
+ * @param {Array<{username: string, password: string, oid: string}>} [options.accounts] - Logins the fixture accepts (default: demo / demo-password, oid 3526)
+ * @param {string|null} [options.captcha=null] - Fixed captcha expression (e.g. "3+4"); random per request when null
+ * @param {number} [options.tokenTtlSeconds=86400] - Lifetime of issued tokens (their exp claim)
+ * @returns {{router: Object, isTokenValid: Function, rejectNextCaptchas: Function}} - isTokenValid(token) tells whether
+ * the fixture issued an unexpired token; rejectNextCaptchas(count) answers the next logins as a wrong captcha whatever
+ * the answer, as if the solver misread the image (to exercise captcha retries)
+ */
+function createLoginFixture({
+  accounts = [{ username: DEFAULT_USERNAME, password: DEFAULT_PASSWORD, oid: DEFAULT_OID }],
+  captcha = null,
+  tokenTtlSeconds = 24 * 60 * 60
+} = {}) {
+  // Fail on a bad fixed expression now rather than on the first captcha request
+  if (captcha) {
+    createCaptcha(captcha);
+  }
+
+  const router = express.Router();
+  router.use(express.json());
+
+  const captchas = new Map();
+  const issuedTokens = new Map();
+  let captchasToReject = 0;
+  const signingKey = crypto.randomBytes(32);
+
+  function issueToken(account) {
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + tokenTtlSeconds;
+    const unsigned = `${base64url({ alg: 'HS256', typ: 'JWT' })}.${base64url({ sub: account.username, oid: account.oid, iat, exp })}`;
+    const signature = crypto.createHmac('sha256', signingKey).update(unsigned).digest('base64url');
+    const token = `${unsigned}.${signature}`;
+    issuedTokens.set(token, exp * 1000);
+    return token;
+  }
+
+  function isTokenValid(token) {
+    const expiresAt = issuedTokens.get(token);
+    return Boolean(expiresAt && expiresAt > Date.now());
+  }
+
+  router.get(['/', '/device/list'], (req, res) => {
+    res.type('html').send(DASHBOARD_PAGE);
+  });
+
+  router.get('/login', (req, res) => {
+    res.type('html').send(LOGIN_PAGE);
+  });
+
+  router.get('/auth/code', (req, res) => {
+    const now = Date.now();
+    for (const [uuid, entry] of captchas) {
+      if (entry.expiresAt < now) captchas.delete(uuid);
+    }
+    const { text, answer } = createCaptcha(captcha);
+    const uuid = crypto.randomUUID();
+    captchas.set(uuid, { answer, expiresAt: now + CAPTCHA_TTL_MS });
+    res.json({ code: 200, uuid, img: `data:image/png;base64,${renderCaptchaPng(text).toString('base64')}` });
+  });
+
+  router.post('/auth/login', (req, res) => {
+    const body = req.body || {};
+    const entry = captchas.get(body.uuid);
+    // A captcha is good for one login attempt, right or wrong
+    captchas.delete(body.uuid);
+    // Like the dashboard, failed logins are answered with HTTP 200 and the error in code/msg
+    const misread = captchasToReject > 0;
+    captchasToReject = Math.max(captchasToReject - 1, 0);
+    if (misread || !entry || entry.expiresAt < Date.now() || String(body.code || '').trim() !== entry.answer) {
+      return res.json({ code: 500, msg: 'Captcha code is incorrect or expired' });
+    }
+    const account = accounts.find((candidate) => candidate.username === body.username && candidate.password === body.password);
+    if (!account) {
+      return res.json({ code: 500, msg: 'Invalid username or password' });
+    }
+    res.json({ code: 200, msg: 'ok', token: issueToken(account), oid: account.oid });
+  });
+
+  function rejectNextCaptchas(count) {
+    captchasToReject = count;
+  }
+
+  return { router, isTokenValid, rejectNextCaptchas };
+}
+
+/**
+ * Start the fixture server (the login plus a cabinet endpoint that only checks the token)
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on (0 = any free port)
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on
+ * @param {string} [options.username='demo'] - Username the login accepts
+ * @param {string} [options.password='demo-password'] - Password the login accepts
+ * @param {string} [options.oid='3526'] - Operator id the dashboard sends with the cabinet request
+ * @param {string|null} [options.captcha=null] - Fixed captcha expression (e.g. "3+4"); random per request when null
+ * @param {number} [options.tokenTtlSeconds=86400] - Lifetime of issued tokens (their exp claim)
+ * @returns {Promise<{url: string, server: Object, close: Function, rejectNextCaptchas: Function}>} - See createLoginFixture
+ */
+async function startLoginFixture({
+  port = 0,
+  host = '127.0.0.1',
+  username = DEFAULT_USERNAME,
+  password = DEFAULT_PASSWORD,
+  oid = DEFAULT_OID,
+  captcha = null,
+  tokenTtlSeconds = 24 * 60 * 60
+} = {}) {
+  const app = express();
+  const login = createLoginFixture({ accounts: [{ username, password, oid }], captcha, tokenTtlSeconds });
+  app.use(login.router);
+
+  app.get('/api/cabinet', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!login.isTokenValid(token)) {
+      return res.status(401).json({ code: 401, msg: 'Unauthorized' });
+    }
+    res.json({
+      content: [
+        { id: 'FIXTURE00001', isOnline: true },
+        { id: 'FIXTURE00002', isOnline: false }
+      ],
+      totalElements: 2
+    });
+  });
+
+  const server = await listen(app, port, host);
+  return { ...server, rejectNextCaptchas: login.rejectNextCaptchas };
+}
+
+/**
+ * Listen on host:port and resolve once the server is up
+ * @returns {Promise<{url: string, server: Object, close: Function}>}
+ */
+function listen(app, port, host) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host, () => {
+      const url = `http://${host}:${server.address().port}`;
+      resolve({
+        url,
+        server,
+        close: () => new Promise((done) => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Log in against a fresh fixture and check the outcome (--login)
+ * @param {Array<string>} args - Command line flags
+ * @returns {Promise<boolean>} - true if the outcome was the expected one
+ */
+async function runFixtureLogin(args) {
+  const wrongCaptcha = args.includes('--wrong-captcha');
+  const wrongPassword = args.includes('--wrong-password');
+  const expectedFailure = wrongCaptcha ? 'captcha' : wrongPassword ? 'credentials' : null;
+  const fixedCaptcha = '3+4';
+
+  const fixture = await startLoginFixture({ captcha: fixedCaptcha });
+  console.log(`🧪 Login fixture listening on ${fixture.url}`);
+
+  // Must be set before token_extract is loaded; dotenv never overrides variables that are already set
+  process.env.ENERGO_BASE_URL = fixture.url;
+  process.env.ENERGO_HTTP_CAPTCHA_PATH = '/auth/code';
+  process.env.ENERGO_HTTP_LOGIN_PATH = '/auth/login';
+  process.env.ENERGO_PASSWORD_PUBLIC_KEY = '';
+  const { loginWithStrategy, closeBrowser, probeToken, redactToken } = require('../token_extract');
+
+  let result = null;
+  try {
+    const answer = getCaptchaAnswer(fixedCaptcha);
+    result = await loginWithStrategy({
+      username: DEFAULT_USERNAME,
+      password: wrongPassword ? `${DEFAULT_PASSWORD}-wrong` : DEFAULT_PASSWORD,
+      captcha: wrongCaptcha ? String(Number(answer) + 1) : answer,
+      headless: true,
+      timeout: 30000
+    });
+
+    console.log('Fixture login result:', {
+      success: result.success,
+      strategy: result.strategy,
+      failureReason: result.failureReason,
+      captchaAttempts: result.captchaAttempts,
+      token: result.token ? redactToken(result.token) : null
+    });
+
+    if (expectedFailure) {
+      const ok = !result.success && result.failureReason === expectedFailure;
+      console.log(ok ? `✅ Login failed as expected (${expectedFailure})` : `❌ Expected failureReason "${expectedFailure}", got "${result.failureReason}"`);
+      return ok;
+    }
+
+    const accepted = result.token ? await probeToken(result.token, DEFAULT_OID) : false;
+    const ok = result.success && accepted === true;
+    console.log(ok ? '✅ Token captured and accepted by the fixture' : '❌ Login did not produce a token the fixture accepts');
+    return ok;
+  } finally {
+    await closeBrowser(result);
+    await fixture.close();
+  }
+}
+
+module.exports = {
+  createLoginFixture,
+  startLoginFixture,
+  listen,
+  getCaptchaAnswer,
+  renderCaptchaPng
+};
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--login')) {
+    runFixtureLogin(args)
+      .then((ok) => {
+        process.exitCode = ok ? 0 : 1;
+      })
+      .catch((error) => {
+        console.error('❌ Fixture login failed:', error);
+        process.exitCode = 1;
+      });
+  } else {
+    startLoginFixture({
+      port: parseInt(process.env.FIXTURE_PORT, 10) || 4010,
+      captcha: process.env.FIXTURE_CAPTCHA || null
+    })
+      .then(({ url }) => {
+        console.log(`🧪 Energo login fixture listening on ${url} (username "${DEFAULT_USERNAME}", password "${DEFAULT_PASSWORD}")`);
+        console.log(`   Point the service at it with ENERGO_BASE_URL=${url}`);
+      })
+      .catch((error) => {
+        console.error('❌ Could not start the login fixture:', error);
+        process.exitCode = 1;
+      });
+  }
+}
@@ -0,0 +1,299 @@
+// Audit trail of pop requests and cabinet commands (pop_audit table): who asked for what, what Energo answered and
+// what came out
+//
+// Every slot a pop route handles gets a row, including empty slots and failed commands, so a missing battery can be
+// traced to the request that ejected it. Requests turned down before a slot is known (an unknown station or sticker, a
+// battery that isn't docked) get a row too, with outcome 'not_found' or 'not_docked'. The row of a pop is written with outcome 'pending' before the command is
+// sent and completed afterwards, so a pop whose request dies during verification still leaves a row.
+// Commands from POST /stations/:id/commands get a row each (route 'command'), dry runs included. Rows of one request
+// share a request_id. Writing the row never fails the request.
+
+// Energo command every pop sends
+const POP_COMMAND_SIGN = 'SendCompulsoryBorrowDevice';
+
+// Create the pop_audit table on first use, once per pool
+const tableReady = new WeakMap();
+function ensurePopAuditTable(pool) {
+  if (!tableReady.has(pool)) {
+    const ready = pool.query(`
+      CREATE TABLE IF NOT EXISTS pop_audit (
+        id BIGSERIAL PRIMARY KEY,
+        request_id UUID NOT NULL,
+        route TEXT NOT NULL,
+        station_id TEXT NOT NULL,
+        slot INTEGER,
+        account_id TEXT,
+        caller_id TEXT,
+        caller_auth TEXT NOT NULL,
+        caller_ip TEXT,
+        user_agent TEXT,
+        manufacture_id TEXT,
+        outcome TEXT NOT NULL,
+        energo_borrowstatus BOOLEAN,
+        energo_message TEXT,
+        energo_status INTEGER,
+        flagged BOOLEAN NOT NULL DEFAULT FALSE,
+        error_kind TEXT,
+        error TEXT,
+        started_at TIMESTAMPTZ NOT NULL,
+        duration_ms INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS pop_audit_started_at_idx ON pop_audit (started_at DESC);
+      CREATE INDEX IF NOT EXISTS pop_audit_station_idx ON pop_audit (station_id, started_at DESC);
+      ALTER TABLE pop_audit ADD COLUMN IF NOT EXISTS command_sign TEXT NOT NULL DEFAULT '${POP_COMMAND_SIGN}';
+      ALTER TABLE pop_audit ADD COLUMN IF NOT EXISTS dry_run BOOLEAN NOT NULL DEFAULT FALSE;
+      ALTER TABLE pop_audit ADD COLUMN IF NOT EXISTS energo_batteryid TEXT;
+      ALTER TABLE pop_audit ADD COLUMN IF NOT EXISTS sticker_id TEXT;
+      ALTER TABLE pop_audit ALTER COLUMN station_id DROP NOT NULL;
+    `).catch((error) => {
+      tableReady.delete(pool);
+      throw error;
+    });
+    tableReady.set(pool, ready);
+  }
+  return tableReady.get(pool);
+}
+
+/**
+ * Insert an audit row; failures are only logged
+ * @param {Object} pool - pg Pool
+ * @param {Object} row - Column values (see ensurePopAuditTable); started_at as epoch ms, duration_ms is derived
+ * @returns {Promise<string|null>} - The row's id, or null if it couldn't be written
+ */
+async function insertAuditRow(pool, row) {
+  try {
+    await ensurePopAuditTable(pool);
+    const result = await pool.query(
+      `INSERT INTO pop_audit
+         (request_id, route, station_id, slot, account_id, caller_id, caller_auth, caller_ip, user_agent, manufacture_id,
+          outcome, energo_borrowstatus, energo_message, energo_status, flagged, error_kind, error, started_at, duration_ms,
+          command_sign, dry_run, energo_batteryid, sticker_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, to_timestamp($18 / 1000.0), $19,
+               $20, $21, $22, $23)
+       RETURNING id`,
+      [
+        row.request_id,
+        row.route,
+        row.station_id,
+        row.slot,
+        row.account_id,
+        row.caller.caller_id,
+        row.caller.caller_auth,
+        row.caller.caller_ip,
+        row.caller.user_agent,
+        row.manufacture_id,
+        row.outcome,
+        row.energo_borrowstatus,
+        row.energo_message,
+        row.energo_status,
+        row.flagged,
+        row.error_kind,
+        row.error,
+        row.started_at,
+        Date.now() - row.started_at,
+        row.command_sign,
+        row.dry_run,
+        row.energo_batteryid || null,
+        row.sticker_id || null
+      ]
+    );
+    return result.rows[0] ? result.rows[0].id : null;
+  } catch (auditError) {
+    console.error(`❌ Could not record ${row.command_sign} for station ${row.station_id}${row.slot ? ` slot ${row.slot}` : ''}:`, auditError.message);
+    return null;
+  }
+}
+
+/**
+ * Column values of a pop's result (or of the error that ended it)
+ */
+function popOutcomeColumns(result, error) {
+  return {
+    manufacture_id: result ? result.manufacture_id : null,
+    outcome: result ? result.outcome : 'error',
+    energo_borrowstatus: result ? result.energo_borrowstatus : null,
+    energo_message: result ? result.energo_message : null,
+    energo_batteryid: result ? result.energo_batteryid : null,
+    energo_status: (result && result.energo_status) || (error && error.status) || null,
+    flagged: Boolean(result && result.flagged),
+    error_kind: error ? (error.kind || null) : null,
+    error: error ? error.message : null
+  };
+}
+
+/**
+ * Store one slot of a pop request
+ * @param {Object} pool - pg Pool
+ * @param {Object} entry
+ * @param {string} entry.requestId - Shared by the rows of one request
+ * @param {string} entry.route - 'slot', 'all' or 'battery'
+ * @param {string|null} entry.stationId - Station (cabinet) id (null if a pop by sticker ended before it was found)
+ * @param {number|null} entry.slot - Slot number (null if the request failed before a slot was chosen)
+ * @param {string} [entry.stickerId] - Sticker of a pop by sticker
+ * @param {string|null} entry.accountId - Energo account used
+ * @param {Object} entry.caller - From getCallerIdentity (admin_auth.js)
+ * @param {Object} [entry.result] - Pop result from slot_pop.js
+ * @param {Error} [entry.error] - Why the pop failed, when there is no result
+ * @param {string} [entry.outcome] - Overrides the outcome, for 'not_found' and 'not_docked' (with error saying why)
+ * @param {string|null} [entry.manufactureId] - Battery looked for, when there is no result
+ * @param {number} entry.startedAt - Epoch ms the slot's pop started
+ */
+function recordPop(pool, { requestId, route, stationId, slot, stickerId, accountId, caller, result, error, outcome, manufactureId, startedAt }) {
+  const columns = popOutcomeColumns(result, error);
+  return insertAuditRow(pool, {
+    request_id: requestId,
+    route,
+    station_id: stationId,
+    slot,
+    sticker_id: stickerId,
+    account_id: accountId,
+    caller,
+    ...columns,
+    manufacture_id: columns.manufacture_id || manufactureId || null,
+    outcome: outcome || columns.outcome,
+    started_at: startedAt,
+    command_sign: POP_COMMAND_SIGN,
+    dry_run: false
+  });
+}
+
+/**
+ * Store a pop about to send its command, with outcome 'pending' until finishPop completes it
+ * @param {Object} pool - pg Pool
+ * @param {Object} entry - As recordPop, without result and error
+ * @param {string|null} entry.manufactureId - Battery read in the slot before the command
+ * @returns {Promise<string|null>} - Row id for finishPop (null if the row couldn't be written)
+ */
+function startPop(pool, { requestId, route, stationId, slot, stickerId, accountId, caller, manufactureId, startedAt }) {
+  return insertAuditRow(pool, {
+    request_id: requestId,
+    route,
+    station_id: stationId,
+    slot,
+    sticker_id: stickerId,
+    account_id: accountId,
+    caller,
+    ...popOutcomeColumns(null, null),
+    manufacture_id: manufactureId,
+    outcome: 'pending',
+    started_at: startedAt,
+    command_sign: POP_COMMAND_SIGN,
+    dry_run: false
+  });
+}
+
+/**
+ * Complete the row startPop wrote with the pop's result or error; without a row (startPop wasn't reached or
+ * failed) the whole row is inserted as recordPop would. Failures are only logged.
+ * @param {Object} pool - pg Pool
+ * @param {string|null} auditId - From startPop
+ * @param {Object} entry - As recordPop
+ */
+async function finishPop(pool, auditId, entry) {
+  if (!auditId) {
+    return recordPop(pool, entry);
+  }
+  const columns = popOutcomeColumns(entry.result, entry.error);
+  try {
+    await pool.query(
+      `UPDATE pop_audit
+          SET manufacture_id = COALESCE($2, manufacture_id), outcome = $3, energo_borrowstatus = $4, energo_message = $5,
+              energo_batteryid = $6, energo_status = $7, flagged = $8, error_kind = $9, error = $10,
+              duration_ms = $11
+        WHERE id = $1`,
+      [
+        auditId,
+        columns.manufacture_id,
+        columns.outcome,
+        columns.energo_borrowstatus,
+        columns.energo_message,
+        columns.energo_batteryid,
+        columns.energo_status,
+        columns.flagged,
+        columns.error_kind,
+        columns.error,
+        Date.now() - entry.startedAt
+      ]
+    );
+  } catch (auditError) {
+    console.error(`❌ Could not complete the pop record of station ${entry.stationId} slot ${entry.slot}:`, auditError.message);
+  }
+  return auditId;
+}
+
+/**
+ * Store a cabinet command (route 'command')
+ * @param {Object} pool - pg Pool
+ * @param {Object} entry
+ * @param {string} entry.requestId
+ * @param {string} entry.stationId - Station (cabinet) id
+ * @param {string|null} entry.accountId - Energo account used
+ * @param {Object} entry.caller - From getCallerIdentity (admin_auth.js)
+ * @param {string} entry.commandSign - Energo command sign
+ * @param {boolean} entry.dryRun - Validated only, not sent
+ * @param {string} entry.outcome - 'dry_run', 'sent', 'refused', 'not_found' (unknown station) or 'error'
+ * @param {string} [entry.energoMessage] - Energo's msg
+ * @param {Error} [entry.error] - Why sending failed
+ * @param {number} entry.startedAt - Epoch ms the command started
+ */
+function recordCommand(pool, { requestId, stationId, accountId, caller, commandSign, dryRun, outcome, energoMessage, error, startedAt }) {
+  return insertAuditRow(pool, {
+    request_id: requestId,
+    route: 'command',
+    station_id: stationId,
+    slot: null,
+    account_id: accountId,
+    caller,
+    manufacture_id: null,
+    outcome,
+    energo_borrowstatus: null,
+    energo_message: energoMessage || null,
+    energo_status: error && error.status ? error.status : null,
+    flagged: false,
+    error_kind: error ? (error.kind || null) : null,
+    error: error ? error.message : null,
+    started_at: startedAt,
+    command_sign: commandSign,
+    dry_run: dryRun
+  });
+}
+
+/**
+ * Audit rows matching the filters, newest first
+ * @param {Object} pool - pg Pool
+ * @param {Object} filters
+ * @param {string} [filters.stationId]
+ * @param {string} [filters.callerId] - Matches caller_id exactly
+ * @param {string} [filters.route] - 'slot', 'all', 'battery' or 'command'
+ * @param {Date} [filters.from] - Started at or after
+ * @param {Date} [filters.to] - Started at or before
+ * @param {number} filters.limit
+ * @returns {Promise<Array<Object>>}
+ */
+async function listPops(pool, { stationId = null, callerId = null, route = null, from = null, to = null, limit }) {
+  await ensurePopAuditTable(pool);
+  const result = await pool.query(
+    `SELECT id, request_id, route, station_id, slot, account_id, caller_id, caller_auth, caller_ip, user_agent,
+            manufacture_id, outcome, energo_borrowstatus, energo_message, energo_status, flagged, error_kind, error,
+            started_at, duration_ms, command_sign, dry_run, energo_batteryid, sticker_id
+       FROM pop_audit
+      WHERE ($2::text IS NULL OR station_id = $2)
+        AND ($3::text IS NULL OR caller_id = $3)
+        AND ($4::timestamptz IS NULL OR started_at >= $4)
+        AND ($5::timestamptz IS NULL OR started_at <= $5)
+        AND ($6::text IS NULL OR route = $6)
+      ORDER BY started_at DESC, id DESC
+      LIMIT $1`,
+    [limit, stationId, callerId, from, to, route]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  ensurePopAuditTable,
+  recordPop,
+  startPop,
+  finishPop,
+  recordCommand,
+  listPops
+};
@@ -1,14 +1,8 @@
 const express = require('express');
 const { Pool } = require('pg');
 const path = require('path');
-
-// Add fetch for HTTP requests
-let fetch;
-if (typeof globalThis.fetch === 'undefined') {
-  fetch = require('node-fetch');
-} else {
-  fetch = globalThis.fetch;
-}
+const { getEnergoAccounts } = require('./energo_accounts');
+const { createEnergoClient, isEnergoError, sendEnergoError } = require('./energo_client');
 
 const router = express.Router();
 router.use(express.json());
@@ -56,119 +50,105 @@ pool.on('error', (err) => {
   console.error('❌ Scan Service: Unexpected error on idle client', err);
 });
 
+// Energo API client (reads each account's token from this pool)
+const energo = createEnergoClient(pool);
+
 /**
- * Helper function to get token from database
- * Token is refreshed only periodically by server.js (15-30 min); API endpoints do not trigger refresh.
+ * Helper function to fetch a battery's most recent order from Energo
+ * @param {Object} account - Energo account to look under
+ * @param {string} manufactureId - The manufacture ID (deviceid)
+ * @returns {Promise<Object|null>} - The order, or null if the battery has none under this account
  */
-async function getTokenFromDatabase() {
-  let client;
-  try {
-    client = await pool.connect();
-    const result = await client.query('SELECT value FROM token LIMIT 1');
-    if (result.rows.length === 0) {
-      return null;
-    }
-    return result.rows[0].value;
-  } catch (error) {
-    console.error('Error fetching token from database:', error);
-    return null;
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
+async function getLatestOrder(account, manufactureId) {
+  const data = await energo.listOrders(account, { deviceId: manufactureId, size: 0, sort: 'id,desc' });
+  return data.content && data.content.length > 0 ? data.content[0] : null;
 }
 
 /**
- * Helper function to fetch order data from Relink API (including orderNo for scan endpoints)
+ * Helper function to look a battery's order up under every account and keep the most recent one
+ * (a battery can be rented from any operator's stations)
+ * Accounts whose lookup fails are skipped; if every account fails, the first account's error is thrown.
+ * @param {Function} toOrderData - orderToScanData or orderToOrderData
  * @param {string} manufactureId - The manufacture ID (deviceid)
- * @param {string} token - The authorization token
- * @returns {Promise<{starttime: number|null, returnTime: number|null, orderNo: string|null}>}
+ * @returns {Promise<Object>} - The converted order with the latest starttime
  */
-async function getOrderDataForScan(manufactureId, token) {
-  try {
-    const url = `https://backend.energo.vip/api/order?size=0&sort=id%2Cdesc&deviceid=${manufactureId}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Referer': 'https://backend.energo.vip/order/lease-order',
-        'oid': '3526'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`Relink API error for device ${manufactureId}: ${response.status} ${response.statusText}`);
-      return { starttime: null, returnTime: null, orderNo: null };
+async function getLatestOrderData(toOrderData, manufactureId) {
+  const results = await Promise.allSettled(
+    getEnergoAccounts().map((account) => getLatestOrder(account, manufactureId))
+  );
+  const failures = results.filter((result) => result.status === 'rejected');
+  if (failures.length === results.length) {
+    throw failures[0].reason;
+  }
+  failures.forEach((failure) => {
+    if (!isEnergoError(failure.reason)) {
+      throw failure.reason;
     }
+    console.error(`Energo ${failure.reason.kind} error looking up device ${manufactureId}:`, failure.reason.message);
+  });
+
+  return results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => toOrderData(result.value))
+    .reduce((latest, order) => (
+      Number(order.starttime || 0) > Number(latest.starttime || 0) ? order : latest
+    ));
+}
 
-    const data = await response.json();
-    
-    // Extract data from the response
-    // Looking for the first order in the content array
-    if (data.content && data.content.length > 0) {
-      const order = data.content[0];
-      // Use endtime as returnTime if returnTime is 0 or missing
-      const returnTimeValue = (order.returnTime && order.returnTime !== 0) ? order.returnTime : order.endtime;
-      
-      return {
-        starttime: order.starttime || null,
-        returnTime: returnTimeValue || null,
-        orderNo: order.orderNo || null
-      };
-    }
-    
-    return { starttime: null, returnTime: null, orderNo: null };
-  } catch (error) {
-    console.error(`Error fetching order data for device ${manufactureId}:`, error);
+/**
+ * Helper function to convert an Energo order for the scan endpoints (including orderNo)
+ * @param {Object|null} order - Order from getLatestOrder
+ * @returns {{starttime: number|null, returnTime: number|null, orderNo: string|null}}
+ */
+function orderToScanData(order) {
+  if (!order) {
     return { starttime: null, returnTime: null, orderNo: null };
   }
+  // Use endtime as returnTime if returnTime is 0 or missing
+  const returnTimeValue = (order.returnTime && order.returnTime !== 0) ? order.returnTime : order.endtime;
+
+  return {
+    starttime: order.starttime || null,
+    returnTime: returnTimeValue || null,
+    orderNo: order.orderNo || null
+  };
+}
+
+/**
+ * Helper function to convert an Energo order for GET /battery
+ * @param {Object|null} order - Order from getLatestOrder
+ * @returns {{starttime: number|null, returnTime: number|null}}
+ */
+function orderToOrderData(order) {
+  if (!order) {
+    return { starttime: null, returnTime: null };
+  }
+  // Preserve raw returnTime (including 0) so callers can tell "not returned" vs "returned"
+  const returnTimeRaw = order.returnTime !== undefined && order.returnTime !== null
+    ? Number(order.returnTime)
+    : (order.endtime != null ? Number(order.endtime) : null);
+
+  return {
+    starttime: order.starttime || null,
+    returnTime: returnTimeRaw
+  };
 }
 
 /**
- * Helper function to fetch order data from Relink API
+ * Order data for recording a scan. An Energo failure is only logged and gives empty order fields, so the scan is
+ * still saved (with order_id and duration_after_rent null) while Energo is down.
  * @param {string} manufactureId - The manufacture ID (deviceid)
- * @param {string} token - The authorization token
- * @returns {Promise<{starttime: number|null, returnTime: number|null}>}
+ * @returns {Promise<{starttime: number|null, returnTime: number|null, orderNo: string|null, energoError: Error|null}>}
  */
-async function getOrderData(manufactureId, token) {
+async function getScanOrderData(manufactureId) {
   try {
-    const url = `https://backend.energo.vip/api/order?size=0&sort=id%2Cdesc&deviceid=${manufactureId}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Referer': 'https://backend.energo.vip/order/lease-order',
-        'oid': '3526'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`Relink API error for device ${manufactureId}: ${response.status} ${response.statusText}`);
-      return { starttime: null, returnTime: null };
-    }
-
-    const data = await response.json();
-    
-    // Extract data from the response
-    // Looking for the first order in the content array
-    if (data.content && data.content.length > 0) {
-      const order = data.content[0];
-      // Preserve raw returnTime (including 0) so callers can tell "not returned" vs "returned"
-      const returnTimeRaw = order.returnTime !== undefined && order.returnTime !== null
-        ? Number(order.returnTime)
-        : (order.endtime != null ? Number(order.endtime) : null);
-
-      return {
-        starttime: order.starttime || null,
-        returnTime: returnTimeRaw
-      };
-    }
-    
-    return { starttime: null, returnTime: null };
+    return { ...await getLatestOrderData(orderToScanData, manufactureId), energoError: null };
   } catch (error) {
-    console.error(`Error fetching order data for device ${manufactureId}:`, error);
-    return { starttime: null, returnTime: null };
+    if (!isEnergoError(error)) {
+      throw error;
+    }
+    console.error(`⚠️ Energo ${error.kind} error looking up device ${manufactureId}, recording the scan without order data:`, error.message);
+    return { ...orderToScanData(null), energoError: error };
   }
 }
 
@@ -287,16 +267,6 @@ router.get('/battery/:sticker_id', async (req, res) => {
       });
     }
 
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      console.warn('⚠️ No token found in database for Relink API calls');
-      return res.status(503).json({
-        success: false,
-        error: 'Token not available. Please ensure token is set in database.'
-      });
-    }
-
     // Fetch battery data from database
     client = await pool.connect();
     const batteryResult = await client.query(
@@ -313,9 +283,12 @@ router.get('/battery/:sticker_id', async (req, res) => {
 
     const battery = batteryResult.rows[0];
     const { manufacture_id } = battery;
+    // Don't hold the connection while Energo answers (recovering a rejected token can take minutes)
+    client.release();
+    client = null;
 
-    // Fetch order data from Relink API
-    const orderData = await getOrderData(manufacture_id, token);
+    // Fetch order data from Energo
+    const orderData = await getLatestOrderData(orderToOrderData, manufacture_id);
 
     // Simplified duration logic: returnTime 0 = not returned; non-zero = returned
     const startTime = orderData.starttime ? Number(orderData.starttime) : null;
@@ -343,6 +316,9 @@ router.get('/battery/:sticker_id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching battery data:', error);
+    if (isEnergoError(error)) {
+      return sendEnergoError(res, error, 'Failed to fetch battery data');
+    }
     
     // Provide helpful error messages for common connection issues
     let errorMessage = error.message || 'Failed to fetch battery data';
@@ -419,21 +395,12 @@ router.post('/battery/:sticker_id', async (req, res) => {
     }
 
     const effective_manufacture_id = manufacture_id || manufacture_id_from_db;
+    // Don't hold the connection while Energo answers (recovering a rejected token can take minutes)
+    client.release();
+    client = null;
 
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      if (client) client.release();
-      client = null;
-      console.warn('⚠️ No token found in database for Relink API calls');
-      return res.status(503).json({
-        success: false,
-        error: 'Token not available. Please ensure token is set in database.'
-      });
-    }
-
-    // Fetch order data from Relink API
-    const orderData = await getOrderDataForScan(effective_manufacture_id, token);
+    // Fetch order data from Energo (empty if Energo is unavailable, so the scan is still recorded)
+    const orderData = await getScanOrderData(effective_manufacture_id);
     const order_id = orderData.orderNo || null;
 
     // Calculate duration_after_rent: current time - starttime
@@ -453,7 +420,8 @@ router.post('/battery/:sticker_id', async (req, res) => {
       }
     }
 
-    // Insert scan record into database (client already connected from battery lookup)
+    // Insert scan record into database
+    client = await pool.connect();
     const insertQuery = `
       INSERT INTO scans (sticker_id, order_id, sticker_type, duration_after_rent)
       VALUES ($1, $2, $3, $4::interval)
@@ -475,6 +443,9 @@ router.post('/battery/:sticker_id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error creating scan record:', error);
+    if (isEnergoError(error)) {
+      return sendEnergoError(res, error, 'Failed to create scan record');
+    }
     
     let errorMessage = error.message || 'Failed to create scan record';
     let statusCode = 500;
@@ -522,16 +493,6 @@ router.patch('/battery/:sticker_id', async (req, res) => {
       });
     }
 
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      console.warn('⚠️ No token found in database for Relink API calls');
-      return res.status(503).json({
-        success: false,
-        error: 'Token not available. Please ensure token is set in database.'
-      });
-    }
-
     // Build update fields
     const updateFields = [];
     const updateValues = [];
@@ -549,8 +510,8 @@ router.patch('/battery/:sticker_id', async (req, res) => {
       updateValues.push(sizlValue);
     }
 
-    // Fetch order data from Relink API to update order_id and duration_after_rent
-    const orderData = await getOrderDataForScan(manufacture_id, token);
+    // Fetch order data from Energo to update order_id and duration_after_rent (skipped if Energo is unavailable)
+    const orderData = await getScanOrderData(manufacture_id);
     
     if (orderData.orderNo) {
       updateFields.push(`order_id = $${paramIndex++}`);
@@ -574,6 +535,10 @@ router.patch('/battery/:sticker_id', async (req, res) => {
     }
 
     if (updateFields.length === 0) {
+      // Energo was the only source of changes and it couldn't be read
+      if (orderData.energoError) {
+        return sendEnergoError(res, orderData.energoError, 'Failed to update scan record');
+      }
       return res.status(400).json({
         success: false,
         error: 'No fields to update. Provide at least one of: sticker_type, sizl (in request body), or ensure manufacture_id is valid.'
@@ -614,6 +579,9 @@ router.patch('/battery/:sticker_id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating scan record:', error);
+    if (isEnergoError(error)) {
+      return sendEnergoError(res, error, 'Failed to update scan record');
+    }
     
     let errorMessage = error.message || 'Failed to update scan record';
     let statusCode = 500;
@@ -74,6 +74,27 @@ try {
   });
 }
 
+// Load token scheduler (automatic refresh + GET /token/status) with error handling
+let tokenSchedulerRoutes;
+let tokenScheduler;
+try {
+  tokenScheduler = require('./token_scheduler');
+  tokenSchedulerRoutes = tokenScheduler.router;
+  console.log('✅ Token scheduler loaded successfully');
+} catch (error) {
+  console.error('❌ Error loading token scheduler:', error);
+  console.error('Error stack:', error.stack);
+  tokenScheduler = null;
+  // Create a dummy router to prevent app crash
+  tokenSchedulerRoutes = express.Router();
+  tokenSchedulerRoutes.get('/token/status', (req, res) => {
+    res.status(500).json({
+      success: false,
+      error: 'Token scheduler not available: ' + error.message
+    });
+  });
+}
+
 // Load scan routes with error handling
 let scanRoutes;
 try {
@@ -142,6 +163,10 @@ console.log('🔗 Map routes mounted at root path');
 app.use('/', tokenRoutes);
 console.log('🔗 Token routes mounted at root path');
 
+// Mount token scheduler routes
+app.use('/', tokenSchedulerRoutes);
+console.log('🔗 Token scheduler routes mounted at root path');
+
 // Mount scan routes
 app.use('/', scanRoutes);
 console.log('🔗 Scan routes mounted at root path');
@@ -196,72 +221,26 @@ try {
 // AUTOMATIC TOKEN REFRESH SCHEDULER
 // ========================================
 
-// Add fetch for HTTP requests
-let fetch;
-if (typeof globalThis.fetch === 'undefined') {
-  fetch = require('node-fetch');
-} else {
-  fetch = globalThis.fetch;
-}
-
-/**
- * Call the token endpoint to refresh the token
- */
-async function refreshTokenAutomatically() {
+// Start the automatic token refresh scheduler (runs the login in-process)
+// Wait a bit after server starts before the first check
+// A bad ENERGO_ACCOUNTS throws here; keep serving so GET /token/status can report the same error
+if (tokenScheduler) {
   try {
-    console.log('🔄 Automatic token refresh triggered...');
-    const response = await fetch('https://api.cuub.tech/token', {
-      method: 'GET'
-    });
-
-    if (!response.ok) {
-      console.error(`⚠️ Automatic token refresh failed: ${response.status} ${response.statusText}`);
-      return false;
-    }
-
-    const data = await response.json();
-    if (data.success && data.token) {
-      console.log('✅ Automatic token refresh successful');
-      return true;
-        }
-        
-    console.error('⚠️ Automatic token refresh response missing token:', data);
-    return false;
-    } catch (error) {
-    console.error('❌ Error during automatic token refresh:', error.message);
-    return false;
+    tokenScheduler.startTokenScheduler(60000); // Wait 1 minute after server starts
+  } catch (error) {
+    console.error('❌ Error starting token refresh scheduler:', error.message);
+    console.error('Automatic token refresh will not be available');
   }
 }
 
-/**
- * Schedule the next automatic token refresh
- * Uses random interval between 15 minutes and 30 minutes
- */
-function scheduleNextTokenRefresh() {
-  // Random interval between 15 minutes (900,000 ms) and 30 minutes (1,800,000 ms)
-  const minInterval = 15 * 60 * 1000; // 15 minutes in milliseconds
-  const maxInterval = 30 * 60 * 1000; // 30 minutes in milliseconds
-  const randomInterval = Math.floor(Math.random() * (maxInterval - minInterval + 1)) + minInterval;
-  
-  const hours = Math.floor(randomInterval / (60 * 60 * 1000));
-  const minutes = Math.floor((randomInterval % (60 * 60 * 1000)) / (60 * 1000));
-  
-  console.log(`⏰ Next automatic token refresh scheduled in ${hours}h ${minutes}m (${Math.round(randomInterval / 1000 / 60)} minutes)`);
-  
-  setTimeout(async () => {
-    await refreshTokenAutomatically();
-    scheduleNextTokenRefresh(); // Schedule the next one
-  }, randomInterval);
-}
+// ========================================
+// CABINET STATUS POLLER
+// ========================================
 
-// Start the automatic token refresh scheduler
-// Wait a bit after server starts before the first refresh
-setTimeout(() => {
-  console.log('🚀 Starting automatic token refresh scheduler...');
-  refreshTokenAutomatically().then(() => {
-    scheduleNextTokenRefresh();
-    });
-}, 60000); // Wait 1 minute after server starts
+// Refresh every station's battery availability in the background so station routes serve it from the cache
+if (typeof mapRoutes.startCabinetStatusPoller === 'function') {
+  mapRoutes.startCabinetStatusPoller(10000); // Wait 10 seconds after server starts
+}
 
 // ========================================
 // TELEGRAM BOT SCHEDULERS
@@ -0,0 +1,154 @@
+// Pops that are checked against the cabinet: the slot is read before the command and re-read until it empties
+//
+// The pop command is always sent; the reads around it only decide the outcome. Energo's borrowstatus only says the
+// cabinet accepted the command, not that the battery came out, so each pop ends with one of these outcomes:
+//   ejected    - the slot held a battery and emptied after the command
+//   stuck      - the slot still held the battery when the verify window ran out
+//   no_battery - the slot was read empty and Energo refused the pop
+//   unverified - the command was sent but the slot could not be re-read (or Energo doesn't report slots), or the
+//                slot was read empty and Energo reported a pop without naming a battery
+// A stuck slot that Energo reported as popped is flagged, since its battery may be half out or the sensor wrong.
+// So is a pop Energo reported for a slot read empty: either the read or the report is wrong.
+// energo_lockid and energo_batteryid are the slot and battery Energo's response names, as sent.
+
+// How long to keep re-reading a slot after the pop command
+const POP_VERIFY_WINDOW_MS = (parseInt(process.env.POP_VERIFY_WINDOW_SECONDS, 10) || 10) * 1000;
+// Wait between re-reads
+const POP_VERIFY_INTERVAL_MS = 1500;
+
+function delay(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
+}
+
+/**
+ * Verified pops through the given Energo client
+ * @param {Object} energo - Energo client (see energo_client.js)
+ * @returns {Object} - readCabinet, popSlot
+ */
+function createSlotPopper(energo) {
+  /**
+   * A cabinet's slots for a pop. Energo leaving out or garbling the slot list doesn't stop the pop: slots is then null
+   * and the pop is sent unverified. Other Energo failures are thrown.
+   * @returns {Promise<{online: boolean, slots: Array<Object>|null}|null>} - null if Energo doesn't know the cabinet
+   */
+  async function readCabinet(account, stationId) {
+    try {
+      return await energo.getCabinetSlots(account, stationId);
+    } catch (error) {
+      if (error.kind !== 'upstream') {
+        throw error;
+      }
+      console.warn(`⚠️ Could not read the slots of station ${stationId}, popping without verification:`, error.message);
+      return { online: null, slots: null };
+    }
+  }
+
+  /**
+   * The battery in a slot of a cabinet read
+   * @returns {string|null|undefined} - Manufacture id, null if the slot is empty, undefined if the slots weren't read
+   */
+  function slotBattery(cabinet, slot) {
+    if (!cabinet || !cabinet.slots) {
+      return undefined;
+    }
+    const state = cabinet.slots.find((candidate) => candidate.slot === slot);
+    return state ? state.manufacture_id : null;
+  }
+
+  /**
+   * Re-read a slot until it no longer holds the battery (or, with no battery to look for, until it is empty)
+   * or the window runs out
+   * @returns {Promise<{emptied: boolean|null, elapsedMs: number}>} - emptied is null if no re-read succeeded
+   */
+  async function waitForEjection(account, stationId, slot, manufactureId) {
+    const startedAt = Date.now();
+    let emptied = null;
+    while (Date.now() - startedAt < POP_VERIFY_WINDOW_MS) {
+      await delay(POP_VERIFY_INTERVAL_MS);
+      try {
+        const battery = slotBattery(await energo.getCabinetSlots(account, stationId), slot);
+        if (battery === undefined) {
+          continue;
+        }
+        emptied = manufactureId ? battery !== manufactureId : !battery;
+        if (emptied) {
+          break;
+        }
+      } catch (error) {
+        console.error(`❌ Could not re-read slot ${slot} of station ${stationId} after pop:`, error.message);
+      }
+    }
+    return { emptied, elapsedMs: Date.now() - startedAt };
+  }
+
+  /**
+   * Pop a slot and check that its battery came out
+   * @param {Object} account - Energo account that owns the station
+   * @param {string} stationId - Station (cabinet) id
+   * @param {number} slot - Slot number
+   * @param {Object} [options]
+   * @param {Object} [options.cabinet] - Result of readCabinet read just before, to skip the first read
+   * @param {Function} [options.onCommand] - async (manufactureId) => void, awaited just before the command is sent
+   *   with the battery read in the slot (null if none was read)
+   * @returns {Promise<Object>} - slot, manufacture_id, outcome, energo_borrowstatus, energo_message, energo_lockid,
+   *   energo_batteryid, energo_status, flagged, verified_after_ms
+   */
+  async function popSlot(account, stationId, slot, { cabinet, onCommand } = {}) {
+    const before = slotBattery(cabinet || await readCabinet(account, stationId), slot);
+
+    if (onCommand) {
+      await onCommand(before || null);
+    }
+    const { status, data: result } = await energo.popSlot(account, stationId, slot);
+    const borrowstatus = Boolean(result && result.borrowstatus);
+    const energoBatteryId = result && result.batteryid ? String(result.batteryid) : null;
+    const energoLockId = result && result.lockid !== undefined && result.lockid !== null && result.lockid !== '' ? Number(result.lockid) : null;
+    const manufactureId = before || energoBatteryId;
+    const toResult = (outcome, flagged, verifiedAfterMs) => ({
+      slot,
+      manufacture_id: manufactureId,
+      outcome,
+      energo_borrowstatus: borrowstatus,
+      // Energo's explanation when it refuses a pop, e.g. "Lock did not open"
+      energo_message: (result && result.msg) || null,
+      energo_lockid: energoLockId,
+      energo_batteryid: energoBatteryId,
+      // HTTP status Energo answered the command with
+      energo_status: status,
+      flagged,
+      verified_after_ms: verifiedAfterMs
+    });
+
+    // Read empty and Energo agrees there was nothing to pop
+    if (before === null && !borrowstatus && !energoBatteryId) {
+      return toResult('no_battery', false, 0);
+    }
+    // Read empty, yet Energo reports a pop without naming a battery: an empty slot afterwards proves nothing
+    if (before === null && borrowstatus && !energoBatteryId) {
+      console.warn(`⚠️ Energo reported slot ${slot} of station ${stationId} popped, but it was read empty before the command`);
+      return toResult('unverified', true, 0);
+    }
+
+    const { emptied, elapsedMs } = await waitForEjection(account, stationId, slot, manufactureId);
+
+    let outcome = 'unverified';
+    if (emptied === true) {
+      // Without a battery to look for, an empty slot after a refused pop means there was nothing in it
+      outcome = manufactureId || borrowstatus ? 'ejected' : 'no_battery';
+    } else if (emptied === false) {
+      outcome = 'stuck';
+    }
+    const flagged = outcome === 'stuck' && borrowstatus;
+    if (flagged) {
+      console.warn(`⚠️ Energo reported slot ${slot} of station ${stationId} popped, but battery ${manufactureId || '(unknown)'} is still in it`);
+    }
+
+    return toResult(outcome, flagged, elapsedMs);
+  }
+
+  return { readCabinet, popSlot };
+}
+
+module.exports = {
+  createSlotPopper
+};
@@ -50,6 +50,41 @@ async function sendMessage(chatId, text) {
   }
 }
 
+/**
+ * Send a photo to a Telegram chat
+ * @param {string|number} chatId - The chat ID to send the photo to
+ * @param {Buffer} imageBuffer - Image file contents
+ * @param {string} [caption] - Optional caption shown under the photo
+ * @returns {Promise<Object>} - The API response
+ */
+async function sendPhoto(chatId, imageBuffer, caption) {
+  try {
+    const url = `${TELEGRAM_API_BASE}/sendPhoto`;
+    const form = new FormData();
+    form.append('chat_id', String(chatId));
+    if (caption) {
+      form.append('caption', caption);
+    }
+    form.append('photo', new Blob([imageBuffer], { type: 'image/png' }), 'captcha.png');
+
+    const response = await fetch(url, {
+      method: 'POST',
+      body: form
+    });
+
+    const data = await response.json();
+    
+    if (!data.ok) {
+      throw new Error(`Telegram API error: ${data.description}`);
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error sending Telegram photo:', error);
+    throw error;
+  }
+}
+
 /**
  * Get bot updates (useful for finding your chat_id)
  * @returns {Promise<Object>} - The API response with updates
@@ -413,6 +448,130 @@ function scheduleDailyTelegramReport() {
   setTimeout(sendDailyReport, msUntil6AM);
 }
 
+// ========================================
+// MANUAL CAPTCHA SOLVING
+// ========================================
+
+// Default chat for ops alerts and manual captcha requests (CUUB_Alert group)
+const DEFAULT_OPS_CHAT_ID = '-5202000799';
+// How long to wait for someone to answer a captcha
+const DEFAULT_CAPTCHA_TIMEOUT_SECONDS = 180;
+
+// Set once startTelegramCommandPolling is running; captcha replies arrive through that loop
+let commandPollingActive = false;
+// The captcha currently waiting for a reply: { chatId, requestedAt, resolve, reject, timer }
+let pendingCaptchaRequest = null;
+
+/**
+ * Telegram user IDs or usernames allowed to answer captchas (TELEGRAM_CAPTCHA_USERS, comma separated).
+ * Empty means nobody: captchas are not relayed to Telegram at all.
+ * @returns {string[]}
+ */
+function getCaptchaAuthorizedUsers() {
+  return (process.env.TELEGRAM_CAPTCHA_USERS || '')
+    .split(',')
+    .map((user) => user.trim().replace(/^@/, '').toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Send a captcha image to the ops chat and wait for the first numeric reply from an authorized user
+ * @param {string} imageBase64 - Captcha image (data URL or base64 PNG)
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - How long to wait (default TELEGRAM_CAPTCHA_TIMEOUT_SECONDS or 180s)
+ * @returns {Promise<string>} - The answer typed by the user
+ */
+async function requestCaptchaAnswer(imageBase64, options = {}) {
+  if (!commandPollingActive) {
+    throw new Error('Telegram command polling is not running, cannot receive captcha replies');
+  }
+  if (pendingCaptchaRequest) {
+    throw new Error('A captcha is already waiting for a Telegram reply');
+  }
+  // Anyone in the ops chat could otherwise answer, and a wrong answer costs a login attempt
+  if (getCaptchaAuthorizedUsers().length === 0) {
+    throw new Error('TELEGRAM_CAPTCHA_USERS is empty; list the Telegram user IDs or usernames allowed to answer captchas');
+  }
+
+  const chatId = process.env.TELEGRAM_CHAT_ID || DEFAULT_OPS_CHAT_ID;
+  const timeoutMs = options.timeoutMs ||
+    (parseInt(process.env.TELEGRAM_CAPTCHA_TIMEOUT_SECONDS, 10) || DEFAULT_CAPTCHA_TIMEOUT_SECONDS) * 1000;
+  const base64Data = imageBase64.includes(',') ? imageBase64.split(',')[1] : imageBase64;
+
+  // Register before sending so a fast reply can't slip past us
+  const answerPromise = new Promise((resolve, reject) => {
+    pendingCaptchaRequest = {
+      chatId: String(chatId),
+      requestedAt: Math.floor(Date.now() / 1000),
+      resolve,
+      reject,
+      timer: setTimeout(() => {
+        pendingCaptchaRequest = null;
+        reject(new Error(`No captcha reply on Telegram within ${Math.round(timeoutMs / 1000)}s`));
+      }, timeoutMs)
+    };
+  });
+
+  try {
+    await sendPhoto(
+      chatId,
+      Buffer.from(base64Data, 'base64'),
+      `🔐 Energo login captcha needs solving. Reply with the number within ${Math.round(timeoutMs / 1000)}s.`
+    );
+    console.log(`📨 Captcha sent to Telegram chat ${chatId}, waiting for a reply...`);
+  } catch (error) {
+    if (pendingCaptchaRequest) {
+      clearTimeout(pendingCaptchaRequest.timer);
+      pendingCaptchaRequest = null;
+    }
+    throw error;
+  }
+
+  return answerPromise;
+}
+
+/**
+ * Resolve the pending captcha request if this message is a valid answer to it
+ * @param {Object} message - Telegram message object
+ * @returns {boolean} - true if the message was consumed as a captcha answer
+ */
+function handleCaptchaReply(message) {
+  const pending = pendingCaptchaRequest;
+  if (!pending || !message || !message.text) {
+    return false;
+  }
+
+  const answer = message.text.trim();
+  if (String(message.chat.id) !== pending.chatId || message.date < pending.requestedAt || !/^-?\d+$/.test(answer)) {
+    return false;
+  }
+
+  const authorizedUsers = getCaptchaAuthorizedUsers();
+  const fromId = String(message.from?.id || '');
+  const fromUsername = (message.from?.username || '').toLowerCase();
+  if (!authorizedUsers.includes(fromId) && !authorizedUsers.includes(fromUsername)) {
+    console.log(`⚠️ Ignoring captcha reply from unauthorized user ${fromUsername || fromId}`);
+    return false;
+  }
+
+  clearTimeout(pending.timer);
+  pendingCaptchaRequest = null;
+  console.log(`✅ Captcha answer received from ${fromUsername || fromId}`);
+  pending.resolve(answer);
+
+  sendMessage(pending.chatId, `✅ Got it, logging in with ${answer}`).catch(() => {});
+  return true;
+}
+
+/**
+ * Send an alert to the ops chat (TELEGRAM_CHAT_ID, or the CUUB_Alert group)
+ * @param {string} text - Alert text
+ * @returns {Promise<Object>} - The API response
+ */
+async function sendOpsAlert(text) {
+  return sendMessage(process.env.TELEGRAM_CHAT_ID || DEFAULT_OPS_CHAT_ID, text);
+}
+
 // ========================================
 // TELEGRAM BOT COMMAND HANDLER
 // ========================================
@@ -472,6 +631,11 @@ function startTelegramCommandPolling() {
             
             console.log(`💬 Message received: "${messageText}" from ${username} in ${chatTitle} (chatId: ${chatId})`);
             
+            // A numeric reply may be the answer to a pending login captcha
+            if (handleCaptchaReply(update.message)) {
+              continue;
+            }
+            
             // Handle /status command (can be /status or /status@botname)
             if (messageText === '/status' || messageText.startsWith('/status@') || messageText.startsWith('/status ')) {
               console.log(`📨 /status command detected from chat: ${chatTitle} (${chatId})`);
@@ -511,9 +675,10 @@ function startTelegramCommandPolling() {
     setTimeout(pollForMessages, 3000); // Poll every 3 seconds (reduced from 5)
   };
   
+  commandPollingActive = true;
   console.log('🤖 Starting Telegram bot command polling...');
   console.log(`   Bot token: ${BOT_TOKEN.substring(0, 10)}...${BOT_TOKEN.substring(BOT_TOKEN.length - 5)}`);
-  console.log('   Listening for /status and /gay commands');
+  console.log('   Listening for /status and /gay commands and captcha replies');
   console.log('   Starting in 10 seconds...');
   
   // Start polling after a short delay
@@ -523,6 +688,9 @@ function startTelegramCommandPolling() {
 // Export functions
 module.exports = {
   sendMessage,
+  sendPhoto,
+  sendOpsAlert,
+  requestCaptchaAnswer,
   sendHelloWorld,
   sendStationStatus,
   fetchStations,
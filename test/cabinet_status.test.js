@@ -0,0 +1,218 @@
+// Cabinet status cache (cabinet_status.js): the stale flag, the cabinet_status fallback after a restart,
+// live reads of stations the cache hasn't seen, and the poll lock shared by instances
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCabinetStatusCache } = require('../cabinet_status');
+
+const STATIONS = [
+  { id: 'MOCK000001', energo_account_id: 'default' },
+  { id: 'MOCK000002', energo_account_id: 'default' }
+];
+
+/**
+ * In-memory cabinet_status table and advisory locks, shared by the caches of every "instance" using it
+ */
+class FakePool {
+  constructor() {
+    this.rows = new Map();
+    this.locks = new Set();
+  }
+
+  async connect() {
+    const client = {
+      query: async (sql, params = []) => {
+        if (/pg_try_advisory_lock/.test(sql)) {
+          const locked = !this.locks.has(params[0]);
+          this.locks.add(params[0]);
+          return { rows: [{ locked }] };
+        }
+        if (/pg_advisory_unlock/.test(sql)) {
+          return { rows: [{ unlocked: this.locks.delete(params[0]) }] };
+        }
+        return this.query(sql, params);
+      },
+      release: () => {}
+    };
+    return client;
+  }
+
+  async query(sql, params = []) {
+    const now = new Date();
+    if (/CREATE TABLE IF NOT EXISTS cabinet_status/.test(sql)) {
+      return { rows: [] };
+    }
+    if (/unnest\(\$1::text\[\], \$2::int\[\]/.test(sql)) {
+      params[0].forEach((stationId, index) => {
+        this.rows.set(stationId, {
+          station_id: stationId,
+          filled_slots: params[1][index],
+          open_slots: params[2][index],
+          online: params[3][index],
+          energo_error: null,
+          updated_at: now,
+          checked_at: now
+        });
+      });
+      return { rows: [] };
+    }
+    if (/unnest\(\$1::text\[\], \$2::text\[\]/.test(sql)) {
+      params[0].forEach((stationId, index) => {
+        const row = this.rows.get(stationId) || { station_id: stationId, filled_slots: null, open_slots: null, online: null, updated_at: null };
+        this.rows.set(stationId, { ...row, energo_error: params[1][index], checked_at: now });
+      });
+      return { rows: [] };
+    }
+    if (/^DELETE FROM cabinet_status/.test(sql)) {
+      return { rows: [] };
+    }
+    if (/FROM cabinet_status WHERE station_id = ANY\(\$1\)/.test(sql)) {
+      return { rows: params[0].filter((id) => this.rows.has(id)).map((id) => ({ ...this.rows.get(id) })) };
+    }
+    throw new Error(`Unexpected query in test: ${sql}`);
+  }
+}
+
+/**
+ * A cache whose Energo reads come from `statuses` (station id to status, or a function of the stations),
+ * recording which stations each read asked for
+ */
+function createCache(pool, statuses) {
+  const reads = [];
+  const cache = createCabinetStatusCache({
+    pool,
+    loadStations: async () => STATIONS,
+    fetchStatuses: async (stations) => {
+      reads.push(stations.map((station) => station.id));
+      const result = typeof statuses === 'function' ? statuses(stations) : statuses;
+      return new Map(Object.entries(result));
+    }
+  });
+  return { cache, reads };
+}
+
+const GOOD_STATUSES = {
+  MOCK000001: { filled_slots: 4, open_slots: 2, online: true },
+  MOCK000002: { filled_slots: 1, open_slots: 5, online: true }
+};
+
+test.before(() => {
+  // Keep the cache's progress logs out of the test output
+  test.mock.method(console, 'log', () => {});
+});
+
+test.after(() => {
+  test.mock.restoreAll();
+});
+
+test('marks a status stale once its last good read is older than CABINET_STATUS_STALE_SECONDS', async (t) => {
+  const { cache } = createCache(new FakePool(), GOOD_STATUSES);
+  await cache.refreshAll();
+
+  const fresh = (await cache.getStatuses(STATIONS)).get('MOCK000001');
+  assert.equal(fresh.filled_slots, 4);
+  assert.equal(fresh.stale, false);
+  assert.ok(fresh.status_updated_at);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 181 * 1000);
+  const later = (await cache.getStatuses(STATIONS)).get('MOCK000001');
+  assert.equal(later.filled_slots, 4);
+  assert.equal(later.stale, true);
+});
+
+test('is stale with no counts for a station that was never read successfully', async () => {
+  const { cache } = createCache(new FakePool(), { MOCK000001: { energo_error: 'network' } });
+  await cache.refreshAll();
+
+  assert.deepEqual((await cache.getStatuses([STATIONS[0]])).get('MOCK000001'), {
+    filled_slots: null,
+    open_slots: null,
+    online: null,
+    energo_error: 'network',
+    status_updated_at: null,
+    stale: true
+  });
+});
+
+test('keeps the last good counts when a later read fails', async () => {
+  let statuses = GOOD_STATUSES;
+  const { cache } = createCache(new FakePool(), () => statuses);
+  await cache.refreshAll();
+
+  statuses = { MOCK000001: { energo_error: 'upstream' }, MOCK000002: GOOD_STATUSES.MOCK000002 };
+  await cache.refreshAll();
+
+  const status = (await cache.getStatuses(STATIONS)).get('MOCK000001');
+  assert.equal(status.filled_slots, 4);
+  assert.equal(status.energo_error, 'upstream');
+  assert.equal(status.stale, false);
+});
+
+test('serves what cabinet_status holds after a restart without reading Energo', async () => {
+  const pool = new FakePool();
+  const before = createCache(pool, GOOD_STATUSES);
+  await before.cache.refreshAll();
+
+  // A new instance (or this one after a restart) starts with an empty cache
+  const after = createCache(pool, () => {
+    throw new Error('Energo should not be read');
+  });
+  const statuses = await after.cache.getStatuses(STATIONS);
+
+  assert.equal(after.reads.length, 0);
+  assert.equal(statuses.get('MOCK000001').filled_slots, 4);
+  assert.equal(statuses.get('MOCK000002').open_slots, 5);
+  assert.equal(statuses.get('MOCK000002').stale, false);
+});
+
+test('reads stations missing from the cache and from cabinet_status live', async () => {
+  const pool = new FakePool();
+  const first = createCache(pool, { MOCK000001: GOOD_STATUSES.MOCK000001 });
+  await first.cache.refresh([STATIONS[0]]);
+
+  const { cache, reads } = createCache(pool, GOOD_STATUSES);
+  const statuses = await cache.getStatuses(STATIONS);
+
+  assert.deepEqual(reads, [['MOCK000002']]);
+  assert.equal(statuses.get('MOCK000001').filled_slots, 4);
+  assert.equal(statuses.get('MOCK000002').filled_slots, 1);
+  assert.equal(pool.rows.get('MOCK000002').filled_slots, 1);
+
+  // Asking again serves both from the cache
+  await cache.getStatuses(STATIONS);
+  assert.equal(reads.length, 1);
+});
+
+test('skips a poll while another instance holds the poll lock, and releases the lock after polling', async () => {
+  const pool = new FakePool();
+  const instanceA = createCache(pool, GOOD_STATUSES);
+  const instanceB = createCache(pool, GOOD_STATUSES);
+
+  const other = await pool.connect();
+  await other.query('SELECT pg_try_advisory_lock($1) AS locked', [352602]);
+
+  assert.equal(await instanceA.cache.poll(), null);
+  assert.equal(instanceA.reads.length, 0);
+
+  await other.query('SELECT pg_advisory_unlock($1)', [352602]);
+  const refreshed = await instanceA.cache.poll();
+  assert.equal(refreshed.size, 2);
+  assert.equal(pool.locks.size, 0);
+
+  // The lock is free again for the next instance
+  assert.equal((await instanceB.cache.poll()).size, 2);
+});
+
+test('polls without the lock when no connection can be taken for it', async (t) => {
+  const pool = new FakePool();
+  t.mock.method(pool, 'connect', async () => {
+    throw new Error('connect ECONNREFUSED');
+  });
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'error', () => {});
+  const { cache, reads } = createCache(pool, GOOD_STATUSES);
+
+  const refreshed = await cache.poll();
+  assert.equal(refreshed.size, 2);
+  assert.equal(reads.length, 1);
+});
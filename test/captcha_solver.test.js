@@ -0,0 +1,105 @@
+// Local captcha recognizer (captcha_solver.js) against fixture captchas from mock/energo_login_fixture.js:
+// the mock templates, learning into a fresh templates file, and the errors for missing templates and non-PNG images
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderCaptchaPng, getCaptchaAnswer } = require('../mock/energo_login_fixture');
+const captchaSolver = require('../captcha_solver');
+
+const MOCK_TEMPLATES = path.join(__dirname, '..', 'mock', 'captcha_templates.json');
+
+let tempDir;
+
+test.before(() => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'captcha-templates-'));
+});
+
+test.after(() => {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+  delete process.env.CAPTCHA_TEMPLATES_PATH;
+  delete process.env.CAPTCHA_LOCAL_MIN_CONFIDENCE;
+});
+
+test.beforeEach(() => {
+  process.env.CAPTCHA_TEMPLATES_PATH = MOCK_TEMPLATES;
+  delete process.env.CAPTCHA_LOCAL_MIN_CONFIDENCE;
+});
+
+/**
+ * Base64 PNG of a fixture captcha, as the login page serves it
+ */
+function captchaImage(expression) {
+  return `data:image/png;base64,${renderCaptchaPng(`${expression}=?`).toString('base64')}`;
+}
+
+test('recognizes fixture captchas with the mock templates', () => {
+  for (const expression of ['3+4', '9-2', '6x7', '1+8', '5-5']) {
+    const result = captchaSolver.recognizeArithmeticCaptcha(captchaImage(expression));
+    assert.equal(result.expression, `${expression}=?`);
+    assert.equal(result.answer, getCaptchaAnswer(expression));
+    assert.equal(result.confidence, 1);
+  }
+});
+
+test('learns glyphs into a new templates file and recognizes with them', () => {
+  process.env.CAPTCHA_TEMPLATES_PATH = path.join(tempDir, 'learned.json');
+
+  const learned = captchaSolver.learnCaptchaTemplates(captchaImage('3+4'), '3 + 4 = ?');
+  assert.deepEqual(learned, { learned: 5, templatesPath: process.env.CAPTCHA_TEMPLATES_PATH });
+  captchaSolver.learnCaptchaTemplates(captchaImage('1x2'), '1x2=?');
+
+  const result = captchaSolver.recognizeArithmeticCaptcha(captchaImage('4x3'));
+  assert.equal(result.expression, '4x3=?');
+  assert.equal(result.answer, '12');
+
+  assert.throws(
+    () => captchaSolver.learnCaptchaTemplates(captchaImage('5+6'), '5+6'),
+    /Found 5 glyphs in the image but the label "5\+6" has 3 characters/
+  );
+});
+
+test('names the templates path and the learn step when no templates exist', () => {
+  const missing = path.join(tempDir, 'missing.json');
+  process.env.CAPTCHA_TEMPLATES_PATH = missing;
+
+  assert.throws(
+    () => captchaSolver.recognizeArithmeticCaptcha(captchaImage('3+4')),
+    (error) => error.message.includes(missing) && error.message.includes('node captcha_solver.js learn')
+  );
+});
+
+test('reports a templates file that is not valid JSON', () => {
+  const broken = path.join(tempDir, 'broken.json');
+  fs.writeFileSync(broken, '{ "width": 10,');
+  process.env.CAPTCHA_TEMPLATES_PATH = broken;
+
+  assert.throws(
+    () => captchaSolver.recognizeArithmeticCaptcha(captchaImage('3+4')),
+    new RegExp(`Captcha templates in ${broken} could not be read`)
+  );
+});
+
+test('rejects JPEG and other non-PNG captchas by name', () => {
+  const jpeg = Buffer.from('ffd8ffe000104a46494600010100000100010000', 'hex').toString('base64');
+  assert.throws(
+    () => captchaSolver.recognizeArithmeticCaptcha(`data:image/jpeg;base64,${jpeg}`),
+    /Unsupported captcha image format \(JPEG\): the local recognizer only reads PNG/
+  );
+
+  const gif = Buffer.from('GIF89a\x01\x00\x01\x00').toString('base64');
+  assert.throws(() => captchaSolver.recognizeArithmeticCaptcha(gif), /\(GIF\)/);
+  assert.throws(() => captchaSolver.recognizeArithmeticCaptcha('bm90IGFuIGltYWdl'), /\(not an image\)/);
+});
+
+test('the local provider answers, and refuses a reading below CAPTCHA_LOCAL_MIN_CONFIDENCE', async () => {
+  const image = captchaImage('6x7');
+  assert.deepEqual(await captchaSolver.solveCaptcha(image, { providers: ['local'] }), { answer: '42', provider: 'local' });
+
+  process.env.CAPTCHA_LOCAL_MIN_CONFIDENCE = '1.01';
+  await assert.rejects(
+    captchaSolver.solveCaptcha(image, { providers: ['local'] }),
+    /local: Recognized "6x7=\?" with confidence 1\.00 \(< 1\.01\)/
+  );
+});
@@ -0,0 +1,36 @@
+// CSV export: quoting and formula neutralizing (arrayToCSV in csv_export.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { arrayToCSV } = require('../csv_export');
+
+/**
+ * The data row of a one-row export with a single column
+ */
+function cell(value) {
+  return arrayToCSV([{ value }], ['value']).slice('value\n'.length);
+}
+
+test('prefixes cells that would start a formula', () => {
+  assert.equal(cell('=HYPERLINK("http://example.com","x")'), '"\'=HYPERLINK(""http://example.com"",""x"")"');
+  assert.equal(cell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(cell('+1+2'), "'+1+2");
+  assert.equal(cell('-2+3'), "'-2+3");
+  assert.equal(cell('\tcmd'), "'\tcmd");
+  assert.equal(cell('\r=1'), '"\'\r=1"');
+});
+
+test('leaves plain numbers and ordinary text alone', () => {
+  assert.equal(cell(-87.6298), '-87.6298');
+  assert.equal(cell('-41.8781'), '-41.8781');
+  assert.equal(cell(0), '0');
+  assert.equal(cell('okhttp/4.12.0'), 'okhttp/4.12.0');
+  assert.equal(cell('a=b'), 'a=b');
+});
+
+test('quotes commas, quotes and line breaks, and leaves nulls empty', () => {
+  assert.equal(cell('a,b'), '"a,b"');
+  assert.equal(cell('say "hi"'), '"say ""hi"""');
+  assert.equal(cell('two\nlines'), '"two\nlines"');
+  assert.equal(cell(null), '');
+  assert.equal(arrayToCSV([], ['a', 'b']), 'a,b\n');
+});
@@ -0,0 +1,198 @@
+// Energo client (energo_client.js) against the mock backend (mock/energo_backend.js): token recovery after a 401,
+// the cooldown after a failed refresh, the concurrency cap and cabinet paging
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startEnergoBackend } = require('../mock/energo_backend');
+
+const OID = '3526';
+const VALID_TOKEN = 'energo-client-test-token';
+
+// Tokens the mock accepts; refreshed tokens are added here, so removing one revokes it
+const acceptedTokens = [VALID_TOKEN];
+// Stored token by account id, as getActiveToken reads it from the token table
+const storedTokens = new Map();
+// Stand-in for token_extract.refreshToken, replaced per test
+let refreshCalls = 0;
+let refreshBehavior = null;
+// Energo calls seen by fetch, and how many were in flight at once
+const fetchedUrls = [];
+let inFlight = 0;
+let maxInFlight = 0;
+let fetchDelayMs = 0;
+
+let backend;
+let energo;
+
+/**
+ * The token table as getActiveToken queries it
+ */
+class FakePool {
+  async query(sql, params = []) {
+    if (/FROM token/.test(sql)) {
+      const value = storedTokens.get(params[0]);
+      return { rows: value ? [{ value }] : [] };
+    }
+    throw new Error(`Unexpected query in test: ${sql}`);
+  }
+}
+
+/**
+ * Log in "again": issue a new token the mock accepts and store it, like refreshToken does
+ */
+async function issueToken({ accountId }) {
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  const token = `${accountId}-refreshed-${refreshCalls}`;
+  acceptedTokens.push(token);
+  storedTokens.set(accountId, token);
+  return { token };
+}
+
+test.before(async () => {
+  // The client's progress logs can garble the test runner's output stream on Node 20
+  test.mock.method(console, 'log', () => {});
+  backend = await startEnergoBackend({ tokens: acceptedTokens });
+  // Must be set before energo_client is loaded
+  process.env.ENERGO_BASE_URL = backend.url;
+  process.env.ENERGO_API_CONCURRENCY = '2';
+
+  // recoverToken requires token_extract lazily; serve it the stand-in instead of a real login
+  require.cache[require.resolve('../token_extract')] = {
+    loaded: true,
+    exports: {
+      refreshToken: (options) => {
+        refreshCalls++;
+        return refreshBehavior(options);
+      }
+    }
+  };
+
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => {
+    fetchedUrls.push(url);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    try {
+      if (fetchDelayMs) {
+        await new Promise((resolve) => setTimeout(resolve, fetchDelayMs));
+      }
+      return await realFetch(url, options);
+    } finally {
+      inFlight--;
+    }
+  };
+
+  const { createEnergoClient } = require('../energo_client');
+  energo = createEnergoClient(new FakePool());
+});
+
+test.after(async () => {
+  test.mock.restoreAll();
+  delete require.cache[require.resolve('../token_extract')];
+  backend.server.closeAllConnections();
+  await backend.close();
+});
+
+test.beforeEach(() => {
+  refreshCalls = 0;
+  refreshBehavior = issueToken;
+  fetchedUrls.length = 0;
+  maxInFlight = 0;
+  fetchDelayMs = 0;
+});
+
+test('fails with an auth error without calling Energo when the account has no token', async () => {
+  await assert.rejects(energo.listCabinets({ id: 'no-token', oid: OID }), (error) => {
+    assert.equal(error.kind, 'auth');
+    assert.equal(error.statusCode, 503);
+    assert.match(error.message, /No Energo token available for account no-token/);
+    return true;
+  });
+  assert.equal(fetchedUrls.length, 0);
+  assert.equal(refreshCalls, 0);
+});
+
+test('refreshes a rejected token once for concurrent calls and retries them', async () => {
+  const account = { id: 'rejected', oid: OID };
+  storedTokens.set(account.id, 'revoked-token');
+  fetchDelayMs = 10;
+
+  const results = await Promise.all(Array.from({ length: 5 }, () => energo.getCabinetSlots(account, 'MOCK000001')));
+
+  assert.equal(refreshCalls, 1);
+  assert.ok(results.every((result) => result.online && result.slots.some((slot) => slot.manufacture_id === 'CUBH5A000501')));
+  // Five rejected calls and five retries
+  assert.equal(fetchedUrls.length, 10);
+
+  // Later calls use the refreshed token straight away
+  fetchedUrls.length = 0;
+  await energo.getCabinet(account, 'MOCK000002');
+  assert.equal(fetchedUrls.length, 1);
+});
+
+test('fails with an auth error when Energo rejects the refreshed token too', async () => {
+  const account = { id: 'still-rejected', oid: OID };
+  storedTokens.set(account.id, 'revoked-token');
+  refreshBehavior = async () => ({ token: 'also-revoked-token' });
+
+  await assert.rejects(energo.listCabinets(account), (error) => {
+    assert.equal(error.kind, 'auth');
+    assert.equal(error.status, 401);
+    assert.match(error.message, /rejected the refreshed token/);
+    return true;
+  });
+  assert.equal(refreshCalls, 1);
+});
+
+test('waits 60 seconds after a failed refresh before logging in again', async (t) => {
+  const account = { id: 'cooldown', oid: OID };
+  storedTokens.set(account.id, 'revoked-token');
+  refreshBehavior = async () => {
+    throw new Error('Captcha code is incorrect');
+  };
+
+  await assert.rejects(energo.listCabinets(account), /refreshing it failed: Captcha code is incorrect/);
+  assert.equal(refreshCalls, 1);
+
+  // Within the cooldown: no new login, the call fails straight away
+  await assert.rejects(energo.listCabinets(account), (error) => {
+    assert.equal(error.kind, 'auth');
+    assert.match(error.message, /last refresh failed; not retrying yet/);
+    return true;
+  });
+  assert.equal(refreshCalls, 1);
+
+  // After it: the next rejection logs in again
+  const now = Date.now();
+  const clock = t.mock.method(Date, 'now', () => now + 61 * 1000);
+  refreshBehavior = issueToken;
+  const page = await energo.listCabinets(account);
+  clock.mock.restore();
+  assert.equal(refreshCalls, 2);
+  assert.equal(page.totalElements, 3);
+});
+
+test('keeps at most ENERGO_API_CONCURRENCY calls in flight', async () => {
+  const account = { id: 'concurrency', oid: OID };
+  storedTokens.set(account.id, VALID_TOKEN);
+  fetchDelayMs = 30;
+
+  const pages = await Promise.all(Array.from({ length: 6 }, () => energo.listCabinets(account)));
+
+  assert.equal(pages.length, 6);
+  assert.equal(fetchedUrls.length, 6);
+  assert.equal(maxInFlight, 2);
+});
+
+test('reads every page of cabinets in listAllCabinets', async () => {
+  const account = { id: 'paging', oid: OID };
+  storedTokens.set(account.id, VALID_TOKEN);
+
+  const cabinets = await energo.listAllCabinets(account, { size: 2 });
+  assert.deepEqual(cabinets.map((cabinet) => cabinet.cabinetId).sort(), ['MOCK000001', 'MOCK000002', 'MOCK000003']);
+  assert.deepEqual(fetchedUrls.map((url) => new URL(url).searchParams.get('page')), ['0', '1']);
+
+  // A full last page stops on totalElements instead of asking for an empty page
+  fetchedUrls.length = 0;
+  assert.equal((await energo.listAllCabinets(account, { size: 1 })).length, 3);
+  assert.deepEqual(fetchedUrls.map((url) => new URL(url).searchParams.get('size')), ['1', '1', '1']);
+});
@@ -0,0 +1,90 @@
+// HTTP login against the offline login fixture (mock/energo_login_fixture.js): success, wrong captcha, wrong password,
+// and a misread captcha retried with the local solver
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startLoginFixture, getCaptchaAnswer } = require('../mock/energo_login_fixture');
+
+const CAPTCHA = '3+4';
+
+let fixture;
+let tokenExtract;
+
+test.before(async () => {
+  fixture = await startLoginFixture({ captcha: CAPTCHA });
+  // Must be set before token_extract is loaded
+  process.env.ENERGO_BASE_URL = fixture.url;
+  process.env.ENERGO_LOGIN_STRATEGY = 'http';
+  process.env.ENERGO_HTTP_CAPTCHA_PATH = '/auth/code';
+  process.env.ENERGO_HTTP_LOGIN_PATH = '/auth/login';
+  process.env.ENERGO_PASSWORD_PUBLIC_KEY = '';
+  process.env.CAPTCHA_SOLVERS = 'local';
+  process.env.CAPTCHA_TEMPLATES_PATH = path.join(__dirname, '..', 'mock', 'captcha_templates.json');
+  tokenExtract = require('../token_extract');
+});
+
+test.after(async () => {
+  await fixture.close();
+});
+
+/**
+ * Log in to the fixture with the demo account, optionally with a wrong captcha answer or password
+ */
+function login({ wrongCaptcha = false, wrongPassword = false } = {}) {
+  const answer = getCaptchaAnswer(CAPTCHA);
+  return tokenExtract.loginWithStrategy({
+    username: 'demo',
+    password: wrongPassword ? 'demo-password-wrong' : 'demo-password',
+    captcha: wrongCaptcha ? String(Number(answer) + 1) : answer,
+    headless: true,
+    timeout: 30000
+  });
+}
+
+test('logs in and captures a token the fixture accepts', async () => {
+  const result = await login();
+  assert.equal(result.success, true);
+  assert.equal(result.strategy, 'http');
+  assert.ok(result.token);
+  assert.equal(await tokenExtract.probeToken(result.token, '3526'), true);
+});
+
+test('classifies a wrong captcha answer as a captcha failure', async () => {
+  const result = await login({ wrongCaptcha: true });
+  assert.equal(result.success, false);
+  assert.equal(result.failureReason, 'captcha');
+  assert.equal(result.token, null);
+});
+
+test('classifies a wrong password as a credentials failure', async () => {
+  const result = await login({ wrongPassword: true });
+  assert.equal(result.success, false);
+  assert.equal(result.failureReason, 'credentials');
+  assert.equal(result.token, null);
+});
+
+test('retries a captcha the dashboard rejects with HTTP 200', async () => {
+  fixture.rejectNextCaptchas(1);
+  const result = await tokenExtract.loginWithStrategy({
+    username: 'demo',
+    password: 'demo-password',
+    headless: true,
+    timeout: 30000,
+    maxCaptchaAttempts: 3
+  });
+  assert.equal(result.success, true);
+  assert.ok(result.token);
+  assert.deepEqual(result.captchaAttempts.map((attempt) => attempt.outcome), ['captcha', 'success']);
+});
+
+test('does not retry a wrong password answered with HTTP 200', async () => {
+  const result = await tokenExtract.loginWithStrategy({
+    username: 'demo',
+    password: 'demo-password-wrong',
+    headless: true,
+    timeout: 30000,
+    maxCaptchaAttempts: 3
+  });
+  assert.equal(result.failureReason, 'credentials');
+  assert.equal(result.captchaAttempts.length, 1);
+});
@@ -0,0 +1,389 @@
+// Pops, cabinet commands and slot reads against the mock Energo backend (mock/energo_backend.js): pop outcomes, pop-all
+// retries, pacing and aborts, the command allow-list, dry_run handling and who may read slots. Postgres is replaced by an in-memory stand-in that serves stations and the token
+// and keeps the pop_audit rows.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const pg = require('pg');
+const { startEnergoBackend } = require('../mock/energo_backend');
+
+const ADMIN_KEY = 'test-admin-key';
+const INTERNAL_SECRET = 'test-internal-secret';
+const TOKEN = 'test-energo-token';
+// POP_ALL_PACE_SECONDS for the routers
+const POP_ALL_PACE_SECONDS = 0.3;
+
+// Stations the routers know, all on the default Energo account
+const STATIONS = ['MOCK000001', 'MOCK000002', 'MOCK000003'];
+// battery table: sticker id to manufacture id (CUBH5A000599 isn't in any mock cabinet)
+const BATTERIES = { STICKER505: 'CUBH5A000505', STICKER511: 'CUBH5A000511', STICKER599: 'CUBH5A000599' };
+
+// pop_audit rows by id, as inserted and then updated by the routes
+const auditRows = new Map();
+// Energo commands the mock drops the connection for, to fail them with a network error
+let commandsToDrop = 0;
+
+/**
+ * Just enough of a pg Pool for the pop and command routes
+ */
+class FakePool {
+  on() {}
+
+  async connect() {
+    return { query: (sql, params) => this.query(sql, params), release() {} };
+  }
+
+  async query(sql, params = []) {
+    if (/FROM token/.test(sql)) {
+      return { rows: [{ value: TOKEN }] };
+    }
+    if (/FROM stations ORDER BY id/.test(sql)) {
+      return { rows: STATIONS.map((id) => ({ id, energo_account_id: null })) };
+    }
+    if (/FROM battery WHERE sticker_id = \$1/.test(sql)) {
+      return { rows: BATTERIES[params[0]] ? [{ manufacture_id: BATTERIES[params[0]] }] : [] };
+    }
+    if (/FROM battery WHERE manufacture_id = ANY\(\$1\)/.test(sql)) {
+      return {
+        rows: Object.entries(BATTERIES)
+          .filter(([, manufactureId]) => params[0].includes(manufactureId))
+          .map(([stickerId, manufactureId]) => ({ sticker_id: stickerId, manufacture_id: manufactureId }))
+      };
+    }
+    if (/FROM stations WHERE id = \$1/.test(sql)) {
+      return { rows: STATIONS.includes(params[0]) ? [{ id: params[0], energo_account_id: null }] : [] };
+    }
+    if (/^\s*INSERT INTO pop_audit/.test(sql)) {
+      const id = String(auditRows.size + 1);
+      auditRows.set(id, {
+        id,
+        route: params[1],
+        station_id: params[2],
+        slot: params[3],
+        manufacture_id: params[9],
+        outcome: params[10],
+        command_sign: params[19],
+        dry_run: params[20],
+        sticker_id: params[22],
+        inserted_at: Date.now()
+      });
+      return { rows: [{ id }] };
+    }
+    if (/^\s*UPDATE pop_audit/.test(sql)) {
+      const row = auditRows.get(String(params[0]));
+      if (row) {
+        row.outcome = params[2];
+      }
+      return { rows: [] };
+    }
+    return { rows: [] };
+  }
+}
+
+let backend;
+let server;
+let baseUrl;
+
+test.before(async () => {
+  backend = await startEnergoBackend({ tokens: [TOKEN] });
+  backend.server.prependListener('request', (req) => {
+    if (commandsToDrop > 0 && req.url.startsWith('/api/command/')) {
+      commandsToDrop--;
+      req.socket.destroy();
+    }
+  });
+  // Must be set before the routers are loaded
+  process.env.ENERGO_BASE_URL = backend.url;
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+  process.env.INTERNAL_API_SECRET = INTERNAL_SECRET;
+  process.env.POP_VERIFY_WINDOW_SECONDS = '1';
+  process.env.POP_ALL_PACE_SECONDS = String(POP_ALL_PACE_SECONDS);
+  delete process.env.CABINET_COMMAND_SIGNS;
+  pg.Pool = FakePool;
+
+  const app = express();
+  app.use(require('../user_service_api'));
+  app.use(require('../map_service_api'));
+  await new Promise((resolve) => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  server.closeAllConnections();
+  await new Promise((resolve) => server.close(resolve));
+  await backend.close();
+});
+
+/**
+ * POST to the routers as an admin
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function post(path, body) {
+  const response = await fetch(baseUrl + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * GET from the routers with the given headers
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function get(path, headers = {}) {
+  const response = await fetch(baseUrl + path, { headers });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Battery in a mock cabinet slot, or null if the slot is empty
+ */
+function mockSlotBattery(stationId, slot) {
+  const cabinet = backend.model.snapshot().cabinets.find((candidate) => candidate.id === stationId);
+  const state = cabinet.slotList.find((candidate) => Number(candidate.lockid) === slot);
+  return state && state.batteryid ? state.batteryid : null;
+}
+
+/**
+ * Audit rows written since the given count
+ */
+function auditRowsSince(count) {
+  return [...auditRows.values()].slice(count);
+}
+
+test('slots: only internal and admin callers may read a station live', async () => {
+  const anonymous = await get('/stations/MOCK000002/slots');
+  assert.equal(anonymous.status, 401);
+  const wrongSecret = await get('/stations/MOCK000002/slots', { 'X-Internal-Secret': 'nope' });
+  assert.equal(wrongSecret.status, 401);
+  const admin = await get('/stations/MOCK000002/slots', { Authorization: `Bearer ${ADMIN_KEY}` });
+  assert.equal(admin.status, 200);
+});
+
+test('slots: each slot comes with its battery, sticker and faults', async () => {
+  const { status, body } = await get('/stations/MOCK000002/slots', { 'X-Internal-Secret': INTERNAL_SECRET });
+  assert.equal(status, 200);
+  assert.equal(body.data.online, true);
+  assert.equal(body.count, 6);
+  const bySlot = new Map(body.data.slots.map((slot) => [slot.slot, slot]));
+  assert.equal(bySlot.get(1).manufacture_id, 'CUBH5A000511');
+  assert.equal(bySlot.get(1).sticker_id, 'STICKER511');
+  assert.equal(bySlot.get(4).sticker_id, null);
+  assert.ok(bySlot.get(4).faults.includes('low_battery'));
+  assert.equal(bySlot.get(2).has_battery, false);
+  assert.ok(bySlot.get(6).faults.includes('lock_stuck'));
+
+  const unknown = await get('/stations/NOSUCH01/slots', { 'X-Internal-Secret': INTERNAL_SECRET });
+  assert.equal(unknown.status, 404);
+});
+
+test('pop: a docked battery is ejected and its audit row completed', async () => {
+  const before = auditRows.size;
+  const { status, body } = await post('/pop/MOCK000001/2');
+  assert.equal(status, 200);
+  assert.equal(body.data[0].outcome, 'ejected');
+  assert.equal(body.data[0].manufacture_id, 'CUBH5A000502');
+  assert.equal(body.data[0].energo_batteryid, 'CUBH5A000502');
+  assert.equal(mockSlotBattery('MOCK000001', 2), null);
+
+  const rows = auditRowsSince(before);
+  assert.equal(rows.length, 1);
+  assert.equal(rows[0].outcome, 'ejected');
+});
+
+test('pop: an empty slot is no_battery, with the command still sent', async () => {
+  const before = auditRows.size;
+  const { status, body } = await post('/pop/MOCK000001/4');
+  assert.equal(status, 409);
+  assert.equal(body.data[0].outcome, 'no_battery');
+  assert.equal(body.data[0].energo_status, 200);
+  assert.equal(auditRowsSince(before)[0].outcome, 'no_battery');
+});
+
+test('pop: a battery still in the slot after Energo reports it popped is stuck and flagged', async () => {
+  const { status, body } = await post('/pop/MOCK000002/3');
+  assert.equal(status, 502);
+  assert.equal(body.data[0].outcome, 'stuck');
+  assert.equal(body.data[0].flagged, true);
+  assert.equal(mockSlotBattery('MOCK000002', 3), 'CUBH5A000513');
+});
+
+test('pop: a pop Energo reports for a slot read empty is unverified and flagged', async () => {
+  const before = auditRows.size;
+  const { status, body } = await post('/pop/MOCK000002/5');
+  assert.equal(status, 504);
+  assert.equal(body.data[0].outcome, 'unverified');
+  assert.equal(body.data[0].flagged, true);
+  assert.equal(body.data[0].energo_borrowstatus, true);
+  assert.equal(body.data[0].manufacture_id, null);
+  assert.equal(auditRowsSince(before)[0].outcome, 'unverified');
+});
+
+test('pop: a slot number outside the cabinet is rejected without a command', async () => {
+  const { status } = await post('/pop/MOCK000001/0');
+  assert.equal(status, 400);
+});
+
+test('pop all: slots= limits the slots, and each command waits POP_ALL_PACE_SECONDS after the previous one', async () => {
+  const before = auditRows.size;
+  const { status, body } = await post('/pop/MOCK000001/all?slots=6,4');
+  assert.equal(status, 200);
+  assert.deepEqual(body.data.map((result) => [result.slot, result.outcome, result.attempts]), [[4, 'no_battery', 1], [6, 'no_battery', 1]]);
+  assert.deepEqual(body.summary, { no_battery: 2 });
+
+  const rows = auditRowsSince(before);
+  assert.deepEqual(rows.map((row) => [row.route, row.slot]), [['all', 4], ['all', 6]]);
+  assert.ok(rows[1].inserted_at - rows[0].inserted_at >= POP_ALL_PACE_SECONDS * 1000 - 20);
+
+  assert.equal((await post('/pop/MOCK000001/all?slots=1,7')).status, 400);
+  assert.equal((await post('/pop/MOCK000001/all?retries=9')).status, 400);
+});
+
+test('pop all: a slot the cabinet refuses is retried up to ?retries= times', async () => {
+  const before = auditRows.size;
+  // The offline cabinet refuses every pop, so its battery stays put
+  const { status, body } = await post('/pop/MOCK000003/all?slots=2&retries=1');
+  assert.equal(status, 200);
+  assert.equal(body.data[0].outcome, 'stuck');
+  assert.equal(body.data[0].energo_borrowstatus, false);
+  assert.equal(body.data[0].flagged, false);
+  assert.equal(body.data[0].attempts, 2);
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.slot, row.outcome]), [[2, 'stuck'], [2, 'stuck']]);
+  assert.equal(mockSlotBattery('MOCK000003', 2), 'CUBH5A000522');
+});
+
+test('pop all: a connection failure stops the run and the remaining slots are skipped', async () => {
+  const before = auditRows.size;
+  commandsToDrop = 1;
+  const { status, body } = await post('/pop/MOCK000001/all?slots=4,6&retries=2');
+  assert.equal(status, 200);
+  assert.equal(commandsToDrop, 0);
+
+  const [failed, skipped] = body.data;
+  assert.equal(failed.outcome, 'error');
+  assert.equal(failed.error_kind, 'network');
+  assert.equal(failed.attempts, 1);
+  assert.equal(skipped.outcome, 'skipped');
+  assert.equal(skipped.error_kind, 'network');
+  assert.match(skipped.error, /^Not attempted: /);
+  assert.equal(skipped.attempts, 0);
+  assert.deepEqual(body.summary, { error: 1, skipped: 1 });
+
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.slot, row.outcome]), [[4, 'error'], [6, 'skipped']]);
+});
+
+test('pop by sticker: an unknown sticker and a battery that is not docked are recorded', async () => {
+  const before = auditRows.size;
+  const unknown = await post('/battery/STICKER000/pop');
+  assert.equal(unknown.status, 404);
+  const undocked = await post('/battery/STICKER599/pop');
+  assert.equal(undocked.status, 409);
+
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.route, row.sticker_id, row.station_id, row.manufacture_id, row.outcome]), [
+    ['battery', 'STICKER000', null, null, 'not_found'],
+    ['battery', 'STICKER599', null, 'CUBH5A000599', 'not_docked']
+  ]);
+});
+
+test('pop by sticker: the battery is found and popped from its station', async () => {
+  const before = auditRows.size;
+  const { status, body } = await post('/battery/STICKER505/pop');
+  assert.equal(status, 200);
+  assert.equal(body.data[0].station_id, 'MOCK000001');
+  assert.equal(body.data[0].slot, 5);
+  assert.equal(body.data[0].outcome, 'ejected');
+  assert.equal(mockSlotBattery('MOCK000001', 5), null);
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.sticker_id, row.outcome]), [['STICKER505', 'ejected']]);
+});
+
+test('commands: an unknown command is rejected', async () => {
+  const { status, body } = await post('/stations/MOCK000001/commands', { command: 'SendCompulsoryBorrowDevice' });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown command/);
+});
+
+test('commands: a known command is disabled until its sign is configured', async () => {
+  const { status, body } = await post('/stations/MOCK000001/commands', { command: 'restart', dry_run: true });
+  assert.equal(status, 503);
+  assert.match(body.error, /CABINET_COMMAND_SIGNS/);
+});
+
+test('commands: params and a missing unlock_all confirmation are rejected', async (t) => {
+  process.env.CABINET_COMMAND_SIGNS = JSON.stringify({ restart: 'SendRestartCabinet', unlock_all: 'SendUnlockAllSlots' });
+  t.after(() => delete process.env.CABINET_COMMAND_SIGNS);
+
+  const withParams = await post('/stations/MOCK000001/commands', { command: 'restart', params: { delay: 5 } });
+  assert.equal(withParams.status, 400);
+
+  const unconfirmed = await post('/stations/MOCK000001/commands', { command: 'unlock_all', confirm: 'MOCK000002' });
+  assert.equal(unconfirmed.status, 400);
+  assert.equal(mockSlotBattery('MOCK000001', 1), 'CUBH5A000501');
+});
+
+test('commands: a dry_run that is not a boolean is rejected and nothing is sent', async (t) => {
+  process.env.CABINET_COMMAND_SIGNS = JSON.stringify({ unlock_all: 'SendUnlockAllSlots' });
+  t.after(() => delete process.env.CABINET_COMMAND_SIGNS);
+  const before = auditRows.size;
+
+  for (const dryRun of ['true', 1, null]) {
+    const { status } = await post('/stations/MOCK000001/commands', { command: 'unlock_all', confirm: 'MOCK000001', dry_run: dryRun });
+    assert.equal(status, 400, `dry_run ${JSON.stringify(dryRun)}`);
+  }
+  const { status } = await post('/stations/MOCK000001/commands?dry_run=yes', { command: 'unlock_all', confirm: 'MOCK000001' });
+  assert.equal(status, 400);
+
+  assert.equal(auditRows.size, before);
+  assert.equal(mockSlotBattery('MOCK000001', 1), 'CUBH5A000501');
+});
+
+test('commands: a dry run is recorded but not sent', async (t) => {
+  process.env.CABINET_COMMAND_SIGNS = JSON.stringify({ unlock_all: 'SendUnlockAllSlots' });
+  t.after(() => delete process.env.CABINET_COMMAND_SIGNS);
+  const before = auditRows.size;
+
+  for (const [path, body] of [
+    ['/stations/MOCK000001/commands', { command: 'unlock_all', confirm: 'MOCK000001', dry_run: true }],
+    ['/stations/MOCK000001/commands?dry_run=1', { command: 'unlock_all', confirm: 'MOCK000001' }]
+  ]) {
+    const response = await post(path, body);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.dry_run, true);
+    assert.equal(response.body.data.energo_response, undefined);
+  }
+
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.route, row.outcome, row.dry_run]), [
+    ['command', 'dry_run', true],
+    ['command', 'dry_run', true]
+  ]);
+  assert.equal(mockSlotBattery('MOCK000001', 1), 'CUBH5A000501');
+});
+
+test('commands: a command for an unknown station is recorded', async (t) => {
+  process.env.CABINET_COMMAND_SIGNS = JSON.stringify({ restart: 'SendRestartCabinet' });
+  t.after(() => delete process.env.CABINET_COMMAND_SIGNS);
+  const before = auditRows.size;
+
+  const { status } = await post('/stations/NOSUCH01/commands', { command: 'restart' });
+  assert.equal(status, 404);
+  assert.deepEqual(auditRowsSince(before).map((row) => [row.route, row.station_id, row.outcome]), [['command', 'NOSUCH01', 'not_found']]);
+});
+
+test('commands: an enabled command is sent, and an offline cabinet refuses it', async (t) => {
+  process.env.CABINET_COMMAND_SIGNS = JSON.stringify({ restart: 'SendRestartCabinet' });
+  t.after(() => delete process.env.CABINET_COMMAND_SIGNS);
+  const before = auditRows.size;
+
+  const sent = await post('/stations/MOCK000001/commands', { command: 'restart' });
+  assert.equal(sent.status, 200);
+  assert.equal(sent.body.data.command_sign, 'SendRestartCabinet');
+  assert.equal(sent.body.data.energo_response.code, 200);
+
+  const offline = await post('/stations/MOCK000003/commands', { command: 'restart', dry_run: false });
+  assert.equal(offline.status, 502);
+  assert.equal(offline.body.error_kind, 'upstream');
+
+  assert.deepEqual(auditRowsSince(before).map((row) => row.outcome), ['sent', 'refused']);
+});
@@ -15,6 +15,7 @@ try {
 let cachedChromiumPath = null;
 
 const path = require('path');
+const crypto = require('crypto');
 const { execSync } = require('child_process');
 
 // Load environment variables for local development
@@ -29,6 +30,11 @@ try {
     // Environment variables will come from process.env (set by parent module or system)
 }
 
+const { solveCaptcha, solveCaptchaWithOpenAI } = require('./captcha_solver');
+const { createLoginDiagnostics, listLoginAttempts, getLoginAttempt, getLoginAttemptFilePath } = require('./login_diagnostics');
+const { getLoginSelectorProfiles, findFirstMatch, findButtonByText, matchLoginProfile, selectLoginProfile } = require('./login_selectors');
+const { ENERGO_BASE_URL } = require('./energo_client');
+
 // Add fetch for Node.js
 let fetch;
 if (typeof globalThis.fetch === 'undefined') {
@@ -42,6 +48,7 @@ if (typeof globalThis.fetch === 'undefined') {
 // ========================================
 // OpenAI API key is loaded from OPENAI_API_KEY environment variable
 // Set it in Vercel dashboard or .env.local for local development
+// Captcha providers are picked with CAPTCHA_SOLVERS (see captcha_solver.js)
 
 // Browser preview mode
 // Set to false to see the browser window, true to run in headless mode (no browser window)
@@ -57,70 +64,87 @@ function delay(milliseconds) {
 }
 
 /**
- * Solve captcha using OpenAI Vision API
- * The captcha is a simple math problem in format: number operator number = ?
- * @param {string} imageBase64 - Base64 encoded image data (with or without data URL prefix)
- * @param {string} openaiApiKey - OpenAI API key
- * @returns {Promise<string>} - The numeric answer to the math problem
+ * Short SHA-256 fingerprint of a token, to tell tokens apart in logs and history without storing them
+ * @param {string} token - Bearer token
+ * @returns {string}
+ */
+function getTokenFingerprint(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex').slice(0, 12);
+}
+
+/**
+ * Describe a token for logs without revealing it (length plus its fingerprint)
+ * @param {string} token - Bearer token
+ * @returns {string}
+ */
+function redactToken(token) {
+    if (!token) return '<none>';
+    return `<redacted ${String(token).length} chars, sha256:${getTokenFingerprint(token)}>`;
+}
+
+/**
+ * Decode the issue/expiry times embedded in an Energo bearer token.
+ * Energo issues JWTs; if the token is opaque (or has no exp claim) the expiry is unknown
+ * and has to be learned by probing the API with it (see probeToken).
+ * @param {string} token - Bearer token (without the "Bearer " prefix)
+ * @returns {{issuedAt: Date|null, expiresAt: Date|null}}
  */
-async function solveCaptchaWithOpenAI(imageBase64, openaiApiKey) {
+function decodeTokenExpiry(token) {
+    const empty = { issuedAt: null, expiresAt: null };
+    if (!token || typeof token !== 'string') return empty;
+
+    const parts = token.split('.');
+    if (parts.length !== 3) return empty;
+
     try {
-        // Remove data URL prefix if present
-        const base64Data = imageBase64.includes(',') 
-            ? imageBase64.split(',')[1] 
-            : imageBase64;
+        const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        return {
+            issuedAt: typeof payload.iat === 'number' ? new Date(payload.iat * 1000) : null,
+            expiresAt: typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null
+        };
+    } catch (e) {
+        return empty;
+    }
+}
 
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
+/**
+ * Check whether Energo still accepts a token by requesting a single cabinet
+ * @param {string} token - Bearer token to probe
+ * @param {string} oid - Operator id of the account the token belongs to
+ * @returns {Promise<boolean|null>} - true if accepted, false if rejected (401/403), null if the probe itself failed
+ */
+async function probeToken(token, oid) {
+    try {
+        const response = await fetch(`${ENERGO_BASE_URL}/api/cabinet?sort=isOnline&page=0&size=1`, {
+            method: 'GET',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${openaiApiKey}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o', // or 'gpt-4o-mini' for faster/cheaper
-                messages: [
-                    {
-                        role: 'user',
-                        content: [
-                            {
-                                type: 'text',
-                                text: 'This is a captcha image showing a simple math problem. The format is: number operator number = ? (where operator can be +, -, *, or /). Solve the math problem and respond with ONLY the numeric answer (the number that should replace the ?). Do not include any explanation, spaces, or additional characters - just the number.'
-                            },
-                            {
-                                type: 'image_url',
-                                image_url: {
-                                    url: `data:image/png;base64,${base64Data}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_tokens: 10 // Math answers are usually short
-            })
+                'Authorization': `Bearer ${token}`,
+                'Referer': `${ENERGO_BASE_URL}/device/list`,
+                'oid': oid
+            }
         });
 
+        if (response.status === 401 || response.status === 403) {
+            return false;
+        }
         if (!response.ok) {
-            const errorData = await response.text();
-            throw new Error(`OpenAI API error: ${response.status} ${response.statusText} - ${errorData}`);
+            console.warn(`Token probe inconclusive: ${response.status} ${response.statusText}`);
+            return null;
         }
-
-        const data = await response.json();
-        const captchaCode = data.choices[0].message.content.trim();
-        
-        console.log(`OpenAI solved captcha: ${captchaCode}`);
-        return captchaCode;
+        return true;
     } catch (error) {
-        console.error('Error solving captcha with OpenAI:', error);
-        throw error;
+        console.warn('Token probe failed:', error.message);
+        return null;
     }
 }
 
 /**
  * Extract captcha image from the page
  * @param {Object} page - Puppeteer page object
+ * @param {Object} [profile] - Login selector profile (first profile in login_selectors.json if omitted)
  * @returns {Promise<string>} - Base64 image data URL
  */
-async function extractCaptchaImage(page) {
+async function extractCaptchaImage(page, profile) {
     console.log('Waiting for captcha image to load...');
     // Wait longer for the captcha image to load
     await delay(2000);
@@ -148,15 +172,8 @@ async function extractCaptchaImage(page) {
         console.log('Error evaluating page for base64 images:', e.message);
     }
 
-    // Try to find captcha image element with various selectors
-    const imageSelectors = [
-        'img[src*="captcha" i]',
-        'img[id*="captcha" i]',
-        'img[class*="captcha" i]',
-        'img[alt*="captcha" i]',
-        'img[src*="data:image"]',
-        'img'
-    ];
+    // Try to find captcha image element with the profile's selectors
+    const imageSelectors = (profile || getLoginSelectorProfiles().profiles[0]).captcha_image;
 
     let captchaImage = null;
     let imageSrc = null;
@@ -218,372 +235,564 @@ async function extractCaptchaImage(page) {
     throw new Error('Could not find captcha image on the page');
 }
 
+// Energo dashboard login page (ENERGO_BASE_URL, from energo_client.js, can point it at e.g. mock/energo_login_fixture.js)
+const ENERGO_LOGIN_URL = `${ENERGO_BASE_URL}/login`;
+// Where a logged-in session lands; loading it fires the cabinet request the token is captured from
+const ENERGO_DASHBOARD_URL = `${ENERGO_BASE_URL}/`;
+
+// Load the login selector profiles now, so a broken login_selectors.json shows up at startup rather than at the next refresh
+try {
+    const selectors = getLoginSelectorProfiles();
+    console.log(`✅ Loaded ${selectors.profiles.length} login selector profile(s) from ${selectors.path}`);
+} catch (error) {
+    console.error('❌ Login selector profiles not available:', error.message);
+}
+
+// Login error messages that mean the captcha answer was wrong (English, Chinese, Russian). Only captcha wording:
+// a bare "code" also shows up in credential errors, and retrying those with the same password can lock the account.
+const CAPTCHA_ERROR_PATTERN = /captcha|verif\w* code|验证码|капч|проверочн\w* код|код провер/i;
+// Login error messages that mean the username or password was wrong (checked first)
+const CREDENTIALS_ERROR_PATTERN = /password|username|user name|account|credential|密码|用户|账号|парол|логин|пользовател/i;
+
 /**
- * Login to Energo dashboard using Puppeteer
- * @param {Object} options - Login options
- * @param {string} options.username - Username for login
- * @param {string} options.password - Password for login
- * @param {string} [options.captcha] - Optional captcha code. If not provided, will be solved using OpenAI API
- * @param {string} [options.openaiApiKey] - OpenAI API key for captcha solving (uses OPENAI_API_KEY env var if not provided)
- * @param {boolean} [options.headless=true] - Run browser in headless mode
- * @param {number} [options.timeout=30000] - Timeout in milliseconds
- * @returns {Promise<Object>} - Returns session info including cookies and browser instance
+ * Number of captcha attempts per login (CAPTCHA_MAX_ATTEMPTS, default 3)
+ * @returns {number}
  */
-async function loginToEnergo({ username, password, captcha, openaiApiKey, headless = true, timeout = 30000 }) {
-    let browser = null;
-    
+function getMaxCaptchaAttempts() {
+    return Math.max(1, parseInt(process.env.CAPTCHA_MAX_ATTEMPTS, 10) || 3);
+}
+
+/**
+ * Check whether a Puppeteer error means the page/session is gone (common on Cloud Run)
+ * @param {Error} e - Error thrown by Puppeteer
+ * @returns {boolean}
+ */
+function isSessionClosedError(e) {
+    return e.name === 'TargetCloseError' ||
+        Boolean(e.message && (e.message.includes('Session closed') || e.message.includes('Protocol error')));
+}
+
+/**
+ * Work out why a login attempt failed from the login API message and any error shown on the page
+ * @param {Array<string|null>} messages - Error texts to inspect
+ * @returns {'captcha'|'credentials'|'unknown'}
+ */
+function classifyLoginFailure(messages) {
+    const text = messages.filter(Boolean).join(' ');
+    if (CREDENTIALS_ERROR_PATTERN.test(text)) {
+        return 'credentials';
+    }
+    if (CAPTCHA_ERROR_PATTERN.test(text)) {
+        return 'captcha';
+    }
+    return 'unknown';
+}
+
+/**
+ * Look for an error message shown on the login page
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} profile - Login selector profile (its error selectors, then its error_text phrases)
+ * @returns {Promise<string|null>} - The error text, or null if none is shown
+ */
+async function findLoginErrorText(page, profile) {
+    for (const selector of profile.error) {
+        try {
+            const errorElement = await page.$(selector);
+            if (errorElement) {
+                const errorText = await page.evaluate(el => el.textContent, errorElement);
+                if (errorText && errorText.trim().length > 0) {
+                    console.log(`Error detected: ${errorText}`);
+                    return errorText.trim();
+                }
+            }
+        } catch (e) {
+            // Page may be closed (e.g. on Cloud Run); skip error check
+            if (isSessionClosedError(e)) {
+                console.log('Page session closed during error check, continuing...');
+                return null;
+            }
+        }
+    }
+
+    if (profile.error_text.length === 0) {
+        return null;
+    }
     try {
-        // Configure browser launch options
-        const launchOptions = {
-            headless: headless,
-            args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-accelerated-2d-canvas', '--no-first-run', '--no-zygote', '--single-process', '--disable-gpu']
-        };
+        // Innermost div whose text contains one of the phrases
+        const errorText = await page.evaluate((phrases) => {
+            const lowered = phrases.map((phrase) => phrase.toLowerCase());
+            const matches = Array.from(document.querySelectorAll('div')).filter((el) => {
+                const text = (el.textContent || '').toLowerCase();
+                return lowered.some((phrase) => text.includes(phrase));
+            });
+            const innermost = matches.find((el) => !matches.some((other) => other !== el && el.contains(other)));
+            return innermost ? innermost.textContent.trim() : null;
+        }, profile.error_text);
+        if (errorText) {
+            console.log(`Error detected: ${errorText}`);
+            return errorText;
+        }
+    } catch (e) {
+        if (isSessionClosedError(e)) {
+            console.log('Page session closed during error check, continuing...');
+        }
+    }
+    return null;
+}
+
+/**
+ * Get a new captcha: click the current captcha image (which reloads it), or reload the page
+ * @param {Object} page - Puppeteer page object
+ * @param {string|null} previousImage - Data URL of the captcha that was just rejected
+ * @param {number} timeout - Navigation timeout in milliseconds
+ */
+async function refreshCaptchaImage(page, previousImage, timeout) {
+    if (previousImage) {
+        try {
+            const clicked = await page.evaluate((previous) => {
+                const image = Array.from(document.querySelectorAll('img')).find(img => img.src === previous);
+                if (!image) return false;
+                image.click();
+                return true;
+            }, previousImage);
+
+            if (clicked) {
+                await page.waitForFunction(
+                    (previous) => {
+                        const images = Array.from(document.querySelectorAll('img')).filter(img => img.src && img.src.startsWith('data:image'));
+                        return images.length > 0 && !images.some(img => img.src === previous);
+                    },
+                    { timeout: 5000 },
+                    previousImage
+                );
+                return;
+            }
+        } catch (e) {
+            console.log('Captcha image did not refresh on click:', e.message);
+        }
+    }
+
+    console.log('Reloading login page for a fresh captcha...');
+    await page.reload({ waitUntil: 'networkidle2', timeout: timeout });
+}
+
+/**
+ * Get an answer for the captcha currently on the page
+ * @param {Object} page - Puppeteer page object
+ * @param {Object} options
+ * @param {string} [options.captcha] - Captcha code supplied by the caller
+ * @param {string} [options.openaiApiKey] - OpenAI API key for the openai provider
+ * @param {boolean} options.headless - Whether the browser is headless (no manual fallback if so)
+ * @param {Object} options.profile - Login selector profile
+ * @returns {Promise<{answer: string, provider: string, image: string|null}>}
+ */
+async function solveLoginCaptcha(page, { captcha, openaiApiKey, headless, profile }) {
+    if (captcha) {
+        return { answer: captcha, provider: 'provided', image: null };
+    }
+
+    let captchaImage = null;
+    try {
+        // Try to solve captcha with the configured providers
+        console.log('Extracting captcha image...');
+        captchaImage = await extractCaptchaImage(page, profile);
         
-        // On Vercel, use @sparticuz/chromium
-        if (isVercel) {
-            try {
-                const chromium = require('@sparticuz/chromium');
-                // Use cached path if available, otherwise get it (cache to avoid repeated extraction)
-                if (!cachedChromiumPath) {
-                    const executablePath = chromium.executablePath();
-                    if (executablePath instanceof Promise) {
-                        cachedChromiumPath = await executablePath;
-                    } else {
-                        cachedChromiumPath = executablePath;
+        console.log('Solving captcha...');
+        const solved = await solveCaptcha(captchaImage, { openaiApiKey });
+        console.log(`Captcha solved by provider: ${solved.provider}`);
+        return { answer: solved.answer, provider: solved.provider, image: captchaImage };
+    } catch (error) {
+        console.error('Failed to solve captcha automatically:', error.message);
+        console.error('Error stack:', error.stack);
+        // Nobody can type into a headless browser; the telegram provider is the human fallback there
+        if (headless) {
+            throw new Error('Captcha could not be solved: ' + error.message);
+        }
+        // Fallback: wait for manual captcha input in the visible browser window
+        console.log('Waiting for manual captcha input...');
+        console.log('Please enter the captcha code in the browser window');
+        
+        // Wait for the captcha field to have some value
+        try {
+            await page.waitForFunction(
+                (selectors) => {
+                    for (const selector of selectors) {
+                        const field = document.querySelector(selector);
+                        if (field && field.value && field.value.length > 0) {
+                            return true;
+                        }
+                    }
+                    return false;
+                },
+                { timeout: 120000 }, // Wait up to 2 minutes for manual input
+                profile.captcha_input
+            );
+            
+            // Get the entered captcha code
+            const answer = await page.evaluate((selectors) => {
+                for (const selector of selectors) {
+                    const field = document.querySelector(selector);
+                    if (field && field.value) {
+                        return field.value;
                     }
                 }
-                launchOptions.executablePath = cachedChromiumPath;
-                // Add additional args for serverless
-                launchOptions.args = [
-                    ...launchOptions.args,
-                    ...(chromium.args || []),
-                    '--disable-web-security',
-                    '--disable-features=IsolateOrigins,site-per-process'
-                ];
-                console.log('✅ Using @sparticuz/chromium for Vercel environment');
-            } catch (chromiumError) {
-                console.warn('⚠️  @sparticuz/chromium not available, trying default puppeteer:', chromiumError.message);
-                // Continue with default puppeteer (might fail on Vercel)
-            }
-        } else if (process.env.PUPPETEER_EXECUTABLE_PATH) {
-            // Cloud Run or other container: use system Chromium from Dockerfile
-            launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
-            console.log('✅ Using system Chromium from PUPPETEER_EXECUTABLE_PATH');
+                return null;
+            }, profile.captcha_input);
+            
+            console.log('Captcha code detected from manual input');
+            return { answer, provider: 'manual-browser', image: captchaImage };
+        } catch (waitError) {
+            throw new Error('Manual captcha input timeout or failed. Original error: ' + error.message);
         }
-        
-        // Launch browser with retry logic for ETXTBSY errors
-        let retries = 3;
-        let launchError = null;
-        
-        while (retries > 0) {
-            try {
-                browser = await puppeteer.launch(launchOptions);
-                break; // Success, exit retry loop
-            } catch (error) {
-                launchError = error;
-                const errorMsg = error.message || '';
-                
-                // Check if it's an ETXTBSY error (file busy) or similar spawn errors
-                if ((errorMsg.includes('ETXTBSY') || errorMsg.includes('spawn') || errorMsg.includes('EAGAIN')) && retries > 1) {
-                    retries--;
-                    const waitTime = (4 - retries) * 1000; // Exponential backoff: 1s, 2s, 3s
-                    console.warn(`⚠️  Browser launch error (${errorMsg}), retrying in ${waitTime}ms... (${retries} retries left)`);
-                    await delay(waitTime);
-                    continue;
+    }
+}
+
+/**
+ * Watch a page's requests for the bearer token the dashboard sends to the cabinet API
+ * @param {Object} page - Puppeteer page object
+ * @returns {{token: string|null, promise: Promise<string>}} - token is set (and promise resolved) once captured
+ */
+function watchForCabinetToken(page) {
+    let resolveToken = null;
+    const capture = {
+        token: null,
+        promise: new Promise((resolve) => {
+            resolveToken = resolve;
+        })
+    };
+
+    page.on('request', (request) => {
+        const url = request.url();
+        // Check if this is the cabinet API endpoint
+        if (url.includes('/api/cabinet') && url.includes('sort=isOnline')) {
+            const headers = request.headers();
+            const authHeader = headers['authorization'] || headers['Authorization'];
+            if (authHeader && authHeader.startsWith('Bearer ')) {
+                capture.token = authHeader.replace('Bearer ', '');
+                console.log('\n=== AUTHORIZATION TOKEN CAPTURED ===');
+                console.log('Token:', redactToken(capture.token));
+                console.log('=====================================\n');
+                resolveToken(capture.token);
+            }
+        }
+    });
+    return capture;
+}
+
+/**
+ * Read the dashboard's localStorage (empty if the page session is already gone)
+ * @param {Object} page - Puppeteer page object
+ * @returns {Promise<Array<[string, string]>>} - Key/value pairs
+ */
+async function readLocalStorage(page) {
+    try {
+        return await page.evaluate(() => Object.entries(window.localStorage));
+    } catch (e) {
+        if (isSessionClosedError(e)) {
+            console.log('Page session closed before reading localStorage; the session will not be kept.');
+            return [];
+        }
+        throw e;
+    }
+}
+
+/**
+ * Launch Chromium (@sparticuz/chromium on Vercel, PUPPETEER_EXECUTABLE_PATH in containers), retrying spawn errors
+ * @param {boolean} headless - Run browser in headless mode
+ * @returns {Promise<Object>} - Puppeteer browser
+ */
+async function launchBrowser(headless) {
+    // Configure browser launch options
+    const launchOptions = {
+        headless: headless,
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-accelerated-2d-canvas', '--no-first-run', '--no-zygote', '--single-process', '--disable-gpu']
+    };
+    
+    // On Vercel, use @sparticuz/chromium
+    if (isVercel) {
+        try {
+            const chromium = require('@sparticuz/chromium');
+            // Use cached path if available, otherwise get it (cache to avoid repeated extraction)
+            if (!cachedChromiumPath) {
+                const executablePath = chromium.executablePath();
+                if (executablePath instanceof Promise) {
+                    cachedChromiumPath = await executablePath;
+                } else {
+                    cachedChromiumPath = executablePath;
                 }
-                
-                // If it's not a retryable error or we're out of retries, throw
-                throw error;
             }
+            launchOptions.executablePath = cachedChromiumPath;
+            // Add additional args for serverless
+            launchOptions.args = [
+                ...launchOptions.args,
+                ...(chromium.args || []),
+                '--disable-web-security',
+                '--disable-features=IsolateOrigins,site-per-process'
+            ];
+            console.log('✅ Using @sparticuz/chromium for Vercel environment');
+        } catch (chromiumError) {
+            console.warn('⚠️  @sparticuz/chromium not available, trying default puppeteer:', chromiumError.message);
+            // Continue with default puppeteer (might fail on Vercel)
         }
-        
-        // If we exhausted retries, throw the last error
-        if (!browser && launchError) {
-            throw launchError;
+    } else if (process.env.PUPPETEER_EXECUTABLE_PATH) {
+        // Cloud Run or other container: use system Chromium from Dockerfile
+        launchOptions.executablePath = process.env.PUPPETEER_EXECUTABLE_PATH;
+        console.log('✅ Using system Chromium from PUPPETEER_EXECUTABLE_PATH');
+    }
+    
+    // Launch browser with retry logic for ETXTBSY errors
+    let browser = null;
+    let retries = 3;
+    let launchError = null;
+    
+    while (retries > 0) {
+        try {
+            browser = await puppeteer.launch(launchOptions);
+            break; // Success, exit retry loop
+        } catch (error) {
+            launchError = error;
+            const errorMsg = error.message || '';
+            
+            // Check if it's an ETXTBSY error (file busy) or similar spawn errors
+            if ((errorMsg.includes('ETXTBSY') || errorMsg.includes('spawn') || errorMsg.includes('EAGAIN')) && retries > 1) {
+                retries--;
+                const waitTime = (4 - retries) * 1000; // Exponential backoff: 1s, 2s, 3s
+                console.warn(`⚠️  Browser launch error (${errorMsg}), retrying in ${waitTime}ms... (${retries} retries left)`);
+                await delay(waitTime);
+                continue;
+            }
+            
+            // If it's not a retryable error or we're out of retries, throw
+            throw error;
         }
+    }
+    
+    // If we exhausted retries, throw the last error
+    if (!browser && launchError) {
+        throw launchError;
+    }
+    return browser;
+}
+
+/**
+ * Login to Energo dashboard using Puppeteer
+ * @param {Object} options - Login options
+ * @param {string} options.username - Username for login
+ * @param {string} options.password - Password for login
+ * @param {string} [options.captcha] - Optional captcha code. If not provided, will be solved by the configured captcha providers
+ * @param {string} [options.openaiApiKey] - OpenAI API key for the openai captcha provider (uses OPENAI_API_KEY env var if not provided)
+ * @param {boolean} [options.headless=true] - Run browser in headless mode
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @param {number} [options.maxCaptchaAttempts] - Captcha attempts before giving up (CAPTCHA_MAX_ATTEMPTS, default 3)
+ * @returns {Promise<Object>} - Returns session info including cookies, localStorage entries, browser instance, the captcha provider used,
+ *   the login selector profile used (selectorProfile), failureReason ('captcha' | 'credentials' | 'unsolved' | 'unknown' | null), the per-attempt captchaAttempts log
+ *   and diagnosticsId (id of the saved diagnostics bundle when the login failed, see GET /token/attempts/:id)
+ */
+async function loginToEnergo({ username, password, captcha, openaiApiKey, headless = true, timeout = 30000, maxCaptchaAttempts }) {
+    let browser = null;
+    let diagnostics = null;
+    const captchaAttempts = [];
+    
+    try {
+        browser = await launchBrowser(headless);
 
         const page = await browser.newPage();
         
         // Set viewport
         await page.setViewport({ width: 1280, height: 720 });
+
+        // Screenshots, captcha images and the /api/* network log, written to disk only if the login fails
+        diagnostics = createLoginDiagnostics(page);
         
         // Set up network monitoring to capture authorization token
-        let capturedToken = null;
-        let tokenPromiseResolve = null;
-        const tokenPromise = new Promise((resolve) => {
-            tokenPromiseResolve = resolve;
-        });
+        const tokenCapture = watchForCabinetToken(page);
         
-        page.on('request', (request) => {
-            const url = request.url();
-            // Check if this is the cabinet API endpoint
-            if (url.includes('/api/cabinet') && url.includes('sort=isOnline')) {
-                const headers = request.headers();
-                const authHeader = headers['authorization'] || headers['Authorization'];
-                if (authHeader && authHeader.startsWith('Bearer ')) {
-                    capturedToken = authHeader.replace('Bearer ', '');
-                    console.log('\n=== AUTHORIZATION TOKEN CAPTURED ===');
-                    console.log('Token:', capturedToken);
-                    console.log('=====================================\n');
-                    if (tokenPromiseResolve) {
-                        tokenPromiseResolve(capturedToken);
-                    }
-                }
+        // Remember what the login API said, so a wrong captcha can be told apart from bad credentials
+        let lastLoginResponse = null;
+        page.on('response', async (response) => {
+            if (response.request().method() !== 'POST' || !/\/(auth\/)?login/i.test(response.url())) {
+                return;
+            }
+            let message = null;
+            try {
+                const body = await response.json();
+                message = body.message || body.msg || body.error || null;
+            } catch (e) {
+                // Not JSON; the page's error text is used instead
             }
+            lastLoginResponse = { status: response.status(), ok: response.ok(), message };
         });
         
         // Navigate to login page
         console.log('Navigating to login page...');
-        await page.goto('https://backend.energo.vip/login', {
+        await page.goto(ENERGO_LOGIN_URL, {
             waitUntil: 'networkidle2',
             timeout: timeout
         });
+        await diagnostics.step('login-page-loaded');
 
-        // Wait for the login form to be visible
-        await page.waitForSelector('input[type="text"], input[type="email"], input[name*="username"], input[name*="user"], input[id*="username"], input[id*="user"]', { timeout: timeout });
-        
-        // Wait a bit more for captcha image to load (it might load dynamically)
-        console.log('Waiting for page to fully load (including captcha image)...');
-        await delay(2000);
-        
-        // Find and fill username field
-        console.log('Filling username...');
-        const usernameField = await page.$('input[type="text"], input[type="email"], input[name*="username"], input[name*="user"], input[id*="username"], input[id*="user"], input[placeholder*="username" i], input[placeholder*="user" i]');
-        if (usernameField) {
-            await usernameField.click({ clickCount: 3 }); // Select all if there's existing text
-            await usernameField.type(username, { delay: 50 });
-        } else {
-            throw new Error('Username field not found');
-        }
+        // Pick the first selector profile (login_selectors.json) that matches the login form
+        const { profiles } = getLoginSelectorProfiles();
+        await page.waitForSelector(profiles.map((candidate) => candidate.username.join(', ')).join(', '), { timeout: timeout });
+        const profile = await selectLoginProfile(page);
+        console.log(`Using login selector profile: ${profile.name}`);
 
-        // Find and fill password field
-        console.log('Filling password...');
-        const passwordField = await page.$('input[type="password"], input[name*="password"], input[name*="pass"], input[id*="password"], input[id*="pass"]');
-        if (passwordField) {
-            await passwordField.click({ clickCount: 3 }); // Select all if there's existing text
-            await passwordField.type(password, { delay: 50 });
-        } else {
-            throw new Error('Password field not found');
-        }
+        // A provided captcha code can't be retried, so only solver answers get extra attempts
+        const maxAttempts = captcha ? 1 : (maxCaptchaAttempts || getMaxCaptchaAttempts());
+        let captchaProvider = null;
+        let failureReason = null;
+        let previousCaptchaImage = null;
+        let cookies = [];
+        let currentUrl = '';
+        let pageTitle = '';
 
-        // Handle captcha
-        console.log('Handling captcha...');
-        let captchaField = null;
-        
-        // Try to find captcha input field with various selectors
-        const captchaSelectors = [
-            'input[name*="captcha" i]',
-            'input[id*="captcha" i]',
-            'input[placeholder*="captcha" i]',
-            'input[type="text"][name*="code" i]',
-            'input[type="text"][id*="code" i]',
-            'input[type="text"][placeholder*="code" i]',
-            'input[type="text"][placeholder*="verify" i]'
-        ];
-
-        for (const selector of captchaSelectors) {
-            captchaField = await page.$(selector);
-            if (captchaField) {
-                console.log(`Found captcha field with selector: ${selector}`);
-                break;
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            if (attempt > 1) {
+                console.log(`Retrying login with a fresh captcha (attempt ${attempt}/${maxAttempts})...`);
+                await refreshCaptchaImage(page, previousCaptchaImage, timeout);
             }
-        }
 
-        if (captchaField) {
-            let captchaCode = captcha;
+            // Wait for the login form to be visible
+            await page.waitForSelector(profile.username.join(', '), { timeout: timeout });
             
-            if (!captchaCode) {
-                // Try to solve captcha using OpenAI
+            // Wait a bit more for captcha image to load (it might load dynamically)
+            console.log('Waiting for page to fully load (including captcha image)...');
+            await delay(2000);
+            
+            // Find and fill username field
+            console.log('Filling username...');
+            const usernameMatch = await findFirstMatch(page, profile.username);
+            const usernameField = usernameMatch ? usernameMatch.element : null;
+            if (usernameField) {
+                await usernameField.click({ clickCount: 3 }); // Select all if there's existing text
+                await usernameField.type(username, { delay: 50 });
+            } else {
+                throw new Error('Username field not found');
+            }
+
+            // Find and fill password field
+            console.log('Filling password...');
+            const passwordMatch = await findFirstMatch(page, profile.password);
+            const passwordField = passwordMatch ? passwordMatch.element : null;
+            if (passwordField) {
+                await passwordField.click({ clickCount: 3 }); // Select all if there's existing text
+                await passwordField.type(password, { delay: 50 });
+            } else {
+                throw new Error('Password field not found');
+            }
+
+            // Handle captcha
+            console.log('Handling captcha...');
+            const attemptRecord = { attempt, strategy: 'browser', provider: null, answer: null, outcome: null, message: null };
+            captchaAttempts.push(attemptRecord);
+            const captchaMatch = await findFirstMatch(page, profile.captcha_input);
+            const captchaField = captchaMatch ? captchaMatch.element : null;
+            if (captchaMatch) {
+                console.log(`Found captcha field with selector: ${captchaMatch.selector}`);
+            }
+
+            if (captchaField) {
+                let solved;
                 try {
-                    const apiKey = openaiApiKey || process.env.OPENAI_API_KEY;
-                    if (apiKey) {
-                        console.log('Extracting captcha image...');
-                        const captchaImage = await extractCaptchaImage(page);
-                        
-                        console.log('Solving captcha with OpenAI...');
-                        captchaCode = await solveCaptchaWithOpenAI(captchaImage, apiKey);
-                    } else {
-                        throw new Error('OpenAI API key not provided. Set OPENAI_API_KEY environment variable or pass openaiApiKey parameter.');
-                    }
+                    solved = await solveLoginCaptcha(page, { captcha, openaiApiKey, headless, profile });
                 } catch (error) {
-                    console.error('Failed to solve captcha automatically:', error.message);
-                    console.error('Error stack:', error.stack);
-                    // Fallback: wait for manual captcha input
-                    console.log('Waiting for manual captcha input...');
-                    console.log('Please enter the captcha code in the browser window');
-                    
-                    // Wait for the captcha field to have some value
-                    try {
-                        await page.waitForFunction(
-                            () => {
-                                const selectors = [
-                                    'input[name*="captcha" i]',
-                                    'input[id*="captcha" i]',
-                                    'input[placeholder*="captcha" i]',
-                                    'input[type="text"][name*="code" i]',
-                                    'input[type="text"][id*="code" i]',
-                                    'input[type="text"][placeholder*="code" i]',
-                                    'input[type="text"][placeholder*="verify" i]'
-                                ];
-                                for (const selector of selectors) {
-                                    const field = document.querySelector(selector);
-                                    if (field && field.value && field.value.length > 0) {
-                                        return true;
-                                    }
-                                }
-                                return false;
-                            },
-                            { timeout: 120000 } // Wait up to 2 minutes for manual input
-                        );
-                        
-                        // Get the entered captcha code
-                        captchaCode = await page.evaluate(() => {
-                            const selectors = [
-                                'input[name*="captcha" i]',
-                                'input[id*="captcha" i]',
-                                'input[placeholder*="captcha" i]',
-                                'input[type="text"][name*="code" i]',
-                                'input[type="text"][id*="code" i]',
-                                'input[type="text"][placeholder*="code" i]',
-                                'input[type="text"][placeholder*="verify" i]'
-                            ];
-                            for (const selector of selectors) {
-                                const field = document.querySelector(selector);
-                                if (field && field.value) {
-                                    return field.value;
-                                }
-                            }
-                            return null;
-                        });
-                        
-                        console.log('Captcha code detected from manual input');
-                    } catch (waitError) {
-                        throw new Error('Manual captcha input timeout or failed. Original error: ' + error.message);
-                    }
+                    attemptRecord.outcome = 'unsolved';
+                    attemptRecord.message = error.message;
+                    failureReason = 'unsolved';
+                    await diagnostics.step(`captcha-unsolved-${attempt}`);
+                    break;
                 }
-            }
-            
-            if (captchaCode) {
+                attemptRecord.provider = solved.provider;
+                attemptRecord.answer = solved.answer;
+                captchaProvider = solved.provider;
+                previousCaptchaImage = solved.image;
+                diagnostics.captcha(attempt, solved.image, solved.answer, solved.provider);
+
                 // Fill in the captcha code
                 await captchaField.click({ clickCount: 3 });
-                await captchaField.type(captchaCode, { delay: 50 });
+                await captchaField.type(solved.answer, { delay: 50 });
                 console.log('Captcha code entered');
+            } else {
+                console.log('Captcha field not found, proceeding without captcha input');
             }
-        } else {
-            console.log('Captcha field not found, proceeding without captcha input');
-        }
-
-        // Wait a bit for any animations or validations
-        await delay(500);
-
-        // Find and click submit button
-        console.log('Submitting form...');
-        const submitSelectors = [
-            'button[type="submit"]',
-            'input[type="submit"]',
-            'button:has-text("Login")',
-            'button:has-text("Sign in")',
-            'button:has-text("Log in")',
-            'button:has-text("Вход")', // Russian for "Login"
-            '[onclick*="login" i]',
-            '[onclick*="submit" i]'
-        ];
-
-        let submitButton = null;
-        for (const selector of submitSelectors) {
-            try {
-                submitButton = await page.$(selector);
-                if (submitButton) {
-                    break;
+
+            // Wait a bit for any animations or validations
+            await delay(500);
+            await diagnostics.step(`form-filled-${attempt}`);
+
+            // Find and click submit button
+            console.log('Submitting form...');
+            const submitMatch = (await findFirstMatch(page, profile.submit)) || (await findButtonByText(page, profile.submit_text));
+            let submitButton = submitMatch ? submitMatch.element : null;
+
+            if (!submitButton) {
+                // Try to find any button and click it, or press Enter
+                const buttons = await page.$$('button');
+                if (buttons.length > 0) {
+                    submitButton = buttons[0];
                 }
-            } catch (e) {
-                // Continue to next selector
             }
-        }
 
-        if (!submitButton) {
-            // Try to find any button and click it, or press Enter
-            const buttons = await page.$$('button');
-            if (buttons.length > 0) {
-                submitButton = buttons[0];
+            lastLoginResponse = null;
+            if (submitButton) {
+                await submitButton.click();
+            } else {
+                // If no submit button found, try pressing Enter on the password field
+                await passwordField.press('Enter');
             }
-        }
 
-        if (submitButton) {
-            await submitButton.click();
-        } else {
-            // If no submit button found, try pressing Enter on the password field
-            await passwordField.press('Enter');
-        }
+            // Wait for navigation or error message
+            console.log('Waiting for login to complete...');
+            try {
+                await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
+            } catch (e) {
+                // Navigation might not occur, or it might be a single-page app
+                console.log('No navigation detected, checking for error messages...');
+            }
 
-        // Wait for navigation or error message
-        console.log('Waiting for login to complete...');
-        try {
-            await page.waitForNavigation({ waitUntil: 'networkidle2', timeout: 15000 });
-        } catch (e) {
-            // Navigation might not occur, or it might be a single-page app
-            console.log('No navigation detected, checking for error messages...');
-        }
-
-        // Check if login was successful by looking for error messages or dashboard elements
-        const errorSelectors = [
-            '.error',
-            '.alert-danger',
-            '[class*="error" i]',
-            '[id*="error" i]',
-            'div:has-text("Invalid")',
-            'div:has-text("incorrect")',
-            'div:has-text("неверный" i)', // Russian for "incorrect"
-            'div:has-text("ошибка" i)' // Russian for "error"
-        ];
-
-        let hasError = false;
-        for (const selector of errorSelectors) {
+            // Check if login was successful by looking for error messages or dashboard elements
+            const errorText = await findLoginErrorText(page, profile);
+            await diagnostics.step(`after-submit-${attempt}`);
+
+            // Get cookies and session info (optional - session may be closed on some environments e.g. Cloud Run)
             try {
-                const errorElement = await page.$(selector);
-                if (errorElement) {
-                    const errorText = await page.evaluate(el => el.textContent, errorElement);
-                    if (errorText && errorText.trim().length > 0) {
-                        console.log(`Error detected: ${errorText}`);
-                        hasError = true;
-                        break;
-                    }
-                }
+                cookies = await page.cookies();
+                currentUrl = page.url();
+                pageTitle = await page.title();
             } catch (e) {
-                // Page may be closed (e.g. on Cloud Run); skip error check
-                const isSessionClosed = e.name === 'TargetCloseError' ||
-                    (e.message && (e.message.includes('Session closed') || e.message.includes('Protocol error')));
-                if (isSessionClosed) {
-                    console.log('Page session closed during error check, continuing...');
-                    break;
+                if (isSessionClosedError(e)) {
+                    console.log('Page session closed before reading cookies/url/title (common on Cloud Run). Token may still be captured.');
+                } else {
+                    throw e;
                 }
             }
-        }
 
-        // Get cookies and session info (optional - session may be closed on some environments e.g. Cloud Run)
-        let cookies = [];
-        let currentUrl = '';
-        let pageTitle = '';
-        try {
-            cookies = await page.cookies();
-            currentUrl = page.url();
-            pageTitle = await page.title();
-        } catch (e) {
-            const isSessionClosed = e.name === 'TargetCloseError' ||
-                (e.message && (e.message.includes('Session closed') || e.message.includes('Protocol error')));
-            if (isSessionClosed) {
-                console.log('Page session closed before reading cookies/url/title (common on Cloud Run). Token may still be captured.');
-            } else {
-                throw e;
+            const apiError = lastLoginResponse && !lastLoginResponse.ok ? (lastLoginResponse.message || `HTTP ${lastLoginResponse.status}`) : null;
+            if (!errorText && !apiError && currentUrl !== ENERGO_LOGIN_URL) {
+                attemptRecord.outcome = 'success';
+                failureReason = null;
+                break;
+            }
+
+            attemptRecord.message = apiError || errorText || 'Still on login page';
+            attemptRecord.outcome = classifyLoginFailure([apiError, errorText]);
+            failureReason = attemptRecord.outcome;
+            console.log(`Login attempt ${attempt} failed (${attemptRecord.outcome}): ${attemptRecord.message}`);
+
+            // Only a wrong captcha is worth another try; bad credentials would just lock the account
+            if (attemptRecord.outcome !== 'captcha') {
+                break;
             }
+            // Let the error toast clear so it isn't mistaken for the next attempt's result
+            await delay(3000);
         }
 
         // Wait for the cabinet API request to be made (if it hasn't been captured yet)
-        if (!capturedToken) {
+        if (!tokenCapture.token && !failureReason) {
             console.log('Waiting for cabinet API request to capture token...');
             try {
                 await Promise.race([
-                    tokenPromise.then(() => true),
+                    tokenCapture.promise.then(() => true),
                     delay(10000).then(() => false) // Wait up to 10 seconds for the request
                 ]);
             } catch (e) {
@@ -591,18 +800,43 @@ async function loginToEnergo({ username, password, captcha, openaiApiKey, headle
             }
         }
 
+        // Keep a bundle for failed logins, and for "successful" ones that never produced a token
+        let diagnosticsId = null;
+        if (failureReason || !tokenCapture.token) {
+            diagnosticsId = await diagnostics.save({
+                failureReason: failureReason || 'no_token',
+                captchaAttempts: captchaAttempts
+            });
+        }
+
+        // Keep localStorage of a successful login too, so the next refresh can resume the session
+        const localStorageEntries = failureReason ? [] : await readLocalStorage(page);
+
         return {
-            success: !hasError && currentUrl !== 'https://backend.energo.vip/login',
+            success: !failureReason,
+            failureReason: failureReason,
+            captchaAttempts: captchaAttempts,
+            diagnosticsId: diagnosticsId,
             cookies: cookies,
+            localStorage: localStorageEntries,
             url: currentUrl,
             title: pageTitle,
-            token: capturedToken,
+            token: tokenCapture.token,
+            captchaProvider: captchaProvider,
+            selectorProfile: profile.name,
             browser: browser,
             page: page
         };
 
     } catch (error) {
         console.error('Login error:', error);
+        if (diagnostics) {
+            error.diagnosticsId = await diagnostics.save({
+                failureReason: 'error',
+                error: error.message,
+                captchaAttempts: captchaAttempts
+            });
+        }
         if (browser) {
             await browser.close();
         }
@@ -611,32 +845,352 @@ async function loginToEnergo({ username, password, captcha, openaiApiKey, headle
 }
 
 /**
- * Close browser instance
- * @param {Object} result - Result object from loginToEnergo function
+ * Resume a saved dashboard session (cookies and localStorage from an earlier browser login) without the login form.
+ * Loads the dashboard with the session and captures the bearer token its cabinet request sends.
+ * @param {Object} options
+ * @param {{cookies: Array<Object>, localStorage: Array<[string, string]>}} options.session - Saved session
+ * @param {boolean} [options.headless=true] - Run browser in headless mode
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @returns {Promise<Object|null>} - Same shape as loginToEnergo (strategy 'session', with the session's current
+ *   cookies/localStorage), or null when the dashboard sent us back to the login page
  */
-async function closeBrowser(result) {
-    if (result && result.browser) {
-        await result.browser.close();
-        console.log('Browser closed');
-    }
-}
+async function resumeEnergoSession({ session, headless = true, timeout = 30000 }) {
+    let browser = null;
 
-/**
- * Run optional termination script when token_extract finishes (direct run only).
- * Set TERMINATION_SCRIPT in env to the path of a script (e.g. ./scripts/terminate.sh).
- */
-function runTerminationScript() {
-    const script = process.env.TERMINATION_SCRIPT;
-    if (!script || typeof script !== 'string' || !script.trim()) return;
     try {
-        console.log('Running termination script:', script);
-        execSync(script.trim(), { stdio: 'inherit', cwd: __dirname });
-        console.log('Termination script finished.');
-    } catch (err) {
-        console.error('Termination script failed:', err.message || err);
-    }
-}
-
+        browser = await launchBrowser(headless);
+        const page = await browser.newPage();
+        await page.setViewport({ width: 1280, height: 720 });
+        const tokenCapture = watchForCabinetToken(page);
+
+        if (session.cookies && session.cookies.length > 0) {
+            await page.setCookie(...session.cookies);
+        }
+        // Restore localStorage before the dashboard's scripts read it, once per tab so the app's own updates survive reloads
+        await page.evaluateOnNewDocument((entries, origin) => {
+            if (window.location.origin !== origin || window.sessionStorage.getItem('energoSessionRestored')) {
+                return;
+            }
+            for (const [key, value] of entries) {
+                window.localStorage.setItem(key, value);
+            }
+            window.sessionStorage.setItem('energoSessionRestored', '1');
+        }, session.localStorage || [], new URL(ENERGO_BASE_URL).origin);
+
+        console.log('Resuming saved dashboard session...');
+        await page.goto(ENERGO_DASHBOARD_URL, {
+            waitUntil: 'networkidle2',
+            timeout: timeout
+        });
+
+        if (!tokenCapture.token && !page.url().startsWith(ENERGO_LOGIN_URL)) {
+            console.log('Waiting for cabinet API request to capture token...');
+            await Promise.race([tokenCapture.promise, delay(10000)]);
+        }
+
+        const currentUrl = page.url();
+        if (currentUrl.startsWith(ENERGO_LOGIN_URL) || !tokenCapture.token) {
+            console.log('Saved session is no longer logged in');
+            await browser.close();
+            return null;
+        }
+
+        return {
+            success: true,
+            failureReason: null,
+            captchaAttempts: [],
+            diagnosticsId: null,
+            cookies: await page.cookies(),
+            localStorage: await readLocalStorage(page),
+            url: currentUrl,
+            title: await page.title(),
+            token: tokenCapture.token,
+            captchaProvider: null,
+            strategy: 'session',
+            browser: browser,
+            page: page
+        };
+    } catch (error) {
+        if (browser) {
+            await browser.close();
+        }
+        throw error;
+    }
+}
+
+/**
+ * Load the login page and report which selector of each profile matches each field, without logging in
+ * @param {Object} [options]
+ * @param {boolean} [options.headless=true] - Run browser in headless mode
+ * @param {number} [options.timeout=30000] - Timeout in milliseconds
+ * @returns {Promise<{url: string, title: string, selectedProfile: string|null, profiles: Array<Object>}>}
+ */
+async function dryRunLoginSelectors({ headless = true, timeout = 30000 } = {}) {
+    const { profiles } = getLoginSelectorProfiles();
+    const browser = await launchBrowser(headless);
+
+    try {
+        const page = await browser.newPage();
+        await page.setViewport({ width: 1280, height: 720 });
+        console.log('Dry run: loading login page to check selector profiles...');
+        await page.goto(ENERGO_LOGIN_URL, {
+            waitUntil: 'networkidle2',
+            timeout: timeout
+        });
+        // Same wait the login does before reading the form (the captcha image loads late)
+        await delay(2000);
+
+        const results = [];
+        for (const profile of profiles) {
+            results.push(await matchLoginProfile(page, profile));
+        }
+        const selected = results.find((result) => result.usable);
+
+        return {
+            url: page.url(),
+            title: await page.title(),
+            selectedProfile: selected ? selected.name : null,
+            profiles: results
+        };
+    } finally {
+        await browser.close();
+    }
+}
+
+/**
+ * Normalize the Energo password-encryption public key (base64 DER or PEM) to PEM
+ * @returns {string|null}
+ */
+function getPasswordPublicKey() {
+    const key = (process.env.ENERGO_PASSWORD_PUBLIC_KEY || '').trim();
+    if (!key) {
+        return null;
+    }
+    if (key.includes('BEGIN')) {
+        return key;
+    }
+    const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN PUBLIC KEY-----\n${body}\n-----END PUBLIC KEY-----`;
+}
+
+/**
+ * Encrypt the password the way the dashboard's login form does (RSA PKCS#1 v1.5), when a public key is configured
+ * @param {string} password - Plain password
+ * @returns {string} - Base64 ciphertext, or the plain password if no key is configured
+ */
+function encryptLoginPassword(password) {
+    const publicKey = getPasswordPublicKey();
+    if (!publicKey) {
+        return password;
+    }
+    return crypto.publicEncrypt(
+        { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+        Buffer.from(password, 'utf8')
+    ).toString('base64');
+}
+
+/**
+ * Login to Energo by calling the dashboard's captcha and login endpoints directly (no browser)
+ * @param {Object} options - Login options
+ * @param {string} options.username - Username for login
+ * @param {string} options.password - Password for login
+ * @param {string} [options.captcha] - Optional captcha code. If not provided, will be solved by the configured captcha providers
+ * @param {string} [options.openaiApiKey] - OpenAI API key for the openai captcha provider
+ * @param {number} [options.timeout=30000] - Timeout per HTTP request in milliseconds
+ * @param {number} [options.maxCaptchaAttempts] - Captcha attempts before giving up (CAPTCHA_MAX_ATTEMPTS, default 3)
+ * @returns {Promise<Object>} - Same shape as loginToEnergo, without browser/page/cookies
+ */
+async function loginToEnergoHttp({ username, password, captcha, openaiApiKey, timeout = 30000, maxCaptchaAttempts }) {
+    const captchaUrl = `${ENERGO_BASE_URL}${process.env.ENERGO_HTTP_CAPTCHA_PATH || '/auth/code'}`;
+    const loginUrl = `${ENERGO_BASE_URL}${process.env.ENERGO_HTTP_LOGIN_PATH || '/auth/login'}`;
+    const headers = {
+        'Referer': ENERGO_LOGIN_URL,
+        'Content-Type': 'application/json'
+    };
+
+    const maxAttempts = captcha ? 1 : (maxCaptchaAttempts || getMaxCaptchaAttempts());
+    const captchaAttempts = [];
+    let captchaProvider = null;
+    let failureReason = null;
+    let token = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        const attemptRecord = { attempt, strategy: 'http', provider: null, answer: null, outcome: null, message: null };
+        captchaAttempts.push(attemptRecord);
+
+        // Every request to the captcha endpoint returns a fresh image and the uuid it is bound to
+        console.log(`Fetching captcha over HTTP (attempt ${attempt}/${maxAttempts})...`);
+        const captchaResponse = await fetch(captchaUrl, { method: 'GET', headers, signal: AbortSignal.timeout(timeout) });
+        if (!captchaResponse.ok) {
+            throw new Error(`Captcha endpoint returned ${captchaResponse.status} ${captchaResponse.statusText}`);
+        }
+        const captchaData = await captchaResponse.json();
+        const captchaBody = captchaData.data || captchaData;
+        let captchaImage = captchaBody.img || captchaBody.image;
+        if (!captchaImage) {
+            throw new Error('Captcha endpoint response did not include an image');
+        }
+        if (!captchaImage.startsWith('data:image')) {
+            captchaImage = `data:image/png;base64,${captchaImage}`;
+        }
+
+        let answer = captcha;
+        attemptRecord.provider = captcha ? 'provided' : null;
+        if (!answer) {
+            try {
+                const solved = await solveCaptcha(captchaImage, { openaiApiKey });
+                answer = solved.answer;
+                attemptRecord.provider = solved.provider;
+                console.log(`Captcha solved by provider: ${solved.provider}`);
+            } catch (error) {
+                attemptRecord.outcome = 'unsolved';
+                attemptRecord.message = 'Captcha could not be solved: ' + error.message;
+                failureReason = 'unsolved';
+                break;
+            }
+        }
+        attemptRecord.answer = answer;
+        captchaProvider = attemptRecord.provider;
+
+        console.log('Posting credentials over HTTP...');
+        const loginResponse = await fetch(loginUrl, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                username: username,
+                password: encryptLoginPassword(password),
+                code: answer,
+                uuid: captchaBody.uuid
+            }),
+            signal: AbortSignal.timeout(timeout)
+        });
+
+        let loginData = {};
+        try {
+            loginData = await loginResponse.json();
+        } catch (e) {
+            // Non-JSON error page; status code is reported instead
+        }
+        const loginBody = loginData.data && loginData.data.token ? loginData.data : loginData;
+
+        if (loginResponse.ok && loginBody.token) {
+            token = String(loginBody.token).replace(/^Bearer\s+/i, '');
+            attemptRecord.outcome = 'success';
+            failureReason = null;
+            break;
+        }
+
+        attemptRecord.message = loginData.message || loginData.msg || loginData.error ||
+            (loginResponse.ok ? 'Login response did not include a token' : `HTTP ${loginResponse.status}`);
+        // The dashboard answers a failed login with HTTP 200 and the reason in code/msg, so classify both alike
+        attemptRecord.outcome = classifyLoginFailure([attemptRecord.message]);
+        failureReason = attemptRecord.outcome;
+        console.log(`HTTP login attempt ${attempt} failed (${attemptRecord.outcome}): ${attemptRecord.message}`);
+
+        // Only a wrong captcha is worth another try; bad credentials would just lock the account
+        if (attemptRecord.outcome !== 'captcha') {
+            break;
+        }
+    }
+
+    if (token) {
+        console.log('\n=== AUTHORIZATION TOKEN CAPTURED (HTTP login) ===\n');
+    }
+
+    return {
+        success: !failureReason && Boolean(token),
+        failureReason: failureReason,
+        captchaAttempts: captchaAttempts,
+        cookies: [],
+        url: loginUrl,
+        title: '',
+        token: token,
+        captchaProvider: captchaProvider,
+        browser: null,
+        page: null
+    };
+}
+
+/**
+ * Login strategy from ENERGO_LOGIN_STRATEGY: "http", "browser", or "auto" (HTTP first, browser as fallback)
+ * Defaults to "browser": the HTTP login's endpoints and password encryption are only known from the offline fixture
+ * and haven't been checked against the live dashboard yet.
+ * @returns {string}
+ */
+function getLoginStrategy() {
+    const strategy = (process.env.ENERGO_LOGIN_STRATEGY || 'browser').trim().toLowerCase();
+    return ['http', 'browser', 'auto'].includes(strategy) ? strategy : 'browser';
+}
+
+/**
+ * Login with the configured strategy. In "auto" mode the browser login is used when the HTTP login
+ * errors or fails for any reason other than bad credentials.
+ * @param {Object} options - Same options as loginToEnergo
+ * @returns {Promise<Object>} - loginToEnergo result plus the strategy that produced it
+ */
+async function loginWithStrategy(options) {
+    const strategy = getLoginStrategy();
+
+    if (strategy === 'browser') {
+        return { ...(await loginToEnergo(options)), strategy: 'browser' };
+    }
+
+    let httpResult = null;
+    try {
+        httpResult = await loginToEnergoHttp(options);
+    } catch (error) {
+        if (strategy === 'http') {
+            throw error;
+        }
+        console.warn('⚠️ HTTP login failed, falling back to browser login:', error.message);
+    }
+
+    if (httpResult && (httpResult.success || strategy === 'http' || httpResult.failureReason === 'credentials')) {
+        return { ...httpResult, strategy: 'http' };
+    }
+    if (httpResult) {
+        console.warn(`⚠️ HTTP login unsuccessful (${httpResult.failureReason}), falling back to browser login`);
+    }
+
+    const browserResult = await loginToEnergo(options);
+    const previousAttempts = httpResult ? httpResult.captchaAttempts : [];
+    return {
+        ...browserResult,
+        captchaAttempts: [
+            ...previousAttempts,
+            ...browserResult.captchaAttempts.map((attempt) => ({ ...attempt, attempt: attempt.attempt + previousAttempts.length }))
+        ],
+        strategy: 'browser'
+    };
+}
+
+/**
+ * Close browser instance
+ * @param {Object} result - Result object from loginToEnergo function
+ */
+async function closeBrowser(result) {
+    if (result && result.browser) {
+        await result.browser.close();
+        console.log('Browser closed');
+    }
+}
+
+/**
+ * Run optional termination script when token_extract finishes (direct run only).
+ * Set TERMINATION_SCRIPT in env to the path of a script (e.g. ./scripts/terminate.sh).
+ */
+function runTerminationScript() {
+    const script = process.env.TERMINATION_SCRIPT;
+    if (!script || typeof script !== 'string' || !script.trim()) return;
+    try {
+        console.log('Running termination script:', script);
+        execSync(script.trim(), { stdio: 'inherit', cwd: __dirname });
+        console.log('Termination script finished.');
+    } catch (err) {
+        console.error('Termination script failed:', err.message || err);
+    }
+}
+
 /**
  * Example usage function
  * Run this directly to test the login
@@ -655,17 +1209,13 @@ async function testLogin() {
         throw new Error('ENERGO_PASSWORD environment variable is not set. Please set it in your .env file.');
     }
     
-    if (!openaiApiKey) {
-        throw new Error('OPENAI_API_KEY environment variable is not set. Please set it in your .env file for local development or in Vercel dashboard for production.');
-    }
-    
     try {
         // Use SHOW_BROWSER_PREVIEW config to toggle browser visibility
-        const result = await loginToEnergo({
+        const result = await loginWithStrategy({
             username: username,
             password: password,
-            captcha: undefined, // Leave undefined to solve with OpenAI, or provide the code
-            openaiApiKey: openaiApiKey, // Required: Set via OPENAI_API_KEY environment variable
+            captcha: undefined, // Leave undefined to solve with the captcha providers, or provide the code
+            openaiApiKey: openaiApiKey, // Used by the openai captcha provider (OPENAI_API_KEY)
             headless: !SHOW_BROWSER_PREVIEW, // false = show browser, true = headless
             timeout: 30000
         });
@@ -675,7 +1225,11 @@ async function testLogin() {
             url: result.url,
             title: result.title,
             cookiesCount: result.cookies.length,
-            token: result.token || 'Not captured yet'
+            strategy: result.strategy,
+            captchaProvider: result.captchaProvider,
+            failureReason: result.failureReason,
+            captchaAttempts: result.captchaAttempts,
+            token: result.token ? redactToken(result.token) : 'Not captured yet'
         });
         
         if (result.token) {
@@ -697,6 +1251,9 @@ async function testLogin() {
 // ========================================
 const express = require('express');
 const { Pool } = require('pg');
+const { requireAdmin, requireInternalOrAdmin } = require('./admin_auth');
+const { sealToken, openToken, reencryptStoredTokens } = require('./token_store');
+const { getEnergoAccounts, getEnergoAccount, getDefaultEnergoAccount, toPublicAccount } = require('./energo_accounts');
 const router = express.Router();
 
 // Database configuration (reusing same connection config as other services)
@@ -740,99 +1297,499 @@ try {
   tokenPool = null;
 }
 
+// Add the expiry columns, captcha log, token history, per-account columns and saved sessions on first use so existing deployments pick them up without a manual migration
+let tokenSchemaReady = null;
+function ensureTokenSchema() {
+  if (!tokenPool) {
+    return Promise.reject(new Error('Token pool not available'));
+  }
+  if (!tokenSchemaReady) {
+    tokenSchemaReady = tokenPool.query(
+      `ALTER TABLE token
+         ADD COLUMN IF NOT EXISTS issued_at TIMESTAMPTZ DEFAULT NOW(),
+         ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+       CREATE TABLE IF NOT EXISTS captcha_attempts (
+         id BIGSERIAL PRIMARY KEY,
+         login_id UUID NOT NULL,
+         attempt INTEGER NOT NULL,
+         provider TEXT,
+         answer TEXT,
+         outcome TEXT NOT NULL,
+         message TEXT,
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       );
+       ALTER TABLE captcha_attempts ADD COLUMN IF NOT EXISTS strategy TEXT;
+       CREATE TABLE IF NOT EXISTS token_history (
+         id BIGSERIAL PRIMARY KEY,
+         fingerprint TEXT NOT NULL,
+         issued_at TIMESTAMPTZ NOT NULL,
+         expires_at TIMESTAMPTZ,
+         source TEXT NOT NULL,
+         strategy TEXT,
+         captcha_provider TEXT,
+         captcha_attempts INTEGER,
+         login_duration_ms INTEGER,
+         login_id UUID,
+         retired_at TIMESTAMPTZ,
+         retire_reason TEXT,
+         created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       );
+       CREATE INDEX IF NOT EXISTS token_history_issued_at_idx ON token_history (issued_at DESC);
+       ALTER TABLE token ADD COLUMN IF NOT EXISTS account_id TEXT NOT NULL DEFAULT 'default';
+       ALTER TABLE token_history ADD COLUMN IF NOT EXISTS account_id TEXT NOT NULL DEFAULT 'default';
+       ALTER TABLE captcha_attempts ADD COLUMN IF NOT EXISTS account_id TEXT;
+       CREATE TABLE IF NOT EXISTS energo_session (
+         account_id TEXT PRIMARY KEY,
+         value TEXT NOT NULL,
+         saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+       )`
+    ).catch((error) => {
+      tokenSchemaReady = null;
+      throw error;
+    });
+  }
+  return tokenSchemaReady;
+}
+
+if (tokenPool) {
+  ensureTokenSchema()
+    .then(async () => {
+      if (!process.env.TOKEN_ENCRYPTION_KEY) {
+        console.error('❌ Token Service: TOKEN_ENCRYPTION_KEY is not set, token refreshes will fail until it is');
+        return;
+      }
+      // Seal plaintext tokens and re-seal ones encrypted with a previous key
+      const count = await reencryptStoredTokens(tokenPool);
+      if (count > 0) {
+        console.log(`🔐 Token Service: Re-encrypted ${count} stored token(s) and session(s) with the current key`);
+      }
+    })
+    .catch((error) => {
+      console.error('❌ Token Service: Error preparing token table:', error.message);
+    });
+}
+
+/**
+ * Replace an account's stored token (sealed with TOKEN_ENCRYPTION_KEY), recording when it was issued and when it expires.
+ * The token it replaces is retired in token_history and the new one appended there (without its value).
+ * @param {string} token - Bearer token captured from the Energo dashboard
+ * @param {Object} [login] - Which account the token is for and how it was obtained, for token_history
+ * @param {string} [login.accountId] - Energo account id (default account if omitted)
+ * @param {string} [login.source] - 'scheduler', 'manual' or 'on_demand'
+ * @param {string} [login.strategy] - Login strategy that produced the token
+ * @param {string} [login.captchaProvider] - Captcha provider that solved the login
+ * @param {number} [login.captchaAttempts] - Number of captcha attempts
+ * @param {number} [login.loginDurationMs] - How long the login took
+ * @param {string} [login.loginId] - login_id of the captcha_attempts rows
+ * @returns {Promise<{issuedAt: Date, expiresAt: Date|null}>}
+ */
+async function saveToken(token, login = {}) {
+  await ensureTokenSchema();
+
+  const decoded = decodeTokenExpiry(token);
+  const issuedAt = decoded.issuedAt || new Date();
+  const expiresAt = decoded.expiresAt;
+  const accountId = login.accountId || getDefaultEnergoAccount().id;
+
+  const dbClient = await tokenPool.connect();
+  try {
+    // Delete the account's existing tokens and insert the new one
+    // This ensures only one token is stored per account at a time
+    await dbClient.query('BEGIN');
+    await dbClient.query(
+      `UPDATE token_history
+          SET retired_at = NOW(),
+              retire_reason = CASE WHEN expires_at <= NOW() THEN 'expired' ELSE 'replaced' END
+        WHERE retired_at IS NULL AND account_id = $1`,
+      [accountId]
+    );
+    await dbClient.query('DELETE FROM token WHERE account_id = $1', [accountId]);
+    await dbClient.query(
+      'INSERT INTO token (value, issued_at, expires_at, account_id) VALUES ($1, $2, $3, $4)',
+      [sealToken(token), issuedAt, expiresAt, accountId]
+    );
+    await dbClient.query(
+      `INSERT INTO token_history
+         (fingerprint, issued_at, expires_at, source, strategy, captcha_provider, captcha_attempts, login_duration_ms, login_id, account_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        getTokenFingerprint(token),
+        issuedAt,
+        expiresAt,
+        login.source || 'manual',
+        login.strategy || null,
+        login.captchaProvider || null,
+        login.captchaAttempts === undefined ? null : login.captchaAttempts,
+        login.loginDurationMs === undefined ? null : Math.round(login.loginDurationMs),
+        login.loginId || null,
+        accountId
+      ]
+    );
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    dbClient.release();
+  }
+
+  return { issuedAt, expiresAt };
+}
+
+/**
+ * Read an account's stored token (decrypted) together with its issue/expiry times
+ * @param {string} [accountId] - Energo account id (default account if omitted)
+ * @returns {Promise<{value: string, issuedAt: Date|null, expiresAt: Date|null}|null>}
+ */
+async function getStoredToken(accountId) {
+  await ensureTokenSchema();
+  const result = await tokenPool.query(
+    'SELECT value, issued_at, expires_at FROM token WHERE account_id = $1 ORDER BY issued_at DESC NULLS LAST LIMIT 1',
+    [accountId || getDefaultEnergoAccount().id]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return {
+    value: openToken(row.value),
+    issuedAt: row.issued_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Store the captcha attempts of one login so solver accuracy can be tracked over time
+ * @param {Array<{attempt: number, strategy: string, provider: string|null, answer: string|null, outcome: string, message: string|null}>} attempts
+ * @param {string} loginId - Groups the attempts of one login (also stored in token_history)
+ * @param {string} accountId - Energo account that logged in
+ */
+async function recordCaptchaAttempts(attempts, loginId, accountId) {
+  if (!attempts || attempts.length === 0) {
+    return;
+  }
+  await ensureTokenSchema();
+  for (const attempt of attempts) {
+    await tokenPool.query(
+      `INSERT INTO captcha_attempts (login_id, attempt, strategy, provider, answer, outcome, message, account_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [loginId, attempt.attempt, attempt.strategy, attempt.provider, attempt.answer, attempt.outcome || 'unknown', attempt.message, accountId]
+    );
+  }
+}
+
+/**
+ * Save an account's dashboard session (cookies and localStorage, sealed like the token) for the next refresh to resume
+ * @param {string} accountId - Energo account id
+ * @param {{cookies: Array<Object>, localStorage: Array<[string, string]>}} session
+ */
+async function saveBrowserSession(accountId, session) {
+  await ensureTokenSchema();
+  const value = sealToken(JSON.stringify({ cookies: session.cookies || [], localStorage: session.localStorage || [] }));
+  await tokenPool.query(
+    `INSERT INTO energo_session (account_id, value, saved_at) VALUES ($1, $2, NOW())
+     ON CONFLICT (account_id) DO UPDATE SET value = EXCLUDED.value, saved_at = EXCLUDED.saved_at`,
+    [accountId, value]
+  );
+}
+
+/**
+ * Read an account's saved dashboard session (decrypted)
+ * @param {string} accountId - Energo account id
+ * @returns {Promise<{cookies: Array<Object>, localStorage: Array<[string, string]>, savedAt: Date}|null>}
+ */
+async function getBrowserSession(accountId) {
+  await ensureTokenSchema();
+  const result = await tokenPool.query('SELECT value, saved_at FROM energo_session WHERE account_id = $1', [accountId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return { ...JSON.parse(openToken(result.rows[0].value)), savedAt: result.rows[0].saved_at };
+}
+
+/**
+ * Forget an account's saved dashboard session
+ * @param {string} accountId - Energo account id
+ */
+async function deleteBrowserSession(accountId) {
+  await ensureTokenSchema();
+  await tokenPool.query('DELETE FROM energo_session WHERE account_id = $1', [accountId]);
+}
+
+/**
+ * Mark an account's stored token as expired now (used when a probe shows Energo no longer accepts it)
+ * and retire it in token_history
+ * @param {string} accountId - Energo account id
+ * @param {string} [reason='rejected'] - Retirement reason recorded in token_history
+ */
+async function markTokenExpired(accountId, reason = 'rejected') {
+  await ensureTokenSchema();
+  await tokenPool.query(
+    'UPDATE token SET expires_at = NOW() WHERE account_id = $1 AND (expires_at IS NULL OR expires_at > NOW())',
+    [accountId]
+  );
+  await tokenPool.query(
+    'UPDATE token_history SET retired_at = NOW(), retire_reason = $2 WHERE retired_at IS NULL AND account_id = $1',
+    [accountId, reason]
+  );
+}
+
+// Advisory lock key shared by every instance that refreshes the Energo token
+const TOKEN_REFRESH_LOCK_KEY = 352601;
+// How long a caller waits for another instance's refresh before giving up
+const TOKEN_REFRESH_LOCK_TIMEOUT_MS = (parseInt(process.env.TOKEN_REFRESH_LOCK_TIMEOUT_SECONDS, 10) || 300) * 1000;
+// Tolerance for clock skew between Energo's iat and our own clock when deciding whether a token is new
+const TOKEN_FRESHNESS_SKEW_MS = 10000;
+// A resumed session that replays the current token is only kept if the token is valid for longer than this
+// (the margin the scheduler refreshes at, so a replayed token doesn't trigger the next refresh straight away)
+const SESSION_REPLAY_MIN_VALIDITY_MS = (parseInt(process.env.TOKEN_REFRESH_MARGIN_MINUTES, 10) || 10) * 60 * 1000;
+
+// Refreshes currently running in this process, by account id; concurrent callers share them
+const inFlightRefreshes = new Map();
+
+/**
+ * Create an Error carrying the HTTP status the /token endpoint should respond with
+ * @param {string} message - Error message
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} [details] - Extra fields to include in the error response
+ * @returns {Error}
+ */
+function refreshError(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    error.details = details;
+    return error;
+}
+
 /**
- * GET /token
- * Retrieve the Energo API token
- * Returns a JSON response with the token
+ * Take an account's cross-instance refresh lock on a dedicated client, polling until it is free.
+ * Each account has its own lock (TOKEN_REFRESH_LOCK_KEY plus a hash of the account id), so accounts refresh independently.
+ * @param {Object} client - pg client that will hold the session-level lock
+ * @param {string} accountId - Energo account id
+ * @returns {Promise<boolean>} - true if another instance held the lock while we waited
  */
-router.get('/token', async (req, res) => {
+async function acquireRefreshLock(client, accountId) {
+    const deadline = Date.now() + TOKEN_REFRESH_LOCK_TIMEOUT_MS;
+    let waited = false;
+
+    while (true) {
+        const result = await client.query('SELECT pg_try_advisory_lock($1, hashtext($2)) AS locked', [TOKEN_REFRESH_LOCK_KEY, accountId]);
+        if (result.rows[0].locked) {
+            return waited;
+        }
+        if (Date.now() >= deadline) {
+            throw refreshError('Timed out waiting for another token refresh to finish', 503);
+        }
+        if (!waited) {
+            console.log(`⏳ Another instance is refreshing the token for account ${accountId}, waiting for it...`);
+            waited = true;
+        }
+        await delay(1000);
+    }
+}
+
+/**
+ * Whether refreshes try the saved browser session before a full login (ENERGO_SESSION_RESUME, default on)
+ * @returns {boolean}
+ */
+function isSessionResumeEnabled() {
+    return (process.env.ENERGO_SESSION_RESUME || 'true').trim().toLowerCase() !== 'false';
+}
+
+/**
+ * Try to get a token by resuming the account's saved browser session. Only call while holding the account's refresh lock.
+ * The dashboard restores its token from localStorage, so the session often replays the current token: that counts when
+ * Energo still accepts it and it isn't about to expire. A session whose token Energo rejects, or that only replays an
+ * expiring token, is discarded.
+ * @param {Object} account - Energo account
+ * @returns {Promise<Object|null>} - resumeEnergoSession result, or null when a full login is needed. A replayed token
+ * comes with replayedToken set to the stored token's record, since there is nothing new to store.
+ */
+async function tryResumeSession(account) {
+    if (!tokenPool || !isSessionResumeEnabled()) {
+        return null;
+    }
+
+    let session = null;
+    let stored = null;
+    let previousToken = null;
+    try {
+        session = await getBrowserSession(account.id);
+        stored = session ? await getStoredToken(account.id) : null;
+        previousToken = stored ? stored.value : null;
+    } catch (dbError) {
+        console.error('❌ Error reading saved browser session:', dbError.message);
+        return null;
+    }
+    if (!session) {
+        return null;
+    }
+
+    let result = null;
+    try {
+        console.log(`🔑 Resuming saved browser session for account ${account.id} (saved ${new Date(session.savedAt).toISOString()})...`);
+        result = await resumeEnergoSession({ session, headless: true, timeout: 30000 });
+    } catch (error) {
+        // Keep the session: the browser failing says nothing about whether it is still logged in
+        console.warn(`⚠️ Could not resume browser session for account ${account.id}:`, error.message);
+        return null;
+    }
+
+    if (result && result.token) {
+        const probe = await probeToken(result.token, account.oid);
+        if (result.token !== previousToken && probe !== false) {
+            console.log(`✅ Resumed browser session for account ${account.id}`);
+            return result;
+        }
+        // A replayed token must be confirmed valid, and worth keeping for a while
+        const { expiresAt } = decodeTokenExpiry(result.token);
+        if (result.token === previousToken && probe === true && (!expiresAt || expiresAt.getTime() - Date.now() > SESSION_REPLAY_MIN_VALIDITY_MS)) {
+            console.log(`✅ Resumed browser session for account ${account.id} (current token still valid)`);
+            return { ...result, replayedToken: stored };
+        }
+    }
+
+    console.log(`🔑 Saved browser session for account ${account.id} gave no usable token, falling back to a full login`);
+    await closeBrowser(result);
+    try {
+        await deleteBrowserSession(account.id);
+    } catch (dbError) {
+        console.error('❌ Error discarding browser session:', dbError.message);
+    }
+    return null;
+}
+
+/**
+ * Log in to Energo with an account's credentials and store the new token. Only call while holding the account's refresh lock.
+ * @param {Object} account - Energo account (see energo_accounts.js)
+ * @param {string} source - What triggered the refresh, recorded in token_history
+ * @returns {Promise<{token: string, issuedAt: Date|null, expiresAt: Date|null, captchaProvider: string|null, strategy: string}>}
+ */
+async function loginAndSaveToken(account, source) {
     let loginResult = null;
-    
+
     try {
-        // Get credentials from environment variables
-        const username = process.env.ENERGO_USERNAME;
-        const password = process.env.ENERGO_PASSWORD;
         const openaiApiKey = process.env.OPENAI_API_KEY;
-        
-        // Validate required environment variables
-        if (!username || !password) {
-            return res.status(500).json({
-                success: false,
-                error: 'ENERGO_USERNAME and ENERGO_PASSWORD environment variables are required'
+
+        // Validate the account's credentials
+        if (!account.username || !account.password) {
+            throw refreshError(
+                !process.env.ENERGO_ACCOUNTS
+                    ? 'ENERGO_USERNAME and ENERGO_PASSWORD environment variables are required'
+                    : `Energo account "${account.id}" has no username/password in ENERGO_ACCOUNTS`,
+                500
+            );
+        }
+
+        // A token that can't be stored is lost, so don't spend a login (and a captcha) on it
+        if (tokenPool && !process.env.TOKEN_ENCRYPTION_KEY) {
+            throw refreshError('TOKEN_ENCRYPTION_KEY environment variable is required to store the Energo token', 500, {
+                account_id: account.id
             });
         }
-        
-        if (!openaiApiKey) {
-            return res.status(500).json({
-                success: false,
-                error: 'OPENAI_API_KEY environment variable is required'
+
+        // Resume the last browser session if it's still logged in, otherwise perform a full login to get the token
+        const loginStartedAt = Date.now();
+        loginResult = await tryResumeSession(account);
+        if (!loginResult) {
+            console.log(`🔑 Logging in to Energo as account ${account.id}...`);
+            loginResult = await loginWithStrategy({
+                username: account.username,
+                password: account.password,
+                captcha: undefined, // Will be solved by the configured captcha providers
+                openaiApiKey: openaiApiKey,
+                headless: true, // Run in headless mode for server
+                timeout: 30000
             });
         }
-        
-        // Perform login to get the token
-        loginResult = await loginToEnergo({
-            username: username,
-            password: password,
-            captcha: undefined, // Will be solved using OpenAI
-            openaiApiKey: openaiApiKey,
-            headless: true, // Run in headless mode for server
-            timeout: 30000
-        });
-        
+        const loginDurationMs = Date.now() - loginStartedAt;
+        const loginId = crypto.randomUUID();
+
+        if (tokenPool) {
+            try {
+                await recordCaptchaAttempts(loginResult.captchaAttempts, loginId, account.id);
+            } catch (dbError) {
+                console.error('❌ Error recording captcha attempts:', dbError.message);
+            }
+        }
+
         // Check if login was successful
         if (!loginResult.success) {
-            return res.status(401).json({
-                success: false,
-                error: 'Login failed. Please check credentials.',
+            const details = {
+                account_id: account.id,
+                reason: loginResult.failureReason,
+                strategy: loginResult.strategy,
+                captcha_attempts: loginResult.captchaAttempts.length,
                 url: loginResult.url,
-                title: loginResult.title
-            });
+                title: loginResult.title,
+                diagnostics_id: loginResult.diagnosticsId || null
+            };
+            if (loginResult.failureReason === 'credentials') {
+                throw refreshError('Login failed. Please check credentials.', 401, details);
+            }
+            if (loginResult.failureReason === 'captcha') {
+                throw refreshError(`Captcha answer was rejected on all ${loginResult.captchaAttempts.length} attempts`, 502, details);
+            }
+            if (loginResult.failureReason === 'unsolved') {
+                const lastAttempt = loginResult.captchaAttempts[loginResult.captchaAttempts.length - 1];
+                throw refreshError(lastAttempt && lastAttempt.message ? lastAttempt.message : 'Captcha could not be solved', 502, details);
+            }
+            throw refreshError('Login did not complete and no error message was recognized', 502, details);
         }
-        
+
         // Check if token was captured
         if (!loginResult.token) {
-            return res.status(500).json({
-                success: false,
-                error: 'Token was not captured. The login may have succeeded but the API token was not found.',
-                url: loginResult.url
+            throw refreshError('Token was not captured. The login may have succeeded but the API token was not found.', 500, {
+                account_id: account.id,
+                url: loginResult.url,
+                diagnostics_id: loginResult.diagnosticsId || null
             });
         }
-        
+
         // Save token to PostgreSQL database
-        if (tokenPool) {
-            let dbClient;
+        let saved = decodeTokenExpiry(loginResult.token);
+        if (tokenPool && loginResult.replayedToken) {
+            // The resumed session replayed the stored token: saving it again would retire its token_history row
+            // and log a rotation that never happened
+            saved = { issuedAt: loginResult.replayedToken.issuedAt, expiresAt: loginResult.replayedToken.expiresAt };
+            console.log(`✅ Account ${account.id} keeps its stored token (expires: ${saved.expiresAt ? new Date(saved.expiresAt).toISOString() : 'unknown'})`);
+        } else if (tokenPool) {
             try {
-                dbClient = await tokenPool.connect();
-                // Delete existing tokens and insert the new one
-                // This ensures only one token is stored at a time
-                await dbClient.query('DELETE FROM token');
-                await dbClient.query('INSERT INTO token (value) VALUES ($1)', [loginResult.token]);
-                console.log('✅ Token saved to database successfully');
+                saved = await saveToken(loginResult.token, {
+                    accountId: account.id,
+                    source: source,
+                    strategy: loginResult.strategy,
+                    captchaProvider: loginResult.captchaProvider,
+                    captchaAttempts: loginResult.captchaAttempts.length,
+                    loginDurationMs: loginDurationMs,
+                    loginId: loginId
+                });
+                console.log(`✅ Token for account ${account.id} saved to database successfully (expires: ${saved.expiresAt ? saved.expiresAt.toISOString() : 'unknown'})`);
             } catch (dbError) {
                 console.error('❌ Error saving token to database:', dbError);
-                // Don't fail the request if database save fails - still return the token
-                // This allows the API to work even if there's a temporary database issue
-            } finally {
-                if (dbClient) {
-                    dbClient.release();
+                // Fail the refresh so the scheduler backs off and alerts, instead of logging in again on every check
+                throw refreshError(`Token could not be saved: ${dbError.message}`, 500, { account_id: account.id });
+            }
+
+            // Keep the browser session so the next refresh can skip the login form
+            if (loginResult.browser && (loginResult.cookies.length > 0 || loginResult.localStorage.length > 0)) {
+                try {
+                    await saveBrowserSession(account.id, loginResult);
+                } catch (dbError) {
+                    console.error('❌ Error saving browser session:', dbError.message);
                 }
             }
         } else {
             console.warn('⚠️ Token pool not available, skipping database save');
         }
-        
-        // Return the token as JSON
-        return res.json({
-            success: true,
-            token: loginResult.token
-        });
-        
-    } catch (error) {
-        console.error('Error in /token endpoint:', error);
-        return res.status(500).json({
-            success: false,
-            error: error.message || 'An error occurred while retrieving the token'
-        });
+
+        return {
+            token: loginResult.token,
+            issuedAt: saved.issuedAt,
+            expiresAt: saved.expiresAt,
+            captchaProvider: loginResult.captchaProvider,
+            strategy: loginResult.strategy
+        };
     } finally {
         // Always close the browser to free up resources
         if (loginResult) {
@@ -843,18 +1800,356 @@ router.get('/token', async (req, res) => {
             }
         }
     }
+}
+
+/**
+ * Run one coordinated refresh for an account: takes its Postgres advisory lock so only one instance logs in,
+ * and reuses the token another instance stored while we were waiting for the lock.
+ * @param {Object} account - Energo account
+ * @param {string} source - What triggered the refresh, recorded in token_history
+ * @returns {Promise<{token: string, issuedAt: Date|null, expiresAt: Date|null, shared: boolean}>}
+ */
+async function performCoordinatedRefresh(account, source) {
+    const requestedAt = Date.now();
+    let lockClient = null;
+
+    if (tokenPool) {
+        try {
+            lockClient = await tokenPool.connect();
+        } catch (error) {
+            // Without the database we can't coordinate, but a login still beats no token
+            console.warn('⚠️ Could not connect for refresh lock, refreshing without it:', error.message);
+        }
+    }
+
+    try {
+        if (lockClient) {
+            const waited = await acquireRefreshLock(lockClient, account.id);
+            if (waited) {
+                const stored = await getStoredToken(account.id);
+                const issuedAt = stored && stored.issuedAt ? new Date(stored.issuedAt).getTime() : 0;
+                if (stored && issuedAt >= requestedAt - TOKEN_FRESHNESS_SKEW_MS) {
+                    console.log('✅ Using token refreshed by another instance');
+                    return { token: stored.value, issuedAt: stored.issuedAt, expiresAt: stored.expiresAt, captchaProvider: null, strategy: null, shared: true };
+                }
+            }
+        }
+
+        const result = await loginAndSaveToken(account, source);
+        return { ...result, shared: false };
+    } finally {
+        if (lockClient) {
+            try {
+                await lockClient.query('SELECT pg_advisory_unlock($1, hashtext($2))', [TOKEN_REFRESH_LOCK_KEY, account.id]);
+            } catch (unlockError) {
+                console.error('Error releasing token refresh lock:', unlockError.message);
+            }
+            lockClient.release();
+        }
+    }
+}
+
+/**
+ * Refresh an account's Energo token. Concurrent calls in this process share one login per account,
+ * and other instances are serialized through a Postgres advisory lock.
+ * @param {Object} [options]
+ * @param {string} [options.source='manual'] - What triggered the refresh ('scheduler', 'manual' or 'on_demand'), recorded in token_history
+ * @param {string} [options.accountId] - Energo account id (default account if omitted)
+ * @returns {Promise<{token: string, issuedAt: Date|null, expiresAt: Date|null, shared: boolean, accountId: string}>}
+ */
+function refreshToken({ source = 'manual', accountId } = {}) {
+    const account = getEnergoAccount(accountId);
+    if (!account) {
+        return Promise.reject(refreshError(`Unknown Energo account "${accountId}"`, 404));
+    }
+
+    const inFlight = inFlightRefreshes.get(account.id);
+    if (inFlight) {
+        console.log(`⏳ Token refresh for account ${account.id} already in progress, joining it`);
+        return inFlight.then((result) => ({ ...result, shared: true }));
+    }
+
+    const refresh = performCoordinatedRefresh(account, source)
+        .then((result) => ({ ...result, accountId: account.id }))
+        .finally(() => {
+            inFlightRefreshes.delete(account.id);
+        });
+    inFlightRefreshes.set(account.id, refresh);
+    return refresh;
+}
+
+/**
+ * Send a refresh failure as JSON (status code and details come from refreshError)
+ */
+function sendRefreshError(res, error, fallbackMessage) {
+    return res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message || fallbackMessage,
+        ...(error.diagnosticsId ? { diagnostics_id: error.diagnosticsId } : {}),
+        ...(error.details || {})
+    });
+}
+
+/**
+ * Energo account selected by ?account= (or account_id in the body); responds 404 and returns null for an unknown id
+ */
+function getRequestedAccount(req, res) {
+    const accountId = req.query.account || (req.body && req.body.account_id) || null;
+    const account = getEnergoAccount(accountId);
+    if (!account) {
+        res.status(404).json({ success: false, error: `Unknown Energo account "${accountId}"` });
+        return null;
+    }
+    return account;
+}
+
+/**
+ * GET /token?account=default
+ * The current Energo API token of an account, for internal callers only (X-Internal-Secret or admin key).
+ * Logs in first (shared with any refresh already in progress) if no unexpired token is stored.
+ */
+router.get('/token', requireInternalOrAdmin, async (req, res) => {
+    const account = getRequestedAccount(req, res);
+    if (!account) return;
+    try {
+        let stored = null;
+        if (tokenPool) {
+            try {
+                stored = await getStoredToken(account.id);
+            } catch (dbError) {
+                console.error('❌ Error reading stored token:', dbError.message);
+            }
+        }
+
+        const usable = stored && stored.value &&
+            (!stored.expiresAt || new Date(stored.expiresAt).getTime() > Date.now() + TOKEN_FRESHNESS_SKEW_MS);
+        const result = usable
+            ? { token: stored.value, issuedAt: stored.issuedAt, expiresAt: stored.expiresAt, captchaProvider: null, strategy: null, shared: true }
+            : await refreshToken({ source: 'on_demand', accountId: account.id });
+
+        return res.json({
+            success: true,
+            account_id: account.id,
+            oid: account.oid,
+            token: result.token,
+            issued_at: result.issuedAt ? new Date(result.issuedAt).toISOString() : null,
+            expires_at: result.expiresAt ? new Date(result.expiresAt).toISOString() : null,
+            refreshed: !usable
+        });
+    } catch (error) {
+        console.error('Error in /token endpoint:', error.message);
+        return sendRefreshError(res, error, 'An error occurred while retrieving the token');
+    }
+});
+
+/**
+ * POST /token/refresh?account=default
+ * Admin-only: log in and store a new token for an account (shared with any refresh already in progress).
+ * Returns metadata only, never the token.
+ */
+router.post('/token/refresh', requireAdmin, async (req, res) => {
+    const account = getRequestedAccount(req, res);
+    if (!account) return;
+    try {
+        const result = await refreshToken({ source: 'manual', accountId: account.id });
+        return res.json({
+            success: true,
+            account_id: account.id,
+            issued_at: result.issuedAt ? new Date(result.issuedAt).toISOString() : null,
+            expires_at: result.expiresAt ? new Date(result.expiresAt).toISOString() : null,
+            captcha_provider: result.captchaProvider,
+            login_strategy: result.strategy,
+            shared: result.shared
+        });
+    } catch (error) {
+        console.error('Error in /token/refresh endpoint:', error.message);
+        return sendRefreshError(res, error, 'An error occurred while refreshing the token');
+    }
+});
+
+/**
+ * GET /token/accounts
+ * Configured Energo accounts (ids, names and oids; never credentials)
+ */
+router.get('/token/accounts', requireAdmin, (req, res) => {
+    try {
+        const data = getEnergoAccounts().map(toPublicAccount);
+        res.json({ success: true, default_account_id: data[0].id, data });
+    } catch (error) {
+        console.error('Error listing Energo accounts:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to list Energo accounts' });
+    }
+});
+
+/**
+ * GET /token/login-selectors/dry-run
+ * Admin-only: load the Energo login page and report which selector of each profile matched each field (no login)
+ */
+router.get('/token/login-selectors/dry-run', requireAdmin, async (req, res) => {
+    try {
+        const selectors = getLoginSelectorProfiles();
+        const result = await dryRunLoginSelectors();
+        res.json({
+            success: true,
+            data: {
+                selectors_path: selectors.path,
+                version: selectors.version,
+                url: result.url,
+                title: result.title,
+                selected_profile: result.selectedProfile,
+                profiles: result.profiles
+            }
+        });
+    } catch (error) {
+        console.error('Error in login selector dry run:', error);
+        res.status(500).json({ success: false, error: error.message || 'Login selector dry run failed' });
+    }
+});
+
+/**
+ * GET /token/captcha-stats?days=30
+ * Captcha accuracy per solver provider, from the recorded login attempts
+ */
+router.get('/token/captcha-stats', requireAdmin, async (req, res) => {
+    if (!tokenPool) {
+        return res.status(503).json({ success: false, error: 'Token database not available' });
+    }
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+        await ensureTokenSchema();
+        const result = await tokenPool.query(
+            `SELECT COALESCE(provider, 'none') AS provider,
+                    COUNT(*)::int AS attempts,
+                    COUNT(*) FILTER (WHERE outcome = 'success')::int AS accepted,
+                    COUNT(*) FILTER (WHERE outcome = 'captcha')::int AS rejected,
+                    COUNT(*) FILTER (WHERE outcome = 'unsolved')::int AS unsolved
+               FROM captcha_attempts
+              WHERE created_at >= NOW() - ($1 || ' days')::interval
+              GROUP BY 1
+              ORDER BY attempts DESC`,
+            [String(days)]
+        );
+
+        const data = result.rows.map((row) => ({
+            ...row,
+            accuracy: row.accepted + row.rejected > 0
+                ? Math.round((row.accepted / (row.accepted + row.rejected)) * 1000) / 1000
+                : null
+        }));
+
+        res.json({ success: true, days, data });
+    } catch (error) {
+        console.error('Error fetching captcha stats:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to fetch captcha stats' });
+    }
+});
+
+/**
+ * GET /token/history?limit=50&source=scheduler&account=default
+ * Audit trail of issued tokens (never their values), newest first
+ */
+router.get('/token/history', requireAdmin, async (req, res) => {
+    if (!tokenPool) {
+        return res.status(503).json({ success: false, error: 'Token database not available' });
+    }
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+        const source = req.query.source || null;
+        const accountId = req.query.account || null;
+        await ensureTokenSchema();
+        const result = await tokenPool.query(
+            `SELECT id, account_id, fingerprint, issued_at, expires_at, source, strategy, captcha_provider, captcha_attempts,
+                    login_duration_ms, login_id, retired_at, retire_reason,
+                    retired_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) AS active,
+                    EXTRACT(EPOCH FROM (retired_at - issued_at))::int AS lifetime_seconds
+               FROM token_history
+              WHERE ($2::text IS NULL OR source = $2)
+                AND ($3::text IS NULL OR account_id = $3)
+              ORDER BY issued_at DESC, id DESC
+              LIMIT $1`,
+            [limit, source, accountId]
+        );
+
+        res.json({ success: true, count: result.rows.length, data: result.rows });
+    } catch (error) {
+        console.error('Error fetching token history:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to fetch token history' });
+    }
+});
+
+/**
+ * GET /token/attempts
+ * Diagnostics bundles saved for failed browser logins, newest first
+ */
+router.get('/token/attempts', requireAdmin, (req, res) => {
+    try {
+        res.json({ success: true, data: listLoginAttempts() });
+    } catch (error) {
+        console.error('Error listing login attempts:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to list login attempts' });
+    }
+});
+
+/**
+ * GET /token/attempts/:id
+ * Manifest of one diagnostics bundle (steps, captcha answers, attempt log, file names)
+ */
+router.get('/token/attempts/:id', requireAdmin, (req, res) => {
+    try {
+        const attempt = getLoginAttempt(req.params.id);
+        if (!attempt) {
+            return res.status(404).json({ success: false, error: 'Login attempt not found' });
+        }
+        res.json({
+            success: true,
+            data: {
+                ...attempt,
+                file_urls: attempt.files.map((file) => `/token/attempts/${attempt.id}/files/${file}`)
+            }
+        });
+    } catch (error) {
+        console.error('Error reading login attempt:', error);
+        res.status(500).json({ success: false, error: error.message || 'Failed to read login attempt' });
+    }
+});
+
+/**
+ * GET /token/attempts/:id/files/:file
+ * One file from a diagnostics bundle (screenshot, captcha image, page.html, network.json)
+ */
+router.get('/token/attempts/:id/files/:file', requireAdmin, (req, res) => {
+    const filePath = getLoginAttemptFilePath(req.params.id, req.params.file);
+    if (!filePath) {
+        return res.status(404).json({ success: false, error: 'File not found' });
+    }
+    // Captured HTML is served as plain text so it never runs in our origin
+    if (filePath.endsWith('.html')) {
+        res.type('text/plain');
+    }
+    res.sendFile(filePath);
 });
 
 // Log when router is loaded
-console.log('📦 Token service API router initialized with route: GET /token');
+console.log('📦 Token service API router initialized with routes: GET /token, POST /token/refresh, GET /token/accounts, GET /token/login-selectors/dry-run, GET /token/captcha-stats, GET /token/history, GET /token/attempts, GET /token/attempts/:id');
 
 // Export functions and router
 module.exports = {
     loginToEnergo,
+    loginToEnergoHttp,
+    resumeEnergoSession,
+    dryRunLoginSelectors,
+    loginWithStrategy,
     closeBrowser,
     testLogin,
     solveCaptchaWithOpenAI,
     extractCaptchaImage,
+    decodeTokenExpiry,
+    redactToken,
+    probeToken,
+    saveToken,
+    getStoredToken,
+    markTokenExpired,
+    refreshToken,
     router
 };
 
@@ -0,0 +1,279 @@
+// In-process Energo token refresh scheduler (one cycle per Energo account), with backoff, Telegram alerts and GET /token/status
+const express = require('express');
+const tokenExtract = require('./token_extract');
+const { getEnergoAccounts, toPublicAccount } = require('./energo_accounts');
+const { requireAdmin } = require('./admin_auth');
+
+const router = express.Router();
+
+// Refresh this long before the token's real expiry
+const TOKEN_REFRESH_MARGIN_MS = (parseInt(process.env.TOKEN_REFRESH_MARGIN_MINUTES, 10) || 10) * 60 * 1000;
+// How often to re-probe a token whose expiry can't be decoded
+const TOKEN_PROBE_INTERVAL_MS = (parseInt(process.env.TOKEN_PROBE_INTERVAL_MINUTES, 10) || 15) * 60 * 1000;
+// Never sleep longer than this between checks (another instance may have replaced the token)
+const TOKEN_MAX_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+// Wait this long after a refresh before checking again
+const TOKEN_MIN_CHECK_INTERVAL_MS = 60 * 1000;
+// First retry delay after a failed refresh; doubles on each further failure
+const TOKEN_RETRY_BASE_MS = (parseInt(process.env.TOKEN_REFRESH_RETRY_BASE_SECONDS, 10) || 60) * 1000;
+// Longest retry delay
+const TOKEN_RETRY_MAX_MS = (parseInt(process.env.TOKEN_REFRESH_RETRY_MAX_MINUTES, 10) || 60) * 60 * 1000;
+// Alert the ops chat after this many failed refreshes in a row
+const TOKEN_ALERT_AFTER_FAILURES = parseInt(process.env.TOKEN_REFRESH_ALERT_AFTER_FAILURES, 10) || 3;
+// Gap between the first checks of different accounts, so their logins don't all start at once
+const ACCOUNT_STAGGER_MS = 15 * 1000;
+
+let schedulerStarted = false;
+// Refresh state per Energo account id
+const accountStates = new Map();
+
+/**
+ * Scheduler state of one account (created on first use)
+ * @param {string} accountId
+ * @returns {Object}
+ */
+function getAccountState(accountId) {
+  if (!accountStates.has(accountId)) {
+    accountStates.set(accountId, {
+      running: false,
+      timer: null,
+      nextRunAt: null,
+      lastCheckAt: null,
+      lastRefreshAt: null,
+      lastSuccessAt: null,
+      lastError: null,
+      consecutiveFailures: 0,
+      alerted: false
+    });
+  }
+  return accountStates.get(accountId);
+}
+
+/**
+ * Post to the ops Telegram chat; failures are only logged
+ * @param {string} text - Alert text
+ */
+async function sendAlert(text) {
+  try {
+    await require('./telegram_bot').sendOpsAlert(text);
+  } catch (error) {
+    console.error('❌ Could not send token refresh alert to Telegram:', error.message);
+  }
+}
+
+/**
+ * Delay before retrying after the given number of consecutive failures (exponential, capped)
+ * @param {number} failures - Consecutive failures so far (>= 1)
+ * @returns {number}
+ */
+function getRetryDelayMs(failures) {
+  return Math.min(TOKEN_RETRY_BASE_MS * Math.pow(2, failures - 1), TOKEN_RETRY_MAX_MS);
+}
+
+/**
+ * Work out how long until an account's stored token needs refreshing
+ * Uses the decoded expiry when known; otherwise probes Energo with the token.
+ * @param {Object} account - Energo account
+ * @returns {Promise<number>} - Milliseconds until refresh is due (0 = refresh now)
+ */
+async function getMsUntilTokenRefresh(account) {
+  const stored = await tokenExtract.getStoredToken(account.id);
+  if (!stored || !stored.value) {
+    console.log(`🔑 No stored token for account ${account.id}, refresh needed`);
+    return 0;
+  }
+
+  if (stored.expiresAt) {
+    return Math.max(0, new Date(stored.expiresAt).getTime() - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+  }
+
+  // Expiry unknown: learn it by probing
+  const accepted = await tokenExtract.probeToken(stored.value, account.oid);
+  if (accepted === false) {
+    console.log(`🔑 Stored token for account ${account.id} rejected by Energo, marking expired`);
+    await tokenExtract.markTokenExpired(account.id);
+    return 0;
+  }
+  return TOKEN_PROBE_INTERVAL_MS;
+}
+
+/**
+ * Log in and store a new token for an account, updating its failure streak
+ * @param {Object} account - Energo account
+ * @returns {Promise<boolean>} - true if the refresh succeeded
+ */
+async function refreshTokenNow(account) {
+  const state = getAccountState(account.id);
+  state.lastRefreshAt = new Date();
+  try {
+    console.log(`🔄 Automatic token refresh triggered for account ${account.id}...`);
+    const result = await tokenExtract.refreshToken({ source: 'scheduler', accountId: account.id });
+    console.log(`✅ Automatic token refresh for account ${account.id} successful${result.shared ? ' (shared with another refresh)' : ''}`);
+
+    if (state.alerted) {
+      await sendAlert(`✅ Energo token refresh for account ${account.name} recovered after ${state.consecutiveFailures} failed attempt(s).`);
+    }
+    state.lastSuccessAt = new Date();
+    state.consecutiveFailures = 0;
+    state.alerted = false;
+    return true;
+  } catch (error) {
+    state.consecutiveFailures++;
+    state.lastError = {
+      message: error.message,
+      status_code: error.statusCode || null,
+      reason: (error.details && error.details.reason) || null,
+      at: new Date()
+    };
+    console.error(`❌ Automatic token refresh for account ${account.id} failed (${state.consecutiveFailures} in a row):`, error.message);
+
+    if (state.consecutiveFailures >= TOKEN_ALERT_AFTER_FAILURES && !state.alerted) {
+      state.alerted = true;
+      await sendAlert(
+        `⚠️ Energo token refresh for account ${account.name} has failed ${state.consecutiveFailures} times in a row.\n` +
+        `Last error: ${error.message}\n` +
+        `Next retry in ${Math.ceil(getRetryDelayMs(state.consecutiveFailures) / 60000)} min.`
+      );
+    }
+    return false;
+  }
+}
+
+/**
+ * Schedule an account's next token check
+ * @param {Object} account - Energo account
+ * @param {number} delayMs - Milliseconds to wait before checking
+ */
+function scheduleNextTokenRefresh(account, delayMs) {
+  const state = getAccountState(account.id);
+  const hours = Math.floor(delayMs / (60 * 60 * 1000));
+  const minutes = Math.floor((delayMs % (60 * 60 * 1000)) / (60 * 1000));
+
+  console.log(`⏰ Next token check for account ${account.id} scheduled in ${hours}h ${minutes}m`);
+
+  clearTimeout(state.timer);
+  state.nextRunAt = new Date(Date.now() + delayMs);
+  state.timer = setTimeout(() => runTokenRefreshCycle(account), delayMs);
+}
+
+/**
+ * Refresh an account's token if it is due, then schedule its next check off the expiry (or the backoff after a failure)
+ * @param {Object} account - Energo account
+ */
+async function runTokenRefreshCycle(account) {
+  const state = getAccountState(account.id);
+  state.running = true;
+  state.nextRunAt = null;
+  state.lastCheckAt = new Date();
+
+  let nextDelayMs;
+  try {
+    let waitMs;
+    try {
+      waitMs = await getMsUntilTokenRefresh(account);
+    } catch (error) {
+      console.error(`❌ Error reading token expiry for account ${account.id}, refreshing anyway:`, error.message);
+      waitMs = 0;
+    }
+
+    if (waitMs > 0) {
+      nextDelayMs = Math.min(Math.max(waitMs, TOKEN_MIN_CHECK_INTERVAL_MS), TOKEN_MAX_CHECK_INTERVAL_MS);
+    } else if (await refreshTokenNow(account)) {
+      nextDelayMs = TOKEN_MIN_CHECK_INTERVAL_MS;
+    } else {
+      nextDelayMs = getRetryDelayMs(state.consecutiveFailures);
+    }
+  } finally {
+    state.running = false;
+    scheduleNextTokenRefresh(account, nextDelayMs || TOKEN_MIN_CHECK_INTERVAL_MS);
+  }
+}
+
+/**
+ * Start the scheduler for every configured account (no-op if already started)
+ * @param {number} [initialDelayMs=60000] - Wait before the first check
+ */
+function startTokenScheduler(initialDelayMs = 60000) {
+  if (schedulerStarted) {
+    return;
+  }
+  const accounts = getEnergoAccounts();
+  schedulerStarted = true;
+  console.log(`🚀 Starting automatic token refresh scheduler for ${accounts.length} Energo account(s)...`);
+  accounts.forEach((account, index) => {
+    scheduleNextTokenRefresh(account, initialDelayMs + index * ACCOUNT_STAGGER_MS);
+  });
+}
+
+/**
+ * One account's scheduler state plus its stored token's age. Never includes the token itself.
+ * @param {Object} account - Energo account
+ * @returns {Promise<Object>}
+ */
+async function getAccountTokenStatus(account) {
+  const state = getAccountState(account.id);
+  const toIso = (date) => (date ? new Date(date).toISOString() : null);
+  const status = {
+    account: toPublicAccount(account),
+    refresh_in_progress: state.running,
+    next_run_at: toIso(state.nextRunAt),
+    last_check_at: toIso(state.lastCheckAt),
+    last_refresh_at: toIso(state.lastRefreshAt),
+    last_success_at: toIso(state.lastSuccessAt),
+    last_error: state.lastError ? { ...state.lastError, at: toIso(state.lastError.at) } : null,
+    consecutive_failures: state.consecutiveFailures,
+    token: null
+  };
+
+  // The scheduler state is still worth returning when the database is down
+  let stored = null;
+  try {
+    stored = await tokenExtract.getStoredToken(account.id);
+  } catch (error) {
+    status.token_error = error.message;
+  }
+  if (stored && stored.value) {
+    status.token = {
+      issued_at: toIso(stored.issuedAt),
+      expires_at: toIso(stored.expiresAt),
+      age_seconds: stored.issuedAt ? Math.round((Date.now() - new Date(stored.issuedAt).getTime()) / 1000) : null,
+      expires_in_seconds: stored.expiresAt ? Math.round((new Date(stored.expiresAt).getTime() - Date.now()) / 1000) : null
+    };
+  }
+  return status;
+}
+
+/**
+ * Scheduler health for every account. Never includes the tokens themselves.
+ * @returns {Promise<{scheduler_running: boolean, accounts: Array<Object>}>}
+ */
+async function getTokenStatus() {
+  const accounts = getEnergoAccounts();
+  return {
+    scheduler_running: schedulerStarted,
+    accounts: await Promise.all(accounts.map(getAccountTokenStatus))
+  };
+}
+
+/**
+ * GET /token/status
+ * Refresh scheduler health and each account's stored token age (the tokens themselves are never returned) (admin)
+ */
+router.get('/token/status', requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, data: await getTokenStatus() });
+  } catch (error) {
+    console.error('Error reading token status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to read token status'
+    });
+  }
+});
+
+module.exports = {
+  router,
+  startTokenScheduler,
+  runTokenRefreshCycle,
+  getTokenStatus
+};
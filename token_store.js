@@ -0,0 +1,172 @@
+// Encryption at rest for the stored Energo token (and saved browser sessions), and the shared accessor the API routers read it through
+const crypto = require('crypto');
+
+// Tables holding sealed values, re-encrypted on key rotation
+const SEALED_TABLES = ['token', 'energo_session'];
+
+// Sealed values look like "v1:<key id>:<iv>:<auth tag>:<ciphertext>" (base64 parts)
+const SEALED_PREFIX = 'v1';
+const IV_BYTES = 12;
+
+/**
+ * Parse a 32-byte AES key given as 64 hex characters or base64
+ * @param {string} value - Key from the environment
+ * @param {string} name - Env var name, for the error message
+ * @returns {Buffer}
+ */
+function parseKey(value, name) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed) ? Buffer.from(trimmed, 'hex') : Buffer.from(trimmed, 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${name} must be 32 bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+/**
+ * Short, non-secret id for a key so a sealed value records which key opens it
+ * @param {Buffer} key
+ * @returns {string}
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+/**
+ * The current key (TOKEN_ENCRYPTION_KEY) and any previous ones still accepted for reading
+ * (TOKEN_ENCRYPTION_KEY_PREVIOUS, comma separated)
+ * @returns {{current: {id: string, key: Buffer}, all: Map<string, Buffer>}}
+ */
+function getKeys() {
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY environment variable is required to store the Energo token');
+  }
+  const currentKey = parseKey(process.env.TOKEN_ENCRYPTION_KEY, 'TOKEN_ENCRYPTION_KEY');
+  const current = { id: getKeyId(currentKey), key: currentKey };
+
+  const all = new Map([[current.id, currentKey]]);
+  for (const value of (process.env.TOKEN_ENCRYPTION_KEY_PREVIOUS || '').split(',')) {
+    if (value.trim()) {
+      const key = parseKey(value, 'TOKEN_ENCRYPTION_KEY_PREVIOUS');
+      all.set(getKeyId(key), key);
+    }
+  }
+  return { current, all };
+}
+
+/**
+ * Whether a stored value is a sealed token (anything else is a legacy plaintext token)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isSealed(value) {
+  return typeof value === 'string' && value.startsWith(`${SEALED_PREFIX}:`);
+}
+
+/**
+ * Encrypt a token with the current key (AES-256-GCM)
+ * @param {string} token - Plain bearer token
+ * @returns {string} - Sealed value for the token table
+ */
+function sealToken(token) {
+  const { current } = getKeys();
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', current.key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(token), 'utf8'), cipher.final()]);
+  return [SEALED_PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored token. Legacy plaintext values are returned unchanged until they are re-encrypted.
+ * @param {string} value - Value from the token table
+ * @returns {string}
+ */
+function openToken(value) {
+  if (!isSealed(value)) {
+    return value;
+  }
+  const [, keyId, iv, tag, ciphertext] = value.split(':');
+  const key = getKeys().all.get(keyId);
+  if (!key) {
+    throw new Error(`Stored token was sealed with an unknown key (${keyId}); add it to TOKEN_ENCRYPTION_KEY_PREVIOUS`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value needs re-encrypting (plaintext, or sealed with a previous key)
+ * @param {string} value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  return !isSealed(value) || value.split(':')[1] !== getKeys().current.id;
+}
+
+/**
+ * Current (unexpired) Energo token of an account, decrypted
+ * Token is refreshed by the token scheduler ahead of its expiry; API endpoints do not trigger refresh.
+ * @param {Object} pool - pg Pool of the calling router
+ * @param {string} accountId - Energo account id (see energo_accounts.js)
+ * @returns {Promise<string|null>} - null when no unexpired token is stored
+ */
+async function getActiveToken(pool, accountId) {
+  const result = await pool.query(
+    `SELECT value FROM token
+      WHERE account_id = $1 AND (expires_at IS NULL OR expires_at > NOW())
+      ORDER BY issued_at DESC NULLS LAST LIMIT 1`,
+    [accountId]
+  );
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return openToken(result.rows[0].value);
+}
+
+/**
+ * Re-seal every stored token and browser session that is plaintext or sealed with a previous key,
+ * so the previous key can be dropped from TOKEN_ENCRYPTION_KEY_PREVIOUS afterwards
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<number>} - Number of rows re-encrypted
+ */
+async function reencryptStoredTokens(pool) {
+  const client = await pool.connect();
+  let updated = 0;
+  try {
+    await client.query('BEGIN');
+    for (const table of SEALED_TABLES) {
+      const result = await client.query(`SELECT value FROM ${table} FOR UPDATE`);
+      for (const row of result.rows) {
+        if (row.value && needsReencryption(row.value)) {
+          await client.query(`UPDATE ${table} SET value = $1 WHERE value = $2`, [sealToken(openToken(row.value)), row.value]);
+          updated++;
+        }
+      }
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return updated;
+}
+
+module.exports = {
+  sealToken,
+  openToken,
+  isSealed,
+  getActiveToken,
+  reencryptStoredTokens
+};
+
+// Generate a key for TOKEN_ENCRYPTION_KEY: node token_store.js generate-key
+if (require.main === module) {
+  if (process.argv[2] === 'generate-key') {
+    console.log(crypto.randomBytes(32).toString('base64'));
+  } else {
+    console.log('Usage: node token_store.js generate-key');
+  }
+}
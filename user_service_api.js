@@ -1,14 +1,13 @@
 const express = require('express');
 const { Pool } = require('pg');
 const path = require('path');
-
-// Add fetch for HTTP requests
-let fetch;
-if (typeof globalThis.fetch === 'undefined') {
-  fetch = require('node-fetch');
-} else {
-  fetch = globalThis.fetch;
-}
+const crypto = require('crypto');
+const { ensureStationAccountColumn, resolveStationAccount, getStationEnergoAccount } = require('./energo_accounts');
+const { createEnergoClient, isEnergoError, sendEnergoError } = require('./energo_client');
+const { createSlotPopper } = require('./slot_pop');
+const { recordPop, startPop, finishPop, listPops } = require('./pop_audit');
+const { requireAdmin, requireInternalOrAdmin, getCallerIdentity } = require('./admin_auth');
+const { arrayToCSV } = require('./csv_export');
 
 const router = express.Router();
 router.use(express.json());
@@ -57,101 +56,27 @@ pool.on('error', (err) => {
   console.error('❌ Unexpected error on idle client', err);
 });
 
-/**
- * Helper function to get token from database
- * Token is refreshed only periodically by server.js (15-30 min); API endpoints do not trigger refresh.
- */
-async function getTokenFromDatabase() {
-  let client;
-  try {
-    client = await pool.connect();
-    const result = await client.query('SELECT value FROM token LIMIT 1');
-    if (result.rows.length === 0) {
-      return null;
-    }
-    return result.rows[0].value;
-  } catch (error) {
-    console.error('Error fetching token from database:', error);
-    return null;
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-/**
- * Helper function to send pop command to Relink API for a specific slot
- * @param {string} stationId - The station ID
- * @param {number} slot - The slot number (1-6)
- * @param {string} token - The authorization token
- * @returns {Promise<Object|null>} - Returns the response data or null if failed
- */
-async function sendPopCommand(stationId, slot, token) {
-  try {
-    const url = 'https://backend.energo.vip/api/command/sendCommandBySign';
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Referer': 'https://backend.energo.vip/device/list',
-        'oid': '3526',
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        cabinetId: stationId,
-        rlSeq: 1,
-        rlSlot: slot,
-        commandSign: 'SendCompulsoryBorrowDevice'
-      })
-    });
+// Energo API client (reads each account's token from this pool)
+const energo = createEnergoClient(pool);
+// Pops that re-read the slot to confirm the battery came out
+const popper = createSlotPopper(energo);
 
-    if (!response.ok) {
-      console.error(`Relink API error for pop command (station ${stationId}, slot ${slot}): ${response.status} ${response.statusText}`);
-      return null;
-    }
+// Pause between the commands of a pop-all, so the cabinet isn't sent six at once
+const POP_ALL_PACE_MS = Math.max(parseFloat(process.env.POP_ALL_PACE_SECONDS || '1') || 0, 0) * 1000;
+// Default extra attempts for pop-all slots whose command failed or was refused (?retries= overrides, up to 3)
+const POP_ALL_RETRIES = parseInt(process.env.POP_ALL_RETRIES, 10) || 0;
+const POP_ALL_MAX_RETRIES = 3;
 
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error(`Error sending pop command for station ${stationId}, slot ${slot}:`, error);
-    return null;
-  }
+function delay(milliseconds) {
+  return new Promise((resolve) => setTimeout(resolve, milliseconds));
 }
 
-/**
- * Helper function to fetch rent data from Relink API
- * @param {string} stationId - The station ID
- * @param {number} startTime - Start time in epoch milliseconds
- * @param {number} endTime - End time in epoch milliseconds
- * @param {string} token - The authorization token
- * @returns {Promise<Object|null>} - Returns the response data or null if failed
- */
-async function fetchRentData(stationId, startTime, endTime, token) {
-  try {
-    // URL encode the createTime parameters
-    const url = `https://backend.energo.vip/api/order?cabinetid=${stationId}&createTime%5B0%5D=${startTime}&createTime%5B1%5D=${endTime}`;
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Referer': 'https://backend.energo.vip/order/lease-order',
-        'oid': '3526'
-      }
-    });
-
-    if (!response.ok) {
-      console.error(`Relink API error for rent data (station ${stationId}): ${response.status} ${response.statusText}`);
-      return null;
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error(`Error fetching rent data for station ${stationId}:`, error);
-    return null;
-  }
-}
+// Status and message for each pop outcome other than ejected
+const POP_FAILURES = {
+  no_battery: { statusCode: 409, error: (slot) => `Slot ${slot} has no battery to pop` },
+  stuck: { statusCode: 502, error: (slot) => `Battery did not come out of slot ${slot}` },
+  unverified: { statusCode: 504, error: (slot) => `Pop command sent to slot ${slot}, but it could not be confirmed that a battery came out` }
+};
 
 /**
  * GET /users
@@ -631,101 +556,497 @@ router.patch('/users/:id', async (req, res) => {
 });
 
 /**
- * POST /pop/:station_id/all - Pop out all batteries from all slots (1-6)
+ * Slots for POST /pop/:station_id/all from ?slots=1,3,5 (all six without it)
+ * @returns {Array<number>|null} - null if the list is invalid
+ */
+function parsePopAllSlots(value) {
+  if (value === undefined || value === '') {
+    return [1, 2, 3, 4, 5, 6];
+  }
+  const slots = String(value).split(',').map((part) => part.trim());
+  if (slots.some((part) => !/^[1-6]$/.test(part))) {
+    return null;
+  }
+  return [...new Set(slots.map(Number))].sort((a, b) => a - b);
+}
+
+/**
+ * Whether a pop-all slot is worth another attempt: the command failed or the cabinet refused it.
+ * Slots Energo reported popped (flagged) or that couldn't be re-read are left alone, as their battery may be out.
+ */
+function shouldRetryPop(result) {
+  return result.outcome === 'error' || (result.outcome === 'stuck' && !result.energo_borrowstatus);
+}
+
+/**
+ * POST /pop/:station_id/all - Pop out all batteries from all slots (1-6), or the ones in ?slots=
+ * Every slot gets a result in data (see slot_pop.js for outcomes, plus error and skipped). Commands are paced by
+ * POP_ALL_PACE_SECONDS; ?retries=N tries failed slots again. Each attempt is recorded in pop_audit.
  */
 router.post('/pop/:station_id/all', async (req, res) => {
   console.log(`POST /pop/${req.params.station_id}/all endpoint called`);
+  const { station_id } = req.params;
+
+  const slots = parsePopAllSlots(req.query.slots);
+  if (!slots) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid slots. Use a comma separated list of slot numbers between 1 and 6 (e.g. slots=1,3,5)'
+    });
+  }
+  const retries = req.query.retries !== undefined ? parseInt(req.query.retries, 10) : POP_ALL_RETRIES;
+  if (isNaN(retries) || retries < 0 || retries > POP_ALL_MAX_RETRIES) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid retries. Must be between 0 and ${POP_ALL_MAX_RETRIES}`
+    });
+  }
+
+  const audit = { requestId: crypto.randomUUID(), route: 'all', stationId: station_id, caller: getCallerIdentity(req), accountId: null };
+  const startedAt = Date.now();
   try {
-    const { station_id } = req.params;
-    
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      return res.status(503).json({
+    // Pop with the Energo account that owns the station
+    const account = await getStationEnergoAccount(pool, station_id);
+    audit.accountId = account.id;
+    const cabinet = await popper.readCabinet(account, station_id);
+    if (!cabinet) {
+      const error = `Energo does not know station ${station_id}`;
+      await recordPop(pool, { ...audit, slot: null, outcome: 'not_found', error: new Error(error), startedAt });
+      return res.status(404).json({
         success: false,
-        error: 'Token not available. Please ensure token is set in database.'
+        error
       });
     }
-    
-    // Send pop commands for all 6 slots
-    const data = [];
-    
-    for (let slot = 1; slot <= 6; slot++) {
-      const result = await sendPopCommand(station_id, slot, token);
-      if (result && result.borrowstatus) {
-        data.push({
-          slot: result.lockid || slot,
-          manufacture_id: result.batteryid || ''
-        });
+
+    const results = new Map();
+    // Set once a token or connection failure makes further commands pointless
+    let abortReason = null;
+    // Every attempt sends a command, so each one after the first waits POP_ALL_PACE_SECONDS
+    let attempted = false;
+    // Battery the cabinet read above saw in a slot (null if none, or if Energo didn't report the slots)
+    const batteryBefore = (slot) => {
+      const state = cabinet.slots && cabinet.slots.find((candidate) => candidate.slot === slot);
+      return state ? state.manufacture_id : null;
+    };
+
+    /**
+     * One attempt at a slot; the first attempt uses the cabinet read above, retries re-read the slot
+     */
+    const attemptSlot = async (slot, attempt) => {
+      const previous = results.get(slot);
+      if (attempted && POP_ALL_PACE_MS > 0) {
+        await delay(POP_ALL_PACE_MS);
       }
+      attempted = true;
+
+      const slotStartedAt = Date.now();
+      let auditId = null;
+      const onCommand = async (manufactureId) => {
+        auditId = await startPop(pool, { ...audit, slot, manufactureId, startedAt: slotStartedAt });
+      };
+      let result;
+      try {
+        result = await popper.popSlot(account, station_id, slot, attempt === 1 ? { cabinet, onCommand } : { onCommand });
+        // A failed command can still have opened the lock: the retry then finds the slot empty
+        if (previous && result.outcome === 'no_battery' && previous.manufacture_id) {
+          result = { ...result, manufacture_id: previous.manufacture_id, outcome: 'ejected' };
+        }
+        await finishPop(pool, auditId, { ...audit, slot, result, startedAt: slotStartedAt });
+      } catch (error) {
+        if (!isEnergoError(error)) {
+          await finishPop(pool, auditId, { ...audit, slot, error, startedAt: slotStartedAt });
+          throw error;
+        }
+        console.error(`Energo pop command failed (station ${station_id}, slot ${slot}):`, error.message);
+        await finishPop(pool, auditId, { ...audit, slot, error, startedAt: slotStartedAt });
+        // A slot Energo refuses only fails that slot; a token or connection problem would fail every slot
+        if (error.kind !== 'upstream') {
+          abortReason = error;
+        }
+        result = {
+          slot,
+          manufacture_id: batteryBefore(slot),
+          outcome: 'error',
+          error_kind: error.kind,
+          error: error.message
+        };
+      }
+      results.set(slot, { ...result, attempts: attempt });
+    };
+
+    for (const slot of slots) {
+      if (abortReason) {
+        break;
+      }
+      await attemptSlot(slot, 1);
     }
-    
+    for (let attempt = 2; attempt <= retries + 1 && !abortReason; attempt++) {
+      for (const slot of slots) {
+        if (abortReason) {
+          break;
+        }
+        if (shouldRetryPop(results.get(slot))) {
+          await attemptSlot(slot, attempt);
+        }
+      }
+    }
+
+    // Slots not reached after a token or connection failure
+    for (const slot of slots) {
+      if (!results.has(slot)) {
+        const result = {
+          slot,
+          manufacture_id: batteryBefore(slot),
+          outcome: 'skipped',
+          error_kind: abortReason.kind,
+          error: `Not attempted: ${abortReason.message}`
+        };
+        await recordPop(pool, { ...audit, slot, result, error: { kind: abortReason.kind, message: result.error }, startedAt: Date.now() });
+        results.set(slot, { ...result, attempts: 0 });
+      }
+    }
+
+    const data = slots.map((slot) => results.get(slot));
+    const summary = {};
+    data.forEach((result) => {
+      summary[result.outcome] = (summary[result.outcome] || 0) + 1;
+    });
+
     res.json({
       success: true,
       data: data,
-      count: data.length
+      count: data.length,
+      summary
     });
   } catch (error) {
     console.error('Error popping all batteries:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to pop all batteries'
-    });
+    await recordPop(pool, { ...audit, slot: null, error, startedAt });
+    sendEnergoError(res, error, 'Failed to pop all batteries');
   }
 });
 
 /**
  * POST /pop/:station_id/:slot - Pop out a battery from a specific slot
+ * Succeeds only once the slot is seen empty again (see slot_pop.js); recorded in pop_audit
  */
 router.post('/pop/:station_id/:slot', async (req, res) => {
   console.log(`POST /pop/${req.params.station_id}/${req.params.slot} endpoint called`);
+  const { station_id, slot } = req.params;
+  
+  // Validate slot number (1-6)
+  const slotNum = parseInt(slot);
+  if (isNaN(slotNum) || slotNum < 1 || slotNum > 6) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid slot number. Must be between 1 and 6'
+    });
+  }
+  
+  const audit = { requestId: crypto.randomUUID(), route: 'slot', stationId: station_id, slot: slotNum, caller: getCallerIdentity(req), accountId: null };
+  const startedAt = Date.now();
+  // Set once the row is written, just before the command is sent
+  let auditId = null;
   try {
-    const { station_id, slot } = req.params;
-    
-    // Validate slot number (1-6)
-    const slotNum = parseInt(slot);
-    if (isNaN(slotNum) || slotNum < 1 || slotNum > 6) {
-      return res.status(400).json({
+    // Send pop command with the Energo account that owns the station
+    const account = await getStationEnergoAccount(pool, station_id);
+    audit.accountId = account.id;
+    const cabinet = await popper.readCabinet(account, station_id);
+    if (!cabinet) {
+      const error = `Energo does not know station ${station_id}`;
+      await recordPop(pool, { ...audit, outcome: 'not_found', error: new Error(error), startedAt });
+      return res.status(404).json({
         success: false,
-        error: 'Invalid slot number. Must be between 1 and 6'
+        error
       });
     }
+    const result = await popper.popSlot(account, station_id, slotNum, {
+      cabinet,
+      onCommand: async (manufactureId) => {
+        auditId = await startPop(pool, { ...audit, manufactureId, startedAt });
+      }
+    });
+    await finishPop(pool, auditId, { ...audit, result, startedAt });
     
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      return res.status(503).json({
+    const failure = POP_FAILURES[result.outcome];
+    if (failure) {
+      return res.status(failure.statusCode).json({
         success: false,
-        error: 'Token not available. Please ensure token is set in database.'
+        error: failure.error(slotNum),
+        data: [result],
+        count: 1
       });
     }
     
-    // Send pop command to Relink API
-    const result = await sendPopCommand(station_id, slotNum, token);
-    
-    if (!result || !result.borrowstatus) {
-      return res.status(500).json({
+    res.json({
+      success: true,
+      data: [result],
+      count: 1
+    });
+  } catch (error) {
+    console.error('Error popping battery:', error);
+    await finishPop(pool, auditId, { ...audit, error, startedAt });
+    sendEnergoError(res, error, 'Failed to pop battery');
+  }
+});
+
+/**
+ * Where a battery is docked among our stations (the stations table), from the paged cabinet list of each account that
+ * owns one of them; only the matching cabinet is then re-read, so the pop starts from a fresh read of that slot.
+ * Accounts whose list fails are skipped; if the battery isn't found and one failed, that error is thrown, since the
+ * battery may be in one of its stations.
+ * @param {string} manufactureId - Battery manufacture id
+ * @returns {Promise<{account: Object, stationId: string, slot: number, cabinet: Object|null}|null>} - null if no
+ * station holds it; cabinet is the re-read (null if the battery left the slot since the list was read)
+ */
+async function findDockedBattery(manufactureId) {
+  await ensureStationAccountColumn(pool);
+  const stations = (await pool.query('SELECT id, energo_account_id FROM stations ORDER BY id')).rows;
+
+  // Our stations, grouped by the account that owns them
+  const groups = new Map();
+  let failure = null;
+  for (const station of stations) {
+    let account;
+    try {
+      account = resolveStationAccount(station.energo_account_id, station.id);
+    } catch (error) {
+      failure = failure || error;
+      continue;
+    }
+    if (!groups.has(account.id)) {
+      groups.set(account.id, { account, stationIds: new Set() });
+    }
+    groups.get(account.id).stationIds.add(station.id);
+  }
+
+  const results = await Promise.allSettled([...groups.values()].map(({ account }) => energo.listAllCabinets(account)));
+  let found = null;
+  [...groups.values()].forEach(({ account, stationIds }, index) => {
+    if (results[index].status !== 'fulfilled') {
+      console.warn(`⚠️ Could not list cabinets of account ${account.id} while looking for battery ${manufactureId}: ${results[index].reason.message}`);
+      failure = failure || results[index].reason;
+      return;
+    }
+    for (const cabinet of results[index].value) {
+      const stationId = String(cabinet.cabinetId || cabinet.id);
+      const slot = stationIds.has(stationId) && (cabinet.slotList || []).find((candidate) => String(candidate.batteryid) === manufactureId);
+      if (slot && !found) {
+        found = { account, stationId, slot: Number(slot.lockid) };
+      }
+    }
+  });
+
+  if (!found) {
+    if (failure) {
+      throw failure;
+    }
+    return null;
+  }
+  const cabinet = await energo.getCabinetSlots(found.account, found.stationId);
+  const state = cabinet && cabinet.slots.find((candidate) => candidate.slot === found.slot);
+  return { ...found, cabinet: state && state.manufacture_id === manufactureId ? cabinet : null };
+}
+
+/**
+ * POST /battery/:sticker_id/pop - Pop a battery by its sticker, from whichever of our stations holds it (admin or internal)
+ * The battery's cabinet is re-read before the command, so a battery that moved isn't mistaken for another. Recorded in pop_audit,
+ * including stickers that aren't found or batteries that aren't docked
+ */
+router.post('/battery/:sticker_id/pop', requireInternalOrAdmin, async (req, res) => {
+  console.log(`POST /battery/${req.params.sticker_id}/pop endpoint called`);
+  const { sticker_id } = req.params;
+
+  const audit = { requestId: crypto.randomUUID(), route: 'battery', stationId: null, slot: null, stickerId: sticker_id, caller: getCallerIdentity(req), accountId: null };
+  let startedAt = Date.now();
+  let auditId = null;
+  let manufactureId = null;
+  try {
+    const batteryResult = await pool.query('SELECT manufacture_id FROM battery WHERE sticker_id = $1', [sticker_id]);
+    if (batteryResult.rows.length === 0) {
+      const error = `Battery with sticker_id "${sticker_id}" not found`;
+      await recordPop(pool, { ...audit, outcome: 'not_found', error: new Error(error), startedAt });
+      return res.status(404).json({
         success: false,
-        error: 'Failed to send pop command to Relink API'
+        error
       });
     }
-    
+    manufactureId = batteryResult.rows[0].manufacture_id;
+    if (!manufactureId) {
+      const error = `Battery with sticker_id "${sticker_id}" has no manufacture_id`;
+      await recordPop(pool, { ...audit, outcome: 'not_docked', error: new Error(error), startedAt });
+      return res.status(409).json({
+        success: false,
+        error
+      });
+    }
+
+    const location = await findDockedBattery(manufactureId);
+    if (!location) {
+      const error = `Battery "${sticker_id}" (${manufactureId}) is not docked in any station`;
+      await recordPop(pool, { ...audit, outcome: 'not_docked', manufactureId, error: new Error(error), startedAt });
+      return res.status(409).json({
+        success: false,
+        error
+      });
+    }
+    Object.assign(audit, { stationId: location.stationId, slot: location.slot, accountId: location.account.id });
+    if (!location.cabinet) {
+      const error = `Battery "${sticker_id}" left slot ${location.slot} of station ${location.stationId} before it could be popped`;
+      await recordPop(pool, { ...audit, outcome: 'not_docked', manufactureId, error: new Error(error), startedAt });
+      return res.status(409).json({
+        success: false,
+        error
+      });
+    }
+    startedAt = Date.now();
+
+    const result = await popper.popSlot(location.account, location.stationId, location.slot, {
+      cabinet: location.cabinet,
+      onCommand: async () => {
+        auditId = await startPop(pool, { ...audit, manufactureId, startedAt });
+      }
+    });
+    await finishPop(pool, auditId, { ...audit, result, startedAt });
+    const data = [{ station_id: location.stationId, sticker_id, ...result }];
+
+    const failure = POP_FAILURES[result.outcome];
+    if (failure) {
+      return res.status(failure.statusCode).json({
+        success: false,
+        error: failure.error(`${location.slot} of station ${location.stationId}`),
+        data,
+        count: 1
+      });
+    }
+
     res.json({
       success: true,
-      data: [
-        {
-          slot: result.lockid || slotNum,
-          manufacture_id: result.batteryid || ''
-        }
-      ],
+      data,
       count: 1
     });
   } catch (error) {
-    console.error('Error popping battery:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to pop battery'
-    });
+    console.error('Error popping battery by sticker:', error);
+    await finishPop(pool, auditId, { ...audit, manufactureId, error, startedAt });
+    sendEnergoError(res, error, 'Failed to pop battery');
+  }
+});
+
+// Columns of GET /pops/export, in order
+const POP_AUDIT_CSV_HEADERS = [
+  'id',
+  'request_id',
+  'route',
+  'started_at',
+  'duration_ms',
+  'station_id',
+  'slot',
+  'account_id',
+  'caller_id',
+  'caller_auth',
+  'caller_ip',
+  'user_agent',
+  'manufacture_id',
+  'outcome',
+  'energo_borrowstatus',
+  'energo_message',
+  'energo_status',
+  'flagged',
+  'error_kind',
+  'error',
+  'command_sign',
+  'dry_run',
+  'energo_batteryid',
+  'sticker_id'
+];
+
+/**
+ * Filters for GET /pops and /pops/export from the query string
+ * station, caller, route, from and to (YYYY-MM-DD, UTC days, inclusive), limit
+ * @returns {{filters: Object}|{error: string}}
+ */
+function parsePopFilters(query, defaultLimit, maxLimit) {
+  const parseDay = (value, endOfDay) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+    const date = new Date(value + (endOfDay ? 'T23:59:59.999Z' : 'T00:00:00.000Z'));
+    return isNaN(date.getTime()) ? null : date;
+  };
+
+  const from = query.from ? parseDay(query.from, false) : null;
+  if (query.from && !from) {
+    return { error: `Invalid from date: ${query.from}. Expected YYYY-MM-DD` };
+  }
+  const to = query.to ? parseDay(query.to, true) : null;
+  if (query.to && !to) {
+    return { error: `Invalid to date: ${query.to}. Expected YYYY-MM-DD` };
+  }
+  if (from && to && from > to) {
+    return { error: 'from must be before or equal to to' };
+  }
+  if (query.route && !['slot', 'all', 'battery', 'command'].includes(query.route)) {
+    return { error: 'Invalid route. Must be slot, all, battery or command' };
+  }
+
+  return {
+    filters: {
+      stationId: query.station || null,
+      callerId: query.caller || null,
+      route: query.route || null,
+      from,
+      to,
+      limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit)
+    }
+  };
+}
+
+/**
+ * GET /pops?station=&caller=&route=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=100
+ * Pop and cabinet command audit trail, newest first (admin)
+ */
+router.get('/pops', requireAdmin, async (req, res) => {
+  const parsed = parsePopFilters(req.query, 100, 1000);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+  try {
+    const rows = await listPops(pool, parsed.filters);
+    res.json({ success: true, count: rows.length, data: rows });
+  } catch (error) {
+    console.error('Error fetching pop audit:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to fetch pops' });
+  }
+});
+
+/**
+ * GET /pops/export
+ * Pop audit trail as CSV, same filters as GET /pops (admin)
+ */
+router.get('/pops/export', requireAdmin, async (req, res) => {
+  const parsed = parsePopFilters(req.query, 10000, 50000);
+  if (parsed.error) {
+    return res.status(400).json({ success: false, error: parsed.error });
+  }
+  try {
+    const rows = await listPops(pool, parsed.filters);
+    const csvContent = arrayToCSV(
+      rows.map((row) => ({
+        ...row,
+        started_at: new Date(row.started_at).toISOString()
+      })),
+      POP_AUDIT_CSV_HEADERS
+    );
+    const filename = `pops_${new Date().toISOString().slice(0, 10)}.csv`;
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', Buffer.byteLength(csvContent, 'utf8'));
+    res.send(csvContent);
+    
+    console.log(`✅ Exported ${rows.length} pops to ${filename}`);
+  } catch (error) {
+    console.error('Error exporting pop audit:', error);
+    res.status(500).json({ success: false, error: error.message || 'Failed to export pops' });
   }
 });
 
@@ -781,24 +1102,13 @@ router.get('/rents/:station_id/:dateRange', async (req, res) => {
     const startTime = startDate.getTime();
     const endTime = endDate.getTime();
     
-    // Get token from database
-    const token = await getTokenFromDatabase();
-    if (!token) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to retrieve authentication token'
-      });
-    }
-    
-    // Fetch rent data from Relink API
-    const rentData = await fetchRentData(station_id, startTime, endTime, token);
-    
-    if (!rentData) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to fetch rent data from Relink API'
-      });
-    }
+    // Fetch the station's orders with the Energo account that owns it
+    const account = await getStationEnergoAccount(pool, station_id);
+    const rentData = await energo.listOrders(account, {
+      cabinetId: station_id,
+      createdFrom: startTime,
+      createdTo: endTime
+    });
     
     // Calculate totalAmount by summing all returnRent values
     // Also count totalRents (only non-zero returnRent values)
@@ -828,15 +1138,12 @@ router.get('/rents/:station_id/:dateRange', async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching rent data:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to fetch rent data'
-    });
+    sendEnergoError(res, error, 'Failed to fetch rent data');
   }
 });
 
 // Log when router is loaded
-console.log('📦 User service API router initialized with routes: GET, POST, PATCH, DELETE /users, POST /pop/:station_id/:slot, POST /pop/:station_id/all, GET /rents/:station_id/:dateRange');
+console.log('📦 User service API router initialized with routes: GET, POST, PATCH, DELETE /users, POST /pop/:station_id/:slot, POST /pop/:station_id/all, POST /battery/:sticker_id/pop, GET /pops, GET /pops/export, GET /rents/:station_id/:dateRange');
 
 module.exports = router;
 